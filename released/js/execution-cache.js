@@ -0,0 +1,81 @@
+/**
+ * Execution Cache
+ * Outputs of the last run per node, with the signature they were produced under.
+ * A signature covers the node's type, definition version and properties, its input
+ * wiring and (recursively) the signatures of the nodes feeding it, so any property or
+ * wiring change upstream makes a node dirty.
+ */
+class ExecutionCache {
+    constructor() {
+        // Execution node id -> { signature, outputs }
+        this.entries = new Map();
+    }
+
+    // FNV-1a, enough to tell configurations apart
+    static hash(text) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return (h >>> 0).toString(16);
+    }
+
+    // JSON with sorted object keys, so property order does not matter
+    static stableStringify(value) {
+        if (value === null || typeof value !== 'object') return JSON.stringify(value === undefined ? null : value);
+        if (Array.isArray(value)) return `[${value.map(v => ExecutionCache.stableStringify(v)).join(',')}]`;
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${ExecutionCache.stableStringify(value[k])}`).join(',')}}`;
+    }
+
+    /**
+     * Signature per node id for exported (flattened) workflow data
+     */
+    computeSignatures(workflowData) {
+        const byId = new Map(workflowData.nodes.map(n => [n.id, n]));
+        const signatures = new Map();
+        const visit = (id) => {
+            if (signatures.has(id)) return signatures.get(id);
+            const node = byId.get(id);
+            if (!node) return '';
+            signatures.set(id, ''); // guards against cycles
+            const bindings = node.input_bindings || {};
+            const inputs = Object.keys(bindings).sort().map(name => {
+                const b = bindings[name];
+                return [name, b.fromNodeId, b.fromPort, visit(b.fromNodeId)];
+            });
+            const version = node.definition && node.definition.version !== undefined ? node.definition.version : null;
+            const signature = ExecutionCache.hash(ExecutionCache.stableStringify([node.type, version, node.properties || {}, inputs]));
+            signatures.set(id, signature);
+            return signature;
+        };
+        workflowData.nodes.forEach(n => visit(n.id));
+        return signatures;
+    }
+
+    isDirty(nodeId, signature) {
+        const entry = this.entries.get(nodeId);
+        return !entry || entry.signature !== signature;
+    }
+
+    getOutputs(nodeId) {
+        const entry = this.entries.get(nodeId);
+        return entry ? entry.outputs : null;
+    }
+
+    store(nodeId, signature, outputs) {
+        if (!signature || !outputs) return;
+        this.entries.set(nodeId, { signature, outputs });
+    }
+
+    invalidate(nodeId) {
+        this.entries.delete(nodeId);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+// Export for use in other modules
+window['ExecutionCache'] = ExecutionCache;
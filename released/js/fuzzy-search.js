@@ -0,0 +1,104 @@
+/**
+ * Fuzzy Search
+ * Subsequence matching with a ranking score and match positions for highlighting
+ */
+class FuzzySearch {
+    /**
+     * Match query against text. Every query character must appear in order.
+     * Returns { score, indices } or null; runs, word starts and an early start score higher.
+     */
+    static match(query, text) {
+        const q = String(query || '').toLowerCase();
+        const t = String(text || '');
+        const lower = t.toLowerCase();
+        if (!q) return { score: 0, indices: [] };
+
+        // A plain substring is the strongest signal; prefer it over a scattered match
+        const at = lower.indexOf(q);
+        if (at !== -1) {
+            const indices = Array.from({ length: q.length }, (_, i) => at + i);
+            const wordStart = at === 0 || FuzzySearch.isBoundary(t, at);
+            return { score: q.length * 10 + (at === 0 ? 30 : 0) + (wordStart ? 15 : 0) - at * 0.1, indices };
+        }
+
+        const indices = [];
+        let score = 0;
+        let from = 0;
+        for (const ch of q) {
+            const index = lower.indexOf(ch, from);
+            if (index === -1) return null;
+            const previous = indices[indices.length - 1];
+            score += 1;
+            if (previous !== undefined && index === previous + 1) score += 5;
+            else if (previous !== undefined) score -= Math.min(5, index - previous - 1) * 0.5;
+            if (index === 0 || FuzzySearch.isBoundary(t, index)) score += 8;
+            indices.push(index);
+            from = index + 1;
+        }
+        return { score, indices };
+    }
+
+    // Start of a word: after a separator, or a capital after a lowercase letter (camelCase)
+    static isBoundary(text, index) {
+        const prev = text[index - 1];
+        const ch = text[index];
+        return /[\s_\-./:<>,()]/.test(prev) || (/[a-z]/.test(prev) && /[A-Z]/.test(ch));
+    }
+
+    // Escaped text with matched characters wrapped in <mark>
+    static highlight(text, indices) {
+        const escape = MarkdownRenderer.escape;
+        const marked = new Set(indices || []);
+        let html = '';
+        let open = false;
+        Array.from(String(text || '')).forEach((ch, i) => {
+            const hit = marked.has(i);
+            if (hit && !open) html += '<mark>';
+            if (!hit && open) html += '</mark>';
+            open = hit;
+            html += escape(ch);
+        });
+        return open ? `${html}</mark>` : html;
+    }
+
+    /**
+     * Rank node definitions for a query: every whitespace-separated term must match the
+     * name, type, category or a port type. Returns [{ definition, score, nameIndices }].
+     */
+    static rankDefinitions(query, definitions) {
+        const terms = String(query || '').trim().split(/\s+/).filter(Boolean);
+        const results = [];
+        definitions.forEach(definition => {
+            const fields = [
+                { text: definition.name, weight: 1.5, name: true },
+                { text: definition.type, weight: 1 },
+                { text: definition.category, weight: 0.8 },
+                { text: FuzzySearch.portTypes(definition).join(' '), weight: 0.6 }
+            ];
+            let score = 0;
+            const nameIndices = new Set();
+            for (const term of terms) {
+                let best = null;
+                fields.forEach(field => {
+                    const m = FuzzySearch.match(term, field.text);
+                    if (!m) return;
+                    const weighted = m.score * field.weight;
+                    if (!best || weighted > best.score) best = { score: weighted, match: m, field };
+                });
+                if (!best) return;
+                score += best.score;
+                if (best.field.name) best.match.indices.forEach(i => nameIndices.add(i));
+            }
+            results.push({ definition, score, nameIndices: Array.from(nameIndices) });
+        });
+        return results.sort((a, b) => b.score - a.score || String(a.definition.name).localeCompare(String(b.definition.name)));
+    }
+
+    static portTypes(definition) {
+        const types = [...(definition.inputs || []), ...(definition.outputs || [])].map(io => String(io.type || 'any'));
+        return Array.from(new Set(types));
+    }
+}
+
+// Export for use in other modules
+window['FuzzySearch'] = FuzzySearch;
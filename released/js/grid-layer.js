@@ -2,6 +2,9 @@
  * GridLayer class for rendering and managing the background grid canvas.* World-space grid that pans and zooms with canvasTransform
  */
 (function(){
+  // 1cm in CSS px (per spec: 96dpi => 1in = 96px, 1cm = 96/2.54)
+  const PX_PER_CM = 96 / 2.54;
+
   class GridLayer {
     constructor(elementId = 'grid-layer', options = {}) {
       this.el = document.getElementById(elementId);
@@ -38,11 +41,14 @@
       this.lastTransform = { x, y, scale };
     }
 
+    // World-space distance between fine grid lines (px at scale 1); used for snapping
+    getSpacing() {
+      if (!this.options) return 0;
+      return Math.max(0.1, this.options.baseSpacingCm) * PX_PER_CM;
+    }
+
     _applyPattern(scale = 1) {
-      // 1cm in CSS px (per spec: 96dpi => 1in = 96px, 1cm = 96/2.54)
-      const PX_PER_CM = 96 / 2.54;
-      const baseCm = Math.max(0.1, this.options.baseSpacingCm);
-      const spacingPx = Math.max(2, baseCm * PX_PER_CM * scale);
+      const spacingPx = Math.max(2, this.getSpacing() * scale);
       const boldPx = spacingPx * this.options.boldEvery;
       // Two-layer repeating-linear-gradient grid (fine + bold)
       const line = this.options.lineColor;
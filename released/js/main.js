@@ -156,7 +156,9 @@ class VisualAGINodeEditor {
             'node_execution_error',
             'workflow_complete',
             'execution_error',
-            'execution_progress'
+            'execution_progress',
+            'execution_paused',
+            'execution_resumed'
         ];
 
         eventTypes.forEach(eventType => {
@@ -264,10 +266,30 @@ class VisualAGINodeEditor {
             btnLoad.addEventListener('click', () => { this.loadWorkflow(); });
         }
 
+        const btnArrange = document.getElementById('arrange-workflow');
+        if (btnArrange) {
+            btnArrange.addEventListener('click', () => { this.autoArrange(); });
+        }
+
         const btnExec = document.getElementById('execute-workflow');
         if (btnExec) {
             btnExec.addEventListener('click', () => { this.executeWorkflow(); });
         }
+
+        const btnPause = document.getElementById('pause-workflow');
+        if (btnPause) {
+            btnPause.addEventListener('click', () => { this.pauseExecution(); });
+        }
+
+        const btnResume = document.getElementById('resume-workflow');
+        if (btnResume) {
+            btnResume.addEventListener('click', () => { this.resumeExecution(); });
+        }
+
+        const btnStep = document.getElementById('step-workflow');
+        if (btnStep) {
+            btnStep.addEventListener('click', () => { this.stepExecution(); });
+        }
         
         // Tab switching
         document.querySelectorAll('.tab-button').forEach(button => {
@@ -345,7 +367,14 @@ class VisualAGINodeEditor {
             }
         }
         
+        // A replay belongs to the old workflow: its overlay would cover the new canvas
+        if (this.execution) this.execution.runHistory.stopReplay();
+        // Leave any opened subgraph first, so the cleared (and undoable) graph is the whole
+        // workflow and no stale level is committed back on the next export
+        this.workflowCanvas.subgraphs.navigateTo(0);
         this.workflowCanvas.clearCanvas();
+        // Output previews are keyed by node id and belong to the old workflow
+        this.workflowCanvas.inspector.clear();
         this.currentWorkflow = {
             id: this.generateWorkflowId(),
             name: 'Untitled Workflow',
@@ -412,14 +441,19 @@ class VisualAGINodeEditor {
         }
     }
     
+    autoArrange() {
+        if (!this.workflowCanvas) return;
+        this.workflowCanvas.autoArrange();
+    }
+    
     async executeWorkflow() {
         if (!this.execution) {
             this.logManager.addLog('error', 'Execution module not initialized');
             return;
         }
 
-        // Check if already running and handle stop request
-        if (this.execution.executionState === 'running') {
+        // Check if already running (or paused) and handle stop request
+        if (this.execution.executionState === 'running' || this.execution.executionState === 'paused') {
             await this.execution.stopExecution();
             return;
         }
@@ -440,6 +474,45 @@ class VisualAGINodeEditor {
         }
     }
     
+    // Run from / up to a node, or only the selection, reusing cached upstream outputs
+    async runPartial(mode, nodeIds) {
+        if (!this.execution) {
+            this.logManager.addLog('error', 'Execution module not initialized');
+            return;
+        }
+        try {
+            const result = await this.execution.runPartial(mode, nodeIds);
+            if (result.success) {
+                this.showInfoMessage(result.message);
+            } else {
+                this.showErrorMessage(result.message || result.error || 'Execution failed');
+            }
+        } catch (error) {
+            this.showErrorMessage('Error executing workflow: ' + error.message);
+        }
+    }
+    
+    async pauseExecution() {
+        if (!this.execution) return;
+        const result = await this.execution.pauseExecution();
+        if (!result.success) this.showErrorMessage(result.message || result.error);
+    }
+
+    async resumeExecution() {
+        if (!this.execution) return;
+        const result = await this.execution.resumeExecution();
+        if (!result.success) this.showErrorMessage(result.message || result.error);
+    }
+
+    async stepExecution() {
+        if (!this.execution) {
+            this.logManager.addLog('error', 'Execution module not initialized');
+            return;
+        }
+        const result = await this.execution.stepExecution();
+        if (result && !result.success) this.showErrorMessage(result.message || result.error || 'Step failed');
+    }
+    
     stopExecution() {
         if (this.webSocket) {
             this.webSocket.stopExecution();
@@ -452,7 +525,7 @@ class VisualAGINodeEditor {
     
     // Execution Event Handlers
     handleNodeExecutionStart(data) {
-        const node = this.workflowCanvas.nodes.get(data.nodeId);
+        const node = this.workflowCanvas.resolveExecutionNode(data.nodeId);
         if (node) {
             node.element.classList.add('executing');
         }
@@ -460,7 +533,7 @@ class VisualAGINodeEditor {
     }
     
     handleNodeExecutionComplete(data) {
-        const node = this.workflowCanvas.nodes.get(data.nodeId);
+        const node = this.workflowCanvas.resolveExecutionNode(data.nodeId);
         if (node) {
             node.element.classList.remove('executing');
         }
@@ -488,7 +561,7 @@ class VisualAGINodeEditor {
         this.logManager.addLog('error', `Execution error: ${data.error}`);
         
         if (data.nodeId) {
-            const node = this.workflowCanvas.nodes.get(data.nodeId);
+            const node = this.workflowCanvas.resolveExecutionNode(data.nodeId);
             if (node) {
                 node.element.classList.remove('executing');
                 node.element.classList.add('error');
@@ -839,7 +912,9 @@ class VisualAGINodeEditor {
         const panelMap = {
             'execution': 'execution-log',
             'debug': 'debug-panel', 
-            'performance': 'performance-panel'
+            'performance': 'performance-panel',
+            'history': 'history-panel',
+            'runs': 'runs-panel'
         };
         
         const panelId = panelMap[tabName];
@@ -881,6 +956,18 @@ class VisualAGINodeEditor {
                 e.preventDefault();
                 this.executeWorkflow();
                 break;
+            case 'F6':
+                // Pause / resume
+                if (this.execution && (this.execution.executionState === 'running' || this.execution.executionState === 'paused')) {
+                    e.preventDefault();
+                    if (this.execution.executionState === 'paused') this.resumeExecution();
+                    else this.pauseExecution();
+                }
+                break;
+            case 'F10':
+                e.preventDefault();
+                this.stepExecution();
+                break;
             case 'Escape':
                 if (this.executionState === 'running') {
                     this.stopExecution();
@@ -947,7 +1034,7 @@ class LogManager {
         this.maxLogs = 1000;
         this.logContainers = {
             execution: document.getElementById('execution-log'),
-            debug: document.getElementById('debug-panel')
+            debug: document.getElementById('debug-log') || document.getElementById('debug-panel')
         };
     }
     
@@ -0,0 +1,137 @@
+/**
+ * Markdown Renderer
+ * Small, safe markdown subset for notes and docs: everything is escaped first, so no raw HTML gets through
+ */
+class MarkdownRenderer {
+    static escape(text) {
+        return String(text === undefined || text === null ? '' : text).replace(/[&<>"']/g, ch => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[ch]));
+    }
+
+    /**
+     * Render markdown to HTML.
+     * options.resolveLink(href) may return { href, attrs } to handle custom schemes
+     * (return null to fall back to the default http/https/mailto whitelist).
+     */
+    static render(markdown, options = {}) {
+        const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+        const html = [];
+        let paragraph = [];
+        let list = null; // { tag, items }
+        let quote = [];
+
+        const flushParagraph = () => {
+            if (paragraph.length) html.push(`<p>${paragraph.map(l => this.inline(l, options)).join('<br>')}</p>`);
+            paragraph = [];
+        };
+        const flushList = () => {
+            if (list) html.push(`<${list.tag}>${list.items.map(i => `<li>${this.inline(i, options)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        };
+        const flushQuote = () => {
+            if (quote.length) html.push(`<blockquote>${quote.map(l => this.inline(l, options)).join('<br>')}</blockquote>`);
+            quote = [];
+        };
+        const flushAll = () => { flushParagraph(); flushList(); flushQuote(); };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            // Fenced code block
+            if (/^\s*```/.test(line)) {
+                flushAll();
+                const code = [];
+                i++;
+                while (i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i++]);
+                html.push(`<pre><code>${this.escape(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            if (!line.trim()) { flushAll(); continue; }
+
+            const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+            if (heading) {
+                flushAll();
+                const level = heading[1].length;
+                html.push(`<h${level}>${this.inline(heading[2], options)}</h${level}>`);
+                continue;
+            }
+
+            const bullet = /^\s*[-*+]\s+(.*)$/.exec(line);
+            const ordered = /^\s*\d+[.)]\s+(.*)$/.exec(line);
+            if (bullet || ordered) {
+                flushParagraph(); flushQuote();
+                const tag = bullet ? 'ul' : 'ol';
+                if (list && list.tag !== tag) flushList();
+                if (!list) list = { tag, items: [] };
+                list.items.push((bullet || ordered)[1]);
+                continue;
+            }
+
+            const quoted = /^\s*>\s?(.*)$/.exec(line);
+            if (quoted) {
+                flushParagraph(); flushList();
+                quote.push(quoted[1]);
+                continue;
+            }
+
+            if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                flushAll();
+                html.push('<hr>');
+                continue;
+            }
+
+            flushList(); flushQuote();
+            paragraph.push(line);
+        }
+        flushAll();
+        return html.join('');
+    }
+
+    // Inline spans: `code`, [links](url), **bold**, *italic* / _italic_, ~~strike~~
+    static inline(text, options = {}) {
+        const codeSpans = [];
+        // Pull code spans out first so their content is not formatted
+        let out = String(text).replace(/`([^`]+)`/g, (_, code) => {
+            codeSpans.push(`<code>${this.escape(code)}</code>`);
+            return `\u0000${codeSpans.length - 1}\u0000`;
+        });
+        out = this.escape(out);
+
+        // Opening link tags become placeholders too, so emphasis never rewrites an href; labels stay formatted
+        const linkTags = [];
+        out = out.replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, label, href) => {
+            const link = this.resolveLink(href, options);
+            if (!link) return label;
+            linkTags.push(`<a href="${link.href}"${link.attrs || ''}>`);
+            return `\u0001${linkTags.length - 1}\u0001${label}</a>`;
+        });
+        out = out
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+            .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+            .replace(/(^|[^\w_])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+
+        return out
+            .replace(/\u0001(\d+)\u0001/g, (_, i) => linkTags[Number(i)])
+            .replace(/\u0000(\d+)\u0000/g, (_, i) => codeSpans[Number(i)]);
+    }
+
+    // href arrives HTML-escaped; decode entities before checking the scheme
+    static resolveLink(href, options = {}) {
+        const raw = href.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+        if (typeof options.resolveLink === 'function') {
+            const custom = options.resolveLink(raw);
+            if (custom) return { href: this.escape(custom.href), attrs: custom.attrs || '' };
+        }
+        if (/^(https?:|mailto:)/i.test(raw)) {
+            return { href: this.escape(raw), attrs: ' target="_blank" rel="noopener noreferrer"' };
+        }
+        return null;
+    }
+}
+
+// Export for use in other modules
+window['MarkdownRenderer'] = MarkdownRenderer;
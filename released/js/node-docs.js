@@ -0,0 +1,141 @@
+/**
+ * Node Docs
+ * Renders node definition documentation (palette hover card, properties "Docs" tab).
+ *
+ * Optional definition fields used besides description/inputs/outputs/properties:
+ *   docs:     markdown; link to other node types with [Text](node:type_name)
+ *   examples: ["markdown", ...] or [{ title, description, code }]
+ *   related:  ["type_name", ...]
+ * Per-property help comes from `help` (or `description`) on each property.
+ */
+class NodeDocs {
+    static getDefinition(type) {
+        return window.nodePalette ? window.nodePalette.getNodeDefinition(type) || null : null;
+    }
+
+    // node:<type> links become in-app links; anything else follows the markdown whitelist
+    static resolveLink(href) {
+        const m = /^node:([\w.\-/]+)$/.exec(href);
+        if (!m) return null;
+        const known = !!NodeDocs.getDefinition(m[1]);
+        return {
+            href: '#',
+            attrs: ` class="node-doc-link${known ? '' : ' missing'}" data-node-link="${MarkdownRenderer.escape(m[1])}"`
+        };
+    }
+
+    static markdown(text) {
+        return MarkdownRenderer.render(text, { resolveLink: (href) => NodeDocs.resolveLink(href) });
+    }
+
+    static nodeLink(type) {
+        const escape = MarkdownRenderer.escape;
+        const definition = NodeDocs.getDefinition(type);
+        const label = definition ? definition.name : type;
+        return `<a href="#" class="node-doc-link${definition ? '' : ' missing'}" data-node-link="${escape(type)}">${escape(label)}</a>`;
+    }
+
+    /**
+     * HTML for a definition. options.compact drops examples and property details (hover card).
+     */
+    static render(definition, options = {}) {
+        if (!definition) return '<div class="node-docs-empty">No documentation available</div>';
+        const escape = MarkdownRenderer.escape;
+        const compact = !!options.compact;
+        let html = `
+            <div class="node-docs-header">
+                <span class="node-docs-name">${escape(definition.name || definition.type)}</span>
+                <span class="node-docs-category">${escape(definition.category || '')}</span>
+            </div>
+        `;
+        if (definition.description) html += `<div class="node-docs-summary">${escape(definition.description)}</div>`;
+        if (definition.docs) html += `<div class="node-docs-body">${NodeDocs.markdown(definition.docs)}</div>`;
+
+        html += NodeDocs.renderPorts('Inputs', definition.inputs);
+        html += NodeDocs.renderPorts('Outputs', definition.outputs);
+        if (!compact) {
+            html += NodeDocs.renderProperties(definition.properties);
+            html += NodeDocs.renderExamples(definition.examples);
+        }
+
+        const related = (definition.related || []).filter(type => type !== definition.type);
+        if (related.length) {
+            html += `<div class="node-docs-section"><h5>See also</h5><div class="node-docs-related">${related.map(type => NodeDocs.nodeLink(type)).join('')}</div></div>`;
+        }
+        if (compact && (definition.examples || []).length) {
+            html += '<div class="node-docs-hint">Examples in the Docs tab of the properties panel</div>';
+        }
+        return html;
+    }
+
+    static renderPorts(title, ports) {
+        if (!ports || !ports.length) return '';
+        const escape = MarkdownRenderer.escape;
+        const types = window.workflowCanvas ? window.workflowCanvas.types : null;
+        const rows = ports.map(port => {
+            const type = port.type || 'any';
+            // Show what the backend type system resolves an alias to, e.g. str -> string
+            const normalized = types ? types.normalize(type) : type;
+            const alias = normalized !== String(type).toLowerCase() ? ` <span class="node-docs-muted">(${escape(normalized)})</span>` : '';
+            const flags = port.required === false || port.optional ? ' <span class="node-docs-muted">optional</span>' : '';
+            return `
+                <li>
+                    <code class="node-docs-port">${escape(port.name)}</code>
+                    <span class="node-docs-type">${escape(type)}</span>${alias}${flags}
+                    ${port.description ? `<div class="node-docs-text">${escape(port.description)}</div>` : ''}
+                </li>
+            `;
+        }).join('');
+        return `<div class="node-docs-section"><h5>${title}</h5><ul class="node-docs-list">${rows}</ul></div>`;
+    }
+
+    static renderProperties(properties) {
+        const entries = Object.entries(properties || {});
+        if (!entries.length) return '';
+        const escape = MarkdownRenderer.escape;
+        const rows = entries.map(([key, prop]) => {
+            const details = [];
+            if (prop.default !== undefined && prop.default !== null && prop.default !== '' && !prop.sensitive) {
+                details.push(`default <code>${escape(JSON.stringify(prop.default))}</code>`);
+            }
+            if (prop.min !== undefined || prop.max !== undefined) {
+                details.push(`range ${escape(prop.min !== undefined ? prop.min : '…')} – ${escape(prop.max !== undefined ? prop.max : '…')}`);
+            }
+            if (Array.isArray(prop.options) && prop.options.length) {
+                details.push(`one of ${prop.options.map(o => `<code>${escape(o)}</code>`).join(', ')}`);
+            }
+            if (prop.required) details.push('required');
+            const help = prop.help || prop.description;
+            return `
+                <li>
+                    <code class="node-docs-port">${escape(prop.label || key)}</code>
+                    <span class="node-docs-type">${escape(prop.type || 'string')}</span>
+                    ${details.length ? `<div class="node-docs-muted">${details.join(' · ')}</div>` : ''}
+                    ${help ? `<div class="node-docs-text">${NodeDocs.markdown(help)}</div>` : ''}
+                </li>
+            `;
+        }).join('');
+        return `<div class="node-docs-section"><h5>Properties</h5><ul class="node-docs-list">${rows}</ul></div>`;
+    }
+
+    static renderExamples(examples) {
+        if (!examples || !examples.length) return '';
+        const escape = MarkdownRenderer.escape;
+        const items = examples.map(example => {
+            if (typeof example === 'string') return `<div class="node-docs-example">${NodeDocs.markdown(example)}</div>`;
+            const code = example.code === undefined ? ''
+                : `<pre><code>${escape(typeof example.code === 'string' ? example.code : JSON.stringify(example.code, null, 2))}</code></pre>`;
+            return `
+                <div class="node-docs-example">
+                    ${example.title ? `<div class="node-docs-example-title">${escape(example.title)}</div>` : ''}
+                    ${example.description ? NodeDocs.markdown(example.description) : ''}
+                    ${code}
+                </div>
+            `;
+        }).join('');
+        return `<div class="node-docs-section"><h5>Examples</h5>${items}</div>`;
+    }
+}
+
+// Export for use in other modules
+window['NodeDocs'] = NodeDocs;
@@ -3,11 +3,29 @@
  * Handles the left sidebar node library with drag and drop functionality
  */
 class NodePalette {
-    constructor() {
+    constructor(options = {}) {
+        this.options = Object.assign({
+            storageKey: 'agi_palette_state',
+            recentLimit: 8,
+            docsDelay: 500
+        }, options);
         this.container = document.getElementById('node-palette');
         this.searchInput = document.getElementById('node-search');
         this.nodeDefinitions = new Map();
+        // Client-side definitions (saved macros) that survive server updates
+        this.localDefinitions = new Map();
+        // True once the backend has sent its library; until then an unknown type is not "missing"
+        this.serverLoaded = false;
         this.filteredNodes = [];
+        // Rendered .node-item per type in the category list; search only shows, hides and reorders them
+        this.itemElements = new Map();
+        this.categoryElements = new Map();
+        this.activeItem = null;
+        // Hover card with the node docs
+        this.docsCard = null;
+        this.docsItem = null;
+        this.docsTimer = null;
+        this.state = this.loadState();
         
         this.setupEventListeners();
         // Nodes are provided by the backend via WebSocket (available_nodes).
@@ -21,8 +39,47 @@ class NodePalette {
             this.filterNodes(e.target.value);
         });
         
+        // Arrow keys move through the visible items, Enter adds the active one at the viewport centre
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.moveActive(e.key === 'ArrowDown' ? 1 : -1);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                const item = this.activeItem || this.getVisibleItems()[0];
+                this.addToCanvas(item ? item.dataset.nodeType : null);
+            } else if (e.key === 'Escape' && this.searchInput.value) {
+                e.preventDefault();
+                this.searchInput.value = '';
+                this.filterNodes('');
+            }
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const star = e.target.closest('.node-item-favorite');
+            if (star) {
+                e.stopPropagation();
+                this.toggleFavorite(star.closest('.node-item').dataset.nodeType);
+                return;
+            }
+            const header = e.target.closest('.category-header');
+            if (header) this.toggleCategory(header.parentElement.dataset.category);
+        });
+
+        // Docs hover card after a short rest on an item
+        this.container.addEventListener('mouseover', (e) => {
+            const item = e.target.closest('.node-item');
+            if (item && item !== this.docsItem) this.scheduleDocsCard(item);
+        });
+        this.container.addEventListener('mouseout', (e) => {
+            const to = e.relatedTarget;
+            if (to && ((this.docsItem && this.docsItem.contains(to)) || (this.docsCard && this.docsCard.contains(to)))) return;
+            this.scheduleDocsCard(null);
+        });
+
         // Handle drag start from palette
         this.container.addEventListener('dragstart', (e) => {
+            this.hideDocsCard();
             if (e.target.classList.contains('node-item')) {
                 const nodeType = e.target.dataset.nodeType;
                 e.dataTransfer.setData('text/plain', nodeType);
@@ -49,30 +106,152 @@ class NodePalette {
         nodes.forEach(nodeDef => {
             this.addNodeDefinition(nodeDef);
         });
-        this.filterNodes(this.searchInput.value); // Re-filter and render
+        this.localDefinitions.forEach(definition => this.addNodeDefinition(definition));
+        this.serverLoaded = true;
+        this.render();
+    }
+
+    // Incremental library updates (nodes_added / nodes_changed): add or replace by type
+    upsertDefinitions(nodes) {
+        (nodes || []).forEach(definition => {
+            if (definition && definition.type) this.addNodeDefinition(definition);
+        });
+        this.render();
+    }
+
+    // nodes_removed: saved macros are client-side and stay
+    removeDefinitions(types) {
+        (types || []).forEach(type => {
+            if (!this.localDefinitions.has(type)) this.nodeDefinitions.delete(type);
+        });
+        this.render();
     }
 
     addNodeDefinition(definition) {
         this.nodeDefinitions.set(definition.type, definition);
     }
+
+    addLocalDefinition(definition) {
+        this.localDefinitions.set(definition.type, definition);
+        this.addNodeDefinition(definition);
+        this.render();
+    }
+
+    removeLocalDefinition(type) {
+        this.localDefinitions.delete(type);
+        this.nodeDefinitions.delete(type);
+        this.render();
+    }
+
+    // --- Per-user palette state (favorites, recently used, collapsed categories) ---
+    loadState() {
+        const defaults = { favorites: [], recent: [], collapsed: {} };
+        try {
+            const stored = window.localStorage ? window.localStorage.getItem(this.options.storageKey) : null;
+            return Object.assign(defaults, stored ? JSON.parse(stored) : {});
+        } catch (error) {
+            console.warn('Could not read palette state:', error);
+            return defaults;
+        }
+    }
+
+    saveState() {
+        try {
+            if (window.localStorage) {
+                window.localStorage.setItem(this.options.storageKey, JSON.stringify(this.state));
+            }
+        } catch (error) {
+            console.warn('Could not save palette state:', error);
+        }
+    }
+
+    isFavorite(type) {
+        return this.state.favorites.includes(type);
+    }
+
+    toggleFavorite(type) {
+        if (!type) return;
+        this.state.favorites = this.isFavorite(type)
+            ? this.state.favorites.filter(t => t !== type)
+            : [...this.state.favorites, type];
+        this.saveState();
+        this.render();
+    }
+
+    // Called whenever the user adds a node of this type (palette, quick add)
+    markUsed(type) {
+        if (!type) return;
+        this.state.recent = [type, ...this.state.recent.filter(t => t !== type)].slice(0, this.options.recentLimit);
+        this.saveState();
+        this.renderQuickSections();
+        this.applyFilter();
+    }
+
+    toggleCategory(category) {
+        if (!category) return;
+        this.state.collapsed[category] = !this.state.collapsed[category];
+        if (!this.state.collapsed[category]) delete this.state.collapsed[category];
+        this.saveState();
+        const element = this.categoryElements.get(category);
+        if (element) element.classList.toggle('collapsed', !!this.state.collapsed[category]);
+    }
+
+    // --- Search ---
+    /**
+     * Split a query into free text and port filters: "blur in:image out:text"
+     * keeps nodes with an image input and a text output.
+     */
+    parseQuery(searchTerm) {
+        const query = { text: [], inputs: [], outputs: [] };
+        String(searchTerm || '').trim().split(/\s+/).filter(Boolean).forEach(token => {
+            const port = /^(in|out):(.+)$/i.exec(token);
+            if (port) {
+                (port[1].toLowerCase() === 'in' ? query.inputs : query.outputs).push(port[2].toLowerCase());
+            } else {
+                query.text.push(token);
+            }
+        });
+        return query;
+    }
+
+    // A port filter matches a port of that type (or one the type flows into, with the canvas type rules)
+    matchesPortType(ports, wanted, role) {
+        const canvas = window.workflowCanvas;
+        return (ports || []).some(io => {
+            const type = String(io.type || 'any').toLowerCase();
+            if (type === wanted) return true;
+            if (!canvas || type === 'any' || wanted === 'any') return false;
+            return role === 'input' ? canvas.isTypeCompatible(wanted, type) : canvas.isTypeCompatible(type, wanted);
+        });
+    }
     
     filterNodes(searchTerm) {
-        const term = searchTerm.toLowerCase();
-        this.filteredNodes = Array.from(this.nodeDefinitions.values()).filter(node => 
-            node.name.toLowerCase().includes(term) || 
-            node.description.toLowerCase().includes(term) ||
-            node.category.toLowerCase().includes(term)
-        );
-        this.render();
+        const query = this.parseQuery(searchTerm);
+        const candidates = Array.from(this.nodeDefinitions.values()).filter(node =>
+            query.inputs.every(t => this.matchesPortType(node.inputs, t, 'input')) &&
+            query.outputs.every(t => this.matchesPortType(node.outputs, t, 'output')));
+        const ranked = FuzzySearch.rankDefinitions(query.text.join(' '), candidates);
+        // Description only widens the match when nothing better hits
+        const text = query.text.join(' ').toLowerCase();
+        if (text) {
+            const seen = new Set(ranked.map(r => r.definition.type));
+            candidates.forEach(node => {
+                if (!seen.has(node.type) && (node.description || '').toLowerCase().includes(text)) {
+                    ranked.push({ definition: node, score: 0, nameIndices: [] });
+                }
+            });
+        }
+        this.matches = ranked;
+        this.filteredNodes = ranked.map(r => r.definition);
+        this.applyFilter();
     }
     
+    // --- Rendering ---
+    // Full rebuild: only when definitions or favorites change, not per keystroke
     render() {
-        const nodesToShow = this.filteredNodes.length > 0 || this.searchInput.value ? 
-            this.filteredNodes : Array.from(this.nodeDefinitions.values());
-        
-        // Group nodes by category
+        this.hideDocsCard();
         const categories = {};
-        nodesToShow.forEach(node => {
+        this.nodeDefinitions.forEach(node => {
             if (!categories[node.category]) {
                 categories[node.category] = [];
             }
@@ -81,30 +260,210 @@ class NodePalette {
         
         // Clear container
         this.container.innerHTML = '';
+        this.itemElements.clear();
+        this.categoryElements.clear();
+
+        this.quickSections = document.createElement('div');
+        this.quickSections.className = 'palette-quick-sections';
+        this.container.appendChild(this.quickSections);
         
         // Render categories
         Object.keys(categories).sort().forEach(categoryName => {
-            const categoryDiv = document.createElement('div');
-            categoryDiv.className = 'category';
-            
-            const categoryHeader = document.createElement('h4');
-            categoryHeader.textContent = categoryName;
-            categoryDiv.appendChild(categoryHeader);
-            
-            categories[categoryName].forEach(node => {
-                const nodeItem = document.createElement('div');
-                nodeItem.className = 'node-item';
-                nodeItem.draggable = true;
-                nodeItem.dataset.nodeType = node.type;
-                nodeItem.innerHTML = `
-                    <div style="font-weight: 600; margin-bottom: 2px;">${node.name}</div>
-                    <div style="font-size: 11px; color: #8c8c8c;">${node.description}</div>
-                `;
-                categoryDiv.appendChild(nodeItem);
-            });
-            
+            const categoryDiv = this.createCategoryElement(categoryName, categoryName);
+            categories[categoryName]
+                .sort((a, b) => String(a.name).localeCompare(String(b.name)))
+                .forEach(node => {
+                    const item = this.createItemElement(node);
+                    this.itemElements.set(node.type, item);
+                    categoryDiv.querySelector('.category-items').appendChild(item);
+                });
+            this.categoryElements.set(categoryName, categoryDiv);
             this.container.appendChild(categoryDiv);
         });
+
+        this.renderQuickSections();
+        this.filterNodes(this.searchInput.value);
+    }
+
+    createCategoryElement(key, title) {
+        const categoryDiv = document.createElement('div');
+        categoryDiv.className = 'category';
+        categoryDiv.dataset.category = key;
+        if (this.state.collapsed[key]) categoryDiv.classList.add('collapsed');
+
+        const categoryHeader = document.createElement('h4');
+        categoryHeader.className = 'category-header';
+        categoryHeader.textContent = title;
+        categoryDiv.appendChild(categoryHeader);
+
+        const items = document.createElement('div');
+        items.className = 'category-items';
+        categoryDiv.appendChild(items);
+        return categoryDiv;
+    }
+
+    createItemElement(node) {
+        const escape = MarkdownRenderer.escape;
+        const nodeItem = document.createElement('div');
+        nodeItem.className = 'node-item';
+        nodeItem.draggable = true;
+        nodeItem.dataset.nodeType = node.type;
+        const favorite = this.isFavorite(node.type);
+        nodeItem.innerHTML = `
+            <div class="node-item-header">
+                <span class="node-item-name">${escape(node.name)}</span>
+                <button class="node-item-favorite${favorite ? ' active' : ''}" title="${favorite ? 'Remove from favorites' : 'Add to favorites'}">${favorite ? '&#9733;' : '&#9734;'}</button>
+            </div>
+            <div class="node-item-description">${escape(node.description)}</div>
+        `;
+        return nodeItem;
+    }
+
+    // Favorites and Recently Used sit above the categories; they are small, so rebuild them freely
+    renderQuickSections() {
+        if (!this.quickSections) return;
+        this.quickSections.innerHTML = '';
+        [
+            { key: '__favorites', title: 'Favorites', types: this.state.favorites },
+            { key: '__recent', title: 'Recently Used', types: this.state.recent }
+        ].forEach(section => {
+            const definitions = section.types.map(type => this.nodeDefinitions.get(type)).filter(Boolean);
+            if (definitions.length === 0) return;
+            const categoryDiv = this.createCategoryElement(section.key, section.title);
+            categoryDiv.classList.add('quick-section');
+            definitions.forEach(node => categoryDiv.querySelector('.category-items').appendChild(this.createItemElement(node)));
+            this.categoryElements.set(section.key, categoryDiv);
+            this.quickSections.appendChild(categoryDiv);
+        });
+    }
+
+    // Show, hide and order the existing items for the current matches
+    applyFilter() {
+        if (!this.matches) return;
+        const searching = !!this.searchInput.value.trim();
+        this.container.classList.toggle('searching', searching);
+        const ranked = new Map(this.matches.map((m, index) => [m.definition.type, { match: m, index }]));
+
+        this.itemElements.forEach((item, type) => {
+            const hit = ranked.get(type);
+            item.classList.toggle('hidden', !hit);
+            const name = item.querySelector('.node-item-name');
+            const definition = this.nodeDefinitions.get(type);
+            if (name && definition) {
+                name.innerHTML = FuzzySearch.highlight(definition.name, hit && searching ? hit.match.nameIndices : []);
+            }
+        });
+
+        this.categoryElements.forEach((categoryDiv, key) => {
+            if (categoryDiv.classList.contains('quick-section')) return;
+            const list = categoryDiv.querySelector('.category-items');
+            const items = Array.from(list.children);
+            const visible = items.filter(item => !item.classList.contains('hidden'));
+            categoryDiv.classList.toggle('hidden', visible.length === 0);
+            // Best match first while searching; alphabetical otherwise
+            items.sort((a, b) => searching
+                ? (ranked.get(a.dataset.nodeType) || { index: Infinity }).index - (ranked.get(b.dataset.nodeType) || { index: Infinity }).index
+                : String(this.nodeDefinitions.get(a.dataset.nodeType).name).localeCompare(String(this.nodeDefinitions.get(b.dataset.nodeType).name)))
+                .forEach(item => list.appendChild(item));
+        });
+
+        // Categories follow their best match while searching
+        const categoryRank = (div) => Math.min(Infinity, ...Array.from(div.querySelectorAll('.node-item'))
+            .map(item => (ranked.get(item.dataset.nodeType) || { index: Infinity }).index));
+        Array.from(this.categoryElements.entries())
+            .filter(([, div]) => !div.classList.contains('quick-section'))
+            .sort(([a, divA], [b, divB]) => searching ? categoryRank(divA) - categoryRank(divB) || a.localeCompare(b) : a.localeCompare(b))
+            .forEach(([, div]) => this.container.appendChild(div));
+
+        const visible = this.getVisibleItems();
+        if (!visible.includes(this.activeItem)) {
+            this.setActive(searching ? visible[0] || null : null);
+        }
+    }
+
+    // --- Keyboard navigation ---
+    // Items a user can currently see: search results ignore collapsing and skip the quick sections
+    getVisibleItems() {
+        const searching = this.container.classList.contains('searching');
+        return Array.from(this.container.querySelectorAll('.category:not(.hidden) .node-item:not(.hidden)'))
+            .filter(item => searching
+                ? !item.closest('.quick-section')
+                : !item.closest('.category').classList.contains('collapsed'));
+    }
+
+    setActive(item) {
+        if (this.activeItem) this.activeItem.classList.remove('active');
+        this.activeItem = item;
+        if (!item) return;
+        item.classList.add('active');
+        if (item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+    }
+
+    moveActive(step) {
+        const visible = this.getVisibleItems();
+        if (visible.length === 0) return;
+        const index = visible.indexOf(this.activeItem);
+        const next = index === -1 ? (step > 0 ? 0 : visible.length - 1) : (index + step + visible.length) % visible.length;
+        this.setActive(visible[next]);
+    }
+
+    addToCanvas(type) {
+        const definition = type ? this.getNodeDefinition(type) : null;
+        const canvas = window.workflowCanvas;
+        if (!definition || !canvas) return;
+        const center = canvas.getViewportCenterClient();
+        canvas.addNodeAt(definition, center.x, center.y);
+        this.markUsed(type);
+    }
+
+    // Show the card for item after the delay; null hides it shortly (time to move onto the card)
+    scheduleDocsCard(item) {
+        clearTimeout(this.docsTimer);
+        this.docsItem = item;
+        if (!item) {
+            this.docsTimer = setTimeout(() => this.hideDocsCard(), 150);
+            return;
+        }
+        const delay = this.docsCard && this.docsCard.style.display !== 'none' ? 0 : this.options.docsDelay;
+        this.docsTimer = setTimeout(() => this.showDocsCard(item), delay);
+    }
+
+    showDocsCard(item) {
+        const definition = this.getNodeDefinition(item.dataset.nodeType);
+        if (!definition || !item.isConnected) return;
+        if (!this.docsCard) {
+            const card = document.createElement('div');
+            card.className = 'node-docs-card node-docs';
+            card.addEventListener('mouseenter', () => clearTimeout(this.docsTimer));
+            card.addEventListener('mouseleave', (e) => {
+                if (!(this.docsItem && this.docsItem.contains(e.relatedTarget))) this.scheduleDocsCard(null);
+            });
+            card.addEventListener('click', (e) => {
+                const link = e.target.closest('[data-node-link]');
+                if (!link) return;
+                e.preventDefault();
+                this.hideDocsCard();
+                if (window.nodeProperties) window.nodeProperties.showDocs(link.dataset.nodeLink);
+            });
+            document.body.appendChild(card);
+            this.docsCard = card;
+        }
+        this.docsCard.innerHTML = NodeDocs.render(definition, { compact: true });
+        this.docsCard.style.display = '';
+
+        // Beside the palette item, kept inside the window
+        const rect = item.getBoundingClientRect();
+        const card = this.docsCard.getBoundingClientRect();
+        const margin = 8;
+        const top = Math.max(margin, Math.min(rect.top, window.innerHeight - card.height - margin));
+        this.docsCard.style.left = `${rect.right + margin}px`;
+        this.docsCard.style.top = `${top}px`;
+    }
+
+    hideDocsCard() {
+        clearTimeout(this.docsTimer);
+        this.docsItem = null;
+        if (this.docsCard) this.docsCard.style.display = 'none';
     }
     
     getNodeDefinition(type) {
@@ -10,6 +10,10 @@ class NodeProperties {
         // Predeclare frequently used fields to satisfy Closure Compiler
         this.eventHandlers = new Map();
         this.lastHighlightedConnectionId = null;
+        // 'properties' | 'docs'; kept across selections
+        this.activeTab = 'properties';
+        // Definition shown in the Docs tab after following a link to another node type
+        this.docsDefinition = null;
         
         this.setupEventListeners();
     }
@@ -27,9 +31,35 @@ class NodeProperties {
                 this.updateNodeProperty(e.target);
             }
         });
+
+        // Tabs and links between node docs
+        this.container.addEventListener('click', (e) => {
+            const tab = e.target.closest('.properties-tab');
+            if (tab) {
+                this.setActiveTab(tab.dataset.tab);
+                return;
+            }
+            const link = e.target.closest('[data-node-link]');
+            if (link) {
+                e.preventDefault();
+                this.showDocs(link.dataset.nodeLink);
+                return;
+            }
+            const upgrade = e.target.closest('[data-upgrade-node]');
+            if (upgrade) {
+                const wc = window['workflowCanvas'];
+                if (wc) wc.versions.upgrade(upgrade.dataset.upgradeNode);
+                return;
+            }
+            if (e.target.closest('.docs-back')) {
+                this.docsDefinition = null;
+                this.updateDocsPane();
+            }
+        });
     }
     
     showNodeProperties(node) {
+        if (node !== this.currentNode) this.docsDefinition = null;
         this.currentNode = node;
         this.propertyInputs.clear();
         
@@ -39,7 +69,8 @@ class NodeProperties {
         }
         
         const definition = node.definition;
-        let html = `
+        const escape = MarkdownRenderer.escape;
+        let html = this.generateDefinitionStatusHTML(node) + `
             <div class="property-group">
                 <h4>Node Information</h4>
                 <div class="property-item">
@@ -48,11 +79,11 @@ class NodeProperties {
                 </div>
                 <div class="property-item">
                     <label class="property-label">Type</label>
-                    <input type="text" class="property-input" value="${definition.name}" readonly>
+                    <input type="text" class="property-input" value="${escape(definition.name)}" readonly>
                 </div>
                 <div class="property-item">
                     <label class="property-label">Description</label>
-                    <textarea class="property-input" readonly rows="2">${definition.description}</textarea>
+                    <textarea class="property-input" readonly rows="2">${escape(definition.description)}</textarea>
                 </div>
             </div>
         `;
@@ -81,10 +112,10 @@ class NodeProperties {
             definition.inputs.forEach(input => {
                 html += `
                     <div class="property-item">
-                        <label class="property-label">${input.name}</label>
+                        <label class="property-label">${escape(input.name)}</label>
                         <div class="connection-info">
-                            <span class="connection-type">${input.type}</span>
-                            <span class="connection-desc">${input.description}</span>
+                            <span class="connection-type">${escape(input.type)}</span>
+                            <span class="connection-desc">${escape(input.description)}</span>
                         </div>
                     </div>
                 `;
@@ -102,10 +133,10 @@ class NodeProperties {
             definition.outputs.forEach(output => {
                 html += `
                     <div class="property-item">
-                        <label class="property-label">${output.name}</label>
+                        <label class="property-label">${escape(output.name)}</label>
                         <div class="connection-info">
-                            <span class="connection-type">${output.type}</span>
-                            <span class="connection-desc">${output.description}</span>
+                            <span class="connection-type">${escape(output.type)}</span>
+                            <span class="connection-desc">${escape(output.description)}</span>
                         </div>
                     </div>
                 `;
@@ -117,7 +148,15 @@ class NodeProperties {
         // Connections section (incoming/outgoing wires)
         html += this.generateConnectionsHTML(node);
         
-        this.container.innerHTML = html;
+        const docsActive = this.activeTab === 'docs';
+        this.container.innerHTML = `
+            <div class="properties-tabs">
+                <button class="properties-tab${docsActive ? '' : ' active'}" data-tab="properties">Properties</button>
+                <button class="properties-tab${docsActive ? ' active' : ''}" data-tab="docs">Docs</button>
+            </div>
+            <div class="properties-pane" data-pane="properties"${docsActive ? ' hidden' : ''}>${html}</div>
+            <div class="properties-pane node-docs" data-pane="docs"${docsActive ? '' : ' hidden'}>${this.generateDocsHTML()}</div>
+        `;
         
         // Store references to property inputs for easy access
         this.container.querySelectorAll('[data-property-key]').forEach(input => {
@@ -224,7 +263,15 @@ class NodeProperties {
         }
         
         // Update node properties
+        const previousValue = this.currentNode.properties[key];
+        if (previousValue === value) return;
         this.currentNode.properties[key] = value;
+
+        // Record for undo/redo (consecutive keystrokes coalesce into one entry)
+        const wc = (typeof window !== 'undefined') ? window['workflowCanvas'] : null;
+        if (wc && typeof wc.recordPropertyChange === 'function') {
+            wc.recordPropertyChange(this.currentNode.id, key, previousValue, value);
+        }
         
         // Trigger property change event for other components
         this.emit('propertyChanged', {
@@ -238,8 +285,87 @@ class NodeProperties {
         this.logPropertyChange(key, value);
     }
     
+    // Missing node type, or changes between the node's saved definition and the current one
+    generateDefinitionStatusHTML(node) {
+        const wc = (typeof window !== 'undefined') ? window['workflowCanvas'] : null;
+        const escape = MarkdownRenderer.escape;
+        if (wc && wc.versions && wc.versions.missing.has(node.id)) {
+            return `
+                <div class="property-group definition-missing">
+                    <h4>Node type not available</h4>
+                    <div class="property-help">The server does not offer <code>${escape(node.type)}</code>. The node keeps its wires and values and is refreshed when the type returns.</div>
+                </div>
+            `;
+        }
+        const status = wc && wc.versions ? wc.versions.getStatus(node.id) : null;
+        if (!status) return '';
+        const { diff, current } = status;
+        const rows = [];
+        [['inputs', 'Input'], ['outputs', 'Output'], ['properties', 'Property']].forEach(([key, label]) => {
+            diff[key].added.forEach(item => rows.push(`<li class="diff-added">+ ${label} <code>${escape(item.name)}</code> ${escape(item.type || '')}</li>`));
+            diff[key].removed.forEach(item => rows.push(`<li class="diff-removed">&minus; ${label} <code>${escape(item.name)}</code> ${escape(item.type || '')}</li>`));
+            diff[key].changed.forEach(item => rows.push(`<li class="diff-changed">~ ${label} <code>${escape(item.name)}</code> ${escape(item.from || '')} &rarr; ${escape(item.to || '')}</li>`));
+        });
+        const dropped = wc.versions.getDroppedConnections(node.id, current).length;
+        return `
+            <div class="property-group definition-outdated">
+                <h4>Definition changed${escape(wc.versions.versionLabel(diff))}</h4>
+                ${rows.length ? `<ul class="definition-diff">${rows.join('')}</ul>` : '<div class="property-help">No port or property changes</div>'}
+                ${dropped ? `<div class="property-help">Upgrading removes ${dropped} wire(s) to ports that no longer exist.</div>` : ''}
+                <button class="btn btn-primary btn-upgrade-node" data-upgrade-node="${escape(node.id)}">Upgrade Node</button>
+            </div>
+        `;
+    }
+
+    setActiveTab(tab) {
+        this.activeTab = tab === 'docs' ? 'docs' : 'properties';
+        this.container.querySelectorAll('.properties-tab').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === this.activeTab);
+        });
+        this.container.querySelectorAll('.properties-pane').forEach(pane => {
+            pane.hidden = pane.dataset.pane !== this.activeTab;
+        });
+    }
+
+    generateDocsHTML() {
+        // A loaded node keeps only a trimmed copy of its definition (no docs or examples)
+        const node = this.currentNode;
+        const definition = this.docsDefinition || (node && (NodeDocs.getDefinition(node.type) || node.definition));
+        let html = '';
+        if (this.docsDefinition && node) {
+            html += `<button class="docs-back">&larr; Back to ${MarkdownRenderer.escape(node.definition.name)}</button>`;
+        }
+        return html + NodeDocs.render(definition);
+    }
+
+    updateDocsPane() {
+        const pane = this.container.querySelector('.properties-pane[data-pane="docs"]');
+        if (pane) pane.innerHTML = this.generateDocsHTML();
+    }
+
+    /**
+     * Show the docs of a node type (links in docs, palette hover card).
+     * With a node selected the Docs tab switches over; otherwise the panel shows just the docs.
+     */
+    showDocs(nodeType) {
+        const definition = NodeDocs.getDefinition(nodeType);
+        if (!definition) {
+            if (window.logger) window.logger.warn(`No documentation for node type '${nodeType}'`);
+            return;
+        }
+        const own = this.currentNode && this.currentNode.type === nodeType;
+        this.docsDefinition = own ? null : definition;
+        if (this.currentNode) {
+            this.updateDocsPane();
+            this.setActiveTab('docs');
+            return;
+        }
+        this.container.innerHTML = `<div class="properties-pane node-docs" data-pane="docs">${this.generateDocsHTML()}</div>`;
+    }
+    
     clearProperties() {
         this.currentNode = null;
+        this.docsDefinition = null;
         this.propertyInputs.clear();
         this.container.innerHTML = `
             <div class="no-selection">
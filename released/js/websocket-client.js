@@ -145,6 +145,14 @@ class WorkflowWebSocket {
             case 'available_nodes':
                 this.handleAvailableNodes(data.data);
                 break;
+            // Incremental node-library updates
+            case 'nodes_added':
+            case 'nodes_changed':
+                this.handleNodesUpdated(data.type, data.data);
+                break;
+            case 'nodes_removed':
+                this.handleNodesRemoved(data.data);
+                break;
             case 'node_execution_start':
                 this.handleNodeExecutionStart(data.data);
                 break;
@@ -160,6 +168,11 @@ class WorkflowWebSocket {
             case 'execution_progress':
                 this.handleExecutionProgress(data.data);
                 break;
+            // Debugger state confirmations (pause / step)
+            case 'execution_paused':
+            case 'execution_resumed':
+                this.notifySubscribers(data.type, data.data || {});
+                break;
             case 'connection_established':
                 this.handleConnectionEstablished(data.data);
                 break;
@@ -199,6 +212,44 @@ class WorkflowWebSocket {
         if (window.nodePalette && payload.nodes) {
             window.nodePalette.updateFromServer(payload.nodes);
         }
+        
+        // Optional type rules (aliases, supertypes, generics, converters)
+        if (window.workflowCanvas && payload.types) {
+            window.workflowCanvas.setTypeSystem(payload.types);
+        }
+        
+        // Nodes already on the canvas may have been saved with older definitions
+        if (window.workflowCanvas && window.workflowCanvas.versions && payload.nodes) {
+            window.workflowCanvas.versions.checkAll();
+        }
+    }
+
+    // nodes_added / nodes_changed: { nodes: [definition, ...] }
+    handleNodesUpdated(type, payload) {
+        const nodes = (payload && payload.nodes) || [];
+        console.log(`📦 ${type}:`, nodes.map(n => n.type).join(', '));
+        this.notifySubscribers(type, payload);
+        
+        if (window.nodePalette) {
+            window.nodePalette.upsertDefinitions(nodes);
+        }
+        if (window.workflowCanvas) {
+            window.workflowCanvas.refreshNodeTypes(nodes.map(n => n.type));
+        }
+    }
+
+    // nodes_removed: { types: ["type", ...] }
+    handleNodesRemoved(payload) {
+        const types = (payload && payload.types) || [];
+        console.log('📦 nodes_removed:', types.join(', '));
+        this.notifySubscribers('nodes_removed', payload);
+        
+        if (window.nodePalette) {
+            window.nodePalette.removeDefinitions(types);
+        }
+        if (window.workflowCanvas) {
+            window.workflowCanvas.refreshNodeTypes(types);
+        }
     }
 
     handleNodeExecutionStart(payload) {
@@ -207,7 +258,7 @@ class WorkflowWebSocket {
         
         // Update visual feedback
         if (window.workflowCanvas) {
-            const node = window.workflowCanvas.nodes.get(payload.node_id);
+            const node = window.workflowCanvas.resolveExecutionNode(payload.node_id);
             if (node) {
                 node.element.classList.add('executing');
             }
@@ -220,7 +271,7 @@ class WorkflowWebSocket {
         
         // Update visual feedback
         if (window.workflowCanvas) {
-            const node = window.workflowCanvas.nodes.get(payload.node_id);
+            const node = window.workflowCanvas.resolveExecutionNode(payload.node_id);
             if (node) {
                 node.element.classList.remove('executing');
             }
@@ -249,7 +300,7 @@ class WorkflowWebSocket {
         
         // Update visual feedback
         if (payload.node_id && window.workflowCanvas) {
-            const node = window.workflowCanvas.nodes.get(payload.node_id);
+            const node = window.workflowCanvas.resolveExecutionNode(payload.node_id);
             if (node) {
                 node.element.classList.remove('executing');
                 node.element.classList.add('error');
@@ -477,6 +528,40 @@ class WorkflowWebSocket {
         });
     }
 
+    // Pause after the running node finishes; the backend answers with execution_paused
+    pauseExecution(executionId) {
+        return this.send({
+            type: 'pause_execution',
+            data: { execution_id: executionId }
+        });
+    }
+
+    // With runToNodeId the backend pauses again before that node
+    resumeExecution(executionId, runToNodeId = null) {
+        const data = { execution_id: executionId };
+        if (runToNodeId) data.run_to_node_id = runToNodeId;
+        return this.send({
+            type: 'resume_execution',
+            data
+        });
+    }
+
+    // Run exactly one more node, then pause again
+    stepExecution(executionId) {
+        return this.send({
+            type: 'step_execution',
+            data: { execution_id: executionId }
+        });
+    }
+
+    // Replace the breakpoints of a running execution
+    setBreakpoints(executionId, breakpoints) {
+        return this.send({
+            type: 'set_breakpoints',
+            data: { execution_id: executionId, breakpoints }
+        });
+    }
+
     requestAvailableNodes() {
         return this.send({
             type: 'get_available_nodes'
@@ -26,12 +26,21 @@ class WorkflowCanvas {
         
         this.dragState = {
             isDragging: false,
-            dragMode: 'none', // 'none', 'node', 'canvas', 'connection'
+            dragMode: 'none', // 'none', 'node', 'canvas', 'connection', 'rewire', 'marquee'
             startX: 0,
             startY: 0,
             dragOffset: { x: 0, y: 0 },
             draggedNode: null,
+            draggedNodes: [],
+            marquee: null,
+            alignTargets: null,
+            freeMove: false,
+            lastClientX: 0,
+            lastClientY: 0,
             connectionStart: null,
+            spliceTarget: null,
+            spliceSearch: null,
+            rewire: null,
             isAutoPanning: false,
             autoPanSpeed: { x: 0, y: 0 }
         };
@@ -39,10 +48,35 @@ class WorkflowCanvas {
         this.canvasTransform = { x: 0, y: 0, scale: 1 };
         this.nodeCounter = 0;
         this.connectionCounter = 0;
+
+        // Clipboard: last copied fragment and last pointer position over the canvas (client coords)
+        this.clipboard = null;
+        this.lastPointer = null;
+        this.lastWheel = null; // previous wheel event, to tell a trackpad from a mouse wheel
+        this.contextMenuPoint = null;
+        this.contextNodeId = null;
+        this.contextConnection = null;
         
         this.grid = new GridLayer('grid-layer');
+        this.settings = this.loadSettings();
+        this.history = new WorkflowHistory(this);
+        this.layout = new WorkflowLayout(this);
+        this.types = new WorkflowTypeSystem();
+        this.nodePicker = new WorkflowNodePicker(this);
+        this.wireRouter = new WorkflowWireRouter(this);
+        this.groups = new WorkflowGroups(this);
+        this.notes = new WorkflowNotes(this);
+        this.subgraphs = new WorkflowSubgraphs(this);
+        this.versions = new WorkflowVersions(this);
+        this.readOnly = false; // set while a stored run is replayed
+        this.debugger = new WorkflowDebugger(this);
+        this.inspector = new WorkflowInspector(this);
+        this.layoutAnimation = null;
+        this.viewAnimationFrame = null;
         this.setupEventListeners();
         this.setupContextMenus();
+        this.setupCanvasToolbar();
+        this.minimap = new WorkflowMinimap(this);
         
         // Initialize world after DOM is ready to compute viewport size precisely
         requestAnimationFrame(() => this.initializeWorldCanvas());
@@ -84,10 +118,86 @@ class WorkflowCanvas {
 
     isTypeCompatible(srcType, dstType) {
         if (!srcType || !dstType) return true;
-        const a = srcType.toLowerCase();
-        const b = dstType.toLowerCase();
-        if (a === 'any' || b === 'any') return true;
-        return a === b;
+        return this.types.isAssignable(srcType, dstType);
+    }
+
+    // Type rules from the backend (see WorkflowTypeSystem); existing wires are restyled
+    setTypeSystem(config) {
+        this.types.configure(config || {});
+        this.redrawAllConnections();
+    }
+
+    // Converter node bridging srcType -> dstType, only if its node type is available
+    findConverter(srcType, dstType) {
+        const converter = this.types.findConverter(srcType, dstType);
+        const definition = converter && window.nodePalette ? window.nodePalette.getNodeDefinition(converter.nodeType) : null;
+        return definition ? Object.assign({ definition }, converter) : null;
+    }
+
+    /**
+     * While a wire is dragged, mark every port as compatible, convertible or incompatible.
+     * origins: the fixed ends [{ nodeId, type: 'input'|'output', name }]; a port must suit all of them.
+     */
+    highlightCompatiblePorts(origins) {
+        const rank = { compatible: 0, convertible: 1, incompatible: 2 };
+        const originTypes = origins.map(o => ({ origin: o, type: this.getPortType(o.nodeId, o.name, o.type) }));
+        this.nodesContainer.querySelectorAll('.connection-point').forEach(point => {
+            const role = point.dataset.connectionType;
+            const nodeId = point.dataset.nodeId;
+            const name = point.dataset.connectionName;
+            if (origins.some(o => o.nodeId === nodeId && o.type === role && o.name === name)) return;
+            const portType = this.getPortType(nodeId, name, role);
+            let state = 'compatible';
+            originTypes.forEach(({ origin, type }) => {
+                let current = 'incompatible';
+                if (role !== origin.type && nodeId !== origin.nodeId) {
+                    const [src, dst] = origin.type === 'output' ? [type, portType] : [portType, type];
+                    if (this.isTypeCompatible(src, dst)) current = 'compatible';
+                    else if (this.findConverter(src, dst)) current = 'convertible';
+                }
+                if (rank[current] > rank[state]) state = current;
+            });
+            point.classList.add(`port-${state}`);
+        });
+    }
+
+    clearPortHighlights() {
+        this.nodesContainer.querySelectorAll('.port-compatible, .port-convertible, .port-incompatible').forEach(point => {
+            point.classList.remove('port-compatible', 'port-convertible', 'port-incompatible');
+        });
+    }
+
+    // Connect two ports; when their types only meet through a converter node, offer to insert one
+    connectWithConversion(source, target) {
+        if (source.type === 'input') [source, target] = [target, source];
+        const srcType = this.getPortType(source.nodeId, source.name, 'output');
+        const dstType = this.getPortType(target.nodeId, target.name, 'input');
+        if (!this.isTypeCompatible(srcType, dstType)) {
+            const converter = this.findConverter(srcType, dstType);
+            if (converter && confirm(`${srcType} does not fit ${dstType}. Insert a "${converter.definition.name}" converter node?`)) {
+                return this.insertConverter(source, target, converter);
+            }
+        }
+        return this.createConnection(source, target);
+    }
+
+    insertConverter(source, target, converter) {
+        const definition = converter.definition;
+        const inputName = converter.input || ((definition.inputs || [])[0] || {}).name;
+        const outputName = converter.output || ((definition.outputs || [])[0] || {}).name;
+        const sourceNode = this.nodes.get(source.nodeId);
+        const targetNode = this.nodes.get(target.nodeId);
+        if (!inputName || !outputName || !sourceNode || !targetNode) return this.createConnection(source, target);
+
+        // Place the converter halfway between the two nodes
+        const from = this.getNodeRect(sourceNode);
+        const to = this.getNodeRect(targetNode);
+        const { x, y } = this.snapPosition((from.right + to.left) / 2 - 80, (from.centerY + to.centerY) / 2 - 20);
+        return this.history.transact('Insert converter', () => {
+            const nodeId = this.createNode(definition, Math.max(0, x), Math.max(0, y));
+            this.createConnection({ nodeId: source.nodeId, name: source.name, type: 'output' }, { nodeId, name: inputName, type: 'input' });
+            return this.createConnection({ nodeId, name: outputName, type: 'output' }, { nodeId: target.nodeId, name: target.name, type: 'input' });
+        });
     }
 
     applyConnectionTypeStyling(connectionData, srcType, dstType, compatible) {
@@ -168,7 +278,9 @@ class WorkflowCanvas {
 
     setSelectedNodesColor(color) {
         if (!color) return;
-        this.selectedNodes.forEach((nodeId) => {
+        const nodeIds = Array.from(this.selectedNodes);
+        const before = this._captureColorState(nodeIds);
+        nodeIds.forEach((nodeId) => {
             const node = this.nodes.get(nodeId);
             if (!node) return;
             node.color = color;
@@ -189,10 +301,13 @@ class WorkflowCanvas {
                 }
             });
         });
+        this._recordColorChange('Change color', nodeIds, before);
     }
 
     resetSelectedNodesColor() {
-        this.selectedNodes.forEach((nodeId) => {
+        const nodeIds = Array.from(this.selectedNodes);
+        const before = this._captureColorState(nodeIds);
+        nodeIds.forEach((nodeId) => {
             const node = this.nodes.get(nodeId);
             if (!node) return;
             node.color = null;
@@ -216,6 +331,73 @@ class WorkflowCanvas {
                 }
             });
         });
+        this._recordColorChange('Reset color', nodeIds, before);
+    }
+
+    // Snapshot colors of the given nodes and every wire attached to them
+    _captureColorState(nodeIds) {
+        const state = { nodes: new Map(), connections: new Map() };
+        nodeIds.forEach((nodeId) => {
+            const node = this.nodes.get(nodeId);
+            if (!node) return;
+            state.nodes.set(nodeId, node.color || null);
+            this.getIncomingConnections(nodeId).concat(this.getOutgoingConnections(nodeId)).forEach(({ connectionId }) => {
+                const conn = this.connections.get(connectionId);
+                if (conn) state.connections.set(connectionId, conn.color || null);
+            });
+        });
+        return state;
+    }
+
+    _applyColorState(state) {
+        state.nodes.forEach((color, nodeId) => {
+            const node = this.nodes.get(nodeId);
+            if (!node) return;
+            node.color = color;
+            this.applyNodeVisualStyle(node);
+        });
+        state.connections.forEach((color, connectionId) => {
+            const conn = this.connections.get(connectionId);
+            if (!conn) return;
+            conn.color = color;
+            this.applyConnectionColor(conn);
+        });
+    }
+
+    _recordColorChange(label, nodeIds, before) {
+        const after = this._captureColorState(nodeIds);
+        this._recordHistory({
+            label,
+            undo: () => this._applyColorState(before),
+            redo: () => this._applyColorState(after)
+        });
+    }
+
+    // Lock or unlock nodes; only nodes whose state actually changes are recorded
+    setNodesLocked(nodeIds, locked) {
+        const changed = [];
+        nodeIds.forEach(nodeId => {
+            const n = this.nodes.get(nodeId);
+            if (n && !!n.locked !== locked) {
+                this._applyNodeLock(n, locked);
+                changed.push(nodeId);
+            }
+        });
+        if (changed.length === 0) return;
+        const apply = (value) => changed.forEach(id => {
+            const n = this.nodes.get(id);
+            if (n) this._applyNodeLock(n, value);
+        });
+        this._recordHistory({
+            label: locked ? 'Lock node' : 'Unlock node',
+            undo: () => apply(!locked),
+            redo: () => apply(locked)
+        });
+    }
+
+    _applyNodeLock(node, locked) {
+        node.locked = locked;
+        if (node.element) node.element.classList.toggle('locked', locked);
     }
     
     setupEventListeners() {
@@ -233,22 +415,42 @@ class WorkflowCanvas {
                 if (definition) {
                     // Convert viewport coordinates to canvas coordinates (respecting pan/zoom)
                     const { x: cx, y: cy } = this.viewportToCanvas(e.clientX, e.clientY);
-                    const x = cx - 80; // Offset for node width
-                    const y = cy - 20; // Offset for node height
+                    // Offset for node width/height, then snap when enabled
+                    const { x, y } = this.snapPosition(cx - 80, cy - 20);
                     
                     console.log('Creating node at (canvas coords):', { x, y, clientX: e.clientX, clientY: e.clientY });
                     this.createNode(definition, Math.max(0, x), Math.max(0, y));
+                    window.nodePalette.markUsed(nodeType);
                 }
             }
         });
         
-        // Canvas panning
+        // Canvas panning (Shift+drag on empty space draws a selection rectangle instead)
         this.canvas.addEventListener('mousedown', (e) => {
             if (e.target === this.canvas || e.target === this.nodesContainer) {
-                this.startCanvasPan(e);
+                if (e.shiftKey && e.button === 0) {
+                    this.startMarqueeSelection(e);
+                } else {
+                    this.startCanvasPan(e);
+                }
             }
         });
         
+        // Double-click empty space to quick-add a node there
+        this.canvas.addEventListener('dblclick', (e) => {
+            if (this.isEmptyCanvasTarget(e.target)) {
+                this.openQuickAdd(e.clientX, e.clientY);
+            }
+        });
+        
+        // Track the pointer so pasted nodes land under the cursor
+        this.canvas.addEventListener('mousemove', (e) => {
+            this.lastPointer = { x: e.clientX, y: e.clientY };
+        });
+        this.canvas.addEventListener('mouseleave', () => {
+            this.lastPointer = null;
+        });
+        
         // Global mouse events
         document.addEventListener('mousemove', (e) => {
             this.handleMouseMove(e);
@@ -263,6 +465,11 @@ class WorkflowCanvas {
             this.handleKeyDown(e);
         });
         
+        // System clipboard (Ctrl+C / Ctrl+X / Ctrl+V arrive here so fragments can travel between tabs)
+        document.addEventListener('copy', (e) => this.handleClipboardEvent(e));
+        document.addEventListener('cut', (e) => this.handleClipboardEvent(e));
+        document.addEventListener('paste', (e) => this.handleClipboardEvent(e));
+        
         // Canvas zoom
         this.canvas.addEventListener('wheel', (e) => {
             e.preventDefault();
@@ -271,6 +478,7 @@ class WorkflowCanvas {
         
         // Selection handling
         this.canvas.addEventListener('click', (e) => {
+            if (this.consumeSuppressedClick()) return;
             if (e.target === this.canvas || e.target === this.nodesContainer) {
                 this.clearSelection();
             }
@@ -290,20 +498,49 @@ class WorkflowCanvas {
         this.canvas.addEventListener('contextmenu', (e) => {
             e.preventDefault();
             if (e.target === this.canvas || e.target === this.nodesContainer) {
+                this.contextMenuPoint = { x: e.clientX, y: e.clientY };
+                this.updateHistoryMenuItems(canvasContextMenu);
+                const upgradeItem = canvasContextMenu.querySelector('[data-action="upgrade-outdated"]');
+                if (upgradeItem) upgradeItem.style.display = this.versions.getOutdatedNodeIds().length ? '' : 'none';
                 this.showContextMenu(canvasContextMenu, e.clientX, e.clientY);
             }
         });
         
         // Context menu actions
         canvasContextMenu.addEventListener('click', (e) => {
+            if (e.target.classList.contains('disabled')) {
+                this.hideContextMenus();
+                return;
+            }
             const action = e.target.dataset.action;
             switch (action) {
+                case 'undo':
+                    this.undo();
+                    break;
+                case 'redo':
+                    this.redo();
+                    break;
                 case 'paste':
-                    this.pasteNodes();
+                    this.pasteNodes(null, this.contextMenuPoint);
                     break;
                 case 'select-all':
                     this.selectAll();
                     break;
+                case 'auto-arrange':
+                    this.autoArrange();
+                    break;
+                case 'add-note':
+                    if (this.contextMenuPoint) this.notes.createAt(this.contextMenuPoint.x, this.contextMenuPoint.y);
+                    break;
+                case 'zoom-fit':
+                    this.zoomToFit();
+                    break;
+                case 'zoom-reset':
+                    this.resetZoom();
+                    break;
+                case 'upgrade-outdated':
+                    this.versions.upgradeAll();
+                    break;
                 case 'clear':
                     this.clearCanvas();
                     break;
@@ -326,31 +563,70 @@ class WorkflowCanvas {
                 case 'copy':
                     this.copySelectedNodes();
                     break;
+                case 'cut':
+                    this.cutSelectedNodes();
+                    break;
                 case 'duplicate':
                     this.duplicateSelectedNodes();
                     break;
-                case 'lock': {
-                    // Lock all selected nodes
-                    this.selectedNodes.forEach(nodeId => {
-                        const n = this.nodes.get(nodeId);
-                        if (n && !n.locked) {
-                            n.locked = true;
-                            if (n.element) n.element.classList.add('locked');
-                        }
-                    });
+                case 'arrange-selection':
+                    this.autoArrange({ selectionOnly: true });
                     break;
-                }
-                case 'unlock': {
-                    // Unlock all selected nodes
-                    this.selectedNodes.forEach(nodeId => {
-                        const n = this.nodes.get(nodeId);
-                        if (n && n.locked) {
-                            n.locked = false;
-                            if (n.element) n.element.classList.remove('locked');
-                        }
-                    });
+                case 'zoom-selection':
+                    this.zoomToSelection();
+                    break;
+                case 'create-group':
+                    this.groups.createFromSelection();
+                    break;
+                case 'add-node-note':
+                    this.notes.createForNode(this.contextNodeId);
+                    break;
+                case 'collapse-subgraph':
+                    this.subgraphs.collapseSelection();
+                    break;
+                case 'open-subgraph':
+                    this.subgraphs.open(this.contextNodeId);
+                    break;
+                case 'save-macro':
+                    this.subgraphs.saveAsMacro(this.contextNodeId);
+                    break;
+                case 'align-left':
+                case 'align-right':
+                case 'align-top':
+                case 'align-bottom':
+                case 'align-center':
+                case 'align-middle':
+                case 'distribute-horizontal':
+                case 'distribute-vertical':
+                    this.runAlignCommand(action);
+                    break;
+                case 'upgrade-node':
+                    this.versions.upgradeNodes(Array.from(this.selectedNodes));
+                    break;
+                case 'toggle-breakpoint':
+                    this.debugger.toggleSelectedBreakpoints();
+                    break;
+                case 'edit-breakpoint':
+                    this.debugger.editCondition(this.contextNodeId);
+                    break;
+                case 'inspect-outputs':
+                    this.inspector.open(this.contextNodeId);
+                    break;
+                case 'run-from':
+                    this.runPartial('from', [this.contextNodeId]);
+                    break;
+                case 'run-upto':
+                    this.runPartial('upto', [this.contextNodeId]);
+                    break;
+                case 'run-selection':
+                    this.runPartial('selection', Array.from(this.selectedNodes));
+                    break;
+                case 'lock':
+                    this.setNodesLocked(Array.from(this.selectedNodes), true);
+                    break;
+                case 'unlock':
+                    this.setNodesLocked(Array.from(this.selectedNodes), false);
                     break;
-                }
                 case 'reset-node-color': {
                     this.resetSelectedNodesColor();
                     break;
@@ -370,10 +646,22 @@ class WorkflowCanvas {
                     return;
                 }
                 const action = e.target.dataset.action;
+                const context = this.contextConnection || {};
                 switch (action) {
                     case 'delete-connection':
                         this.deleteSelectedConnections();
                         break;
+                    case 'insert-node':
+                        this.openInsertNodePicker(context.connectionId, context.clientX, context.clientY);
+                        break;
+                    case 'delete-reroute':
+                        if (context.rerouteIndex !== null && context.rerouteIndex !== undefined) {
+                            this.removeReroutePoint(context.connectionId, context.rerouteIndex);
+                        }
+                        break;
+                    case 'clear-reroutes':
+                        this.clearReroutePoints(context.connectionId);
+                        break;
                 }
                 this.hideContextMenus();
             });
@@ -441,10 +729,12 @@ class WorkflowCanvas {
         }
     }
     
-    createNode(definition, x, y) {
-        const nodeId = `node_${++this.nodeCounter}`;
+    createNode(definition, x, y, options = {}) {
+        const nodeId = options.id || `node_${++this.nodeCounter}`;
+        this._reserveCounter('nodeCounter', nodeId);
         const nodeElement = document.createElement('div');
         nodeElement.className = 'workflow-node';
+        if (definition.subgraph) nodeElement.classList.add('subgraph-node');
         nodeElement.dataset.nodeId = nodeId;
         nodeElement.style.visibility = 'hidden';
         
@@ -488,16 +778,80 @@ class WorkflowCanvas {
         
         // Setup connection point events
         this.setupConnectionEvents(nodeElement);
+        // Flag nodes restored with an older definition than the palette's
+        this.versions.refreshNode(nodeId);
+        this.debugger.renderNode(nodeId);
         
         // Update performance metrics
         this.updatePerformanceMetrics();
         this.updateCanvasBounds();
+
+        let snapshot = null;
+        this._recordHistory({
+            label: 'Add node',
+            undo: () => {
+                snapshot = this.serializeNode(nodeId);
+                this.deleteNode(nodeId, { force: true });
+            },
+            redo: () => this.restoreNode(snapshot)
+        });
         
         return nodeId;
     }
     
+    /**
+     * Swap a node's definition in place: ports are rebuilt, wires to ports that no longer
+     * exist are removed and the remaining ones are re-attached.
+     */
+    setNodeDefinition(nodeId, definition) {
+        const node = this.nodes.get(nodeId);
+        if (!node || !definition) return false;
+        const previous = node.definition;
+        const hasPort = (list, name) => (list || []).some(p => p.name === name);
+        this.history.transact('Change node definition', () => {
+            Array.from(this.connections.values()).forEach(connection => {
+                const gone = (connection.source.nodeId === nodeId && !hasPort(definition.outputs, connection.source.name)) ||
+                    (connection.target.nodeId === nodeId && !hasPort(definition.inputs, connection.target.name));
+                if (gone) this.deleteConnection(connection.id, { force: true });
+            });
+            this._applyNodeDefinition(node, definition);
+            this._recordHistory({
+                label: 'Change node definition',
+                undo: () => this._applyNodeDefinition(this.nodes.get(nodeId), previous),
+                redo: () => this._applyNodeDefinition(this.nodes.get(nodeId), definition)
+            });
+        });
+        return true;
+    }
+
+    // Live node-library update for these types (added, changed or removed on the server)
+    refreshNodeTypes(types) {
+        return this.versions.syncTypes(types || []);
+    }
+
+    _applyNodeDefinition(node, definition) {
+        if (!node) return;
+        node.definition = definition;
+        node.type = definition.type;
+        node.element.innerHTML = this.generateNodeHTML(definition, node.id);
+        this.setupConnectionEvents(node.element);
+        this.applyNodeVisualStyle(node);
+        // Re-point wires at the new port elements
+        this.updateNodeConnections(node.id);
+        this.connections.forEach(connection => {
+            ['source', 'target'].forEach(end => {
+                if (connection[end].nodeId === node.id && connection[end].element) connection[end].element.classList.add('connected');
+            });
+        });
+        this.versions.refreshNode(node.id);
+        this.debugger.renderNode(node.id);
+        this.updateCanvasBounds();
+        if (window.nodeProperties && window.nodeProperties.currentNode === node) window.nodeProperties.refreshProperties();
+    }
+    
     generateNodeHTML(definition, nodeId) {
-        let html = `<div class="node-header">${definition.name}</div><div class="node-body">`;
+        const gutter = definition.subgraph ? '' : '<span class="node-breakpoint" title="Set breakpoint (F9)"></span>';
+        let html = `<div class="node-header">${gutter}${definition.name}</div><div class="node-body">`;
         
         // Input connections
         if (definition.inputs && definition.inputs.length > 0) {
@@ -549,12 +903,19 @@ class WorkflowCanvas {
         // Node selection
         element.addEventListener('click', (e) => {
             e.stopPropagation();
+            // A finished drag ends with a click; keep the selection that was dragged
+            if (this.consumeSuppressedClick()) return;
+            // The dot at the start of the header toggles a breakpoint
+            if (e.target.classList.contains('node-breakpoint')) {
+                this.debugger.toggleBreakpoint(nodeData.id);
+                return;
+            }
             this.selectNode(nodeData.id, !e.ctrlKey);
         });
         
         // Node dragging
         element.addEventListener('mousedown', (e) => {
-            if (!e.target.classList.contains('connection-point')) {
+            if (!e.target.classList.contains('connection-point') && !e.target.classList.contains('node-breakpoint')) {
                 if (nodeData.locked) {
                     // Prevent dragging locked nodes
                     return;
@@ -563,17 +924,39 @@ class WorkflowCanvas {
             }
         });
         
+        // Double-click a subgraph node to edit its contents
+        element.addEventListener('dblclick', (e) => {
+            if (!nodeData.definition.subgraph || e.target.classList.contains('connection-point')) return;
+            e.stopPropagation();
+            this.subgraphs.open(nodeData.id);
+        });
+        
         // Context menu for nodes
         element.addEventListener('contextmenu', (e) => {
             e.preventDefault();
             e.stopPropagation();
-            this.selectNode(nodeData.id, true);
+            // Keep a multi-selection so menu actions apply to all of it
+            if (!this.selectedNodes.has(nodeData.id)) {
+                this.selectNode(nodeData.id, true);
+            }
+            this.contextNodeId = nodeData.id;
             const nodeContextMenu = document.getElementById('node-context-menu');
             // Toggle lock/unlock menu items based on node state
             if (nodeContextMenu) {
                 const lockItem = nodeContextMenu.querySelector('[data-action="lock"]');
                 const unlockItem = nodeContextMenu.querySelector('[data-action="unlock"]');
                 const deleteItem = nodeContextMenu.querySelector('[data-action="delete"]');
+                const isSubgraph = !!nodeData.definition.subgraph;
+                nodeContextMenu.querySelectorAll('[data-action="open-subgraph"], [data-action="save-macro"]').forEach(item => {
+                    item.style.display = isSubgraph ? '' : 'none';
+                });
+                const outdated = Array.from(this.selectedNodes).some(id => this.versions.getStatus(id));
+                nodeContextMenu.querySelectorAll('[data-action="upgrade-node"]').forEach(item => {
+                    item.style.display = outdated ? '' : 'none';
+                });
+                nodeContextMenu.querySelectorAll('[data-action="toggle-breakpoint"], [data-action="edit-breakpoint"], [data-action="inspect-outputs"]').forEach(item => {
+                    item.style.display = isSubgraph ? 'none' : '';
+                });
                 if (nodeData.locked) {
                     if (lockItem) lockItem.style.display = 'none';
                     if (unlockItem) unlockItem.style.display = '';
@@ -603,6 +986,17 @@ class WorkflowCanvas {
                     name: point.dataset.connectionName
                 };
                 
+                // Ctrl-drag from an output picks up all of its wires to move them to another output
+                if ((e.ctrlKey || e.metaKey) && connectionData.type === 'output') {
+                    const outgoing = this.getOutgoingConnections(connectionData.nodeId)
+                        .filter(c => c.outputName === connectionData.name)
+                        .map(c => c.connectionId);
+                    if (outgoing.length > 0) {
+                        this.startRewireDrag(e, outgoing, 'source');
+                        return;
+                    }
+                }
+                
                 this.startConnectionDrag(e, connectionData);
             });
             
@@ -622,10 +1016,13 @@ class WorkflowCanvas {
     }
     
     startNodeDrag(e, nodeData) {
+        this.finishLayoutAnimation();
         this.dragState.isDragging = true;
         this.dragState.dragMode = 'node';
         this.dragState.startX = e.clientX;
         this.dragState.startY = e.clientY;
+        this.dragState.lastClientX = e.clientX;
+        this.dragState.lastClientY = e.clientY;
         this.dragState.draggedNode = nodeData;
         
         // Store the original node position and mouse offset
@@ -634,12 +1031,25 @@ class WorkflowCanvas {
             y: nodeData.position.y
         };
         
-        nodeData.element.style.zIndex = '1000';
-        // Let CSS know we're dragging (stabilize 3D tilt, elevate shadow)
-        nodeData.element.classList.add('dragging');
+        // Grabbing a selected node drags the whole selection; locked nodes stay put
+        const group = this.selectedNodes.has(nodeData.id)
+            ? Array.from(this.selectedNodes).map(id => this.nodes.get(id)).filter(n => n && !n.locked)
+            : [nodeData];
+        this.dragState.draggedNodes = group.map(node => ({
+            node,
+            start: { x: node.position.x, y: node.position.y }
+        }));
+        this.dragState.draggedWaypoints = this.collectWaypoints(group.map(node => node.id));
+        
+        group.forEach(node => {
+            node.element.style.zIndex = '1000';
+            // Let CSS know we're dragging (stabilize 3D tilt, elevate shadow)
+            node.element.classList.add('dragging');
+        });
     }
     
     startCanvasPan(e) {
+        this.stopViewAnimation();
         this.dragState.isDragging = true;
         this.dragState.dragMode = 'canvas';
         this.dragState.startX = e.clientX - this.canvasTransform.x;
@@ -653,6 +1063,7 @@ class WorkflowCanvas {
         
         // Visual feedback
         connectionData.element.classList.add('connecting');
+        this.highlightCompatiblePorts([connectionData]);
         
         console.log('Starting connection drag from:', connectionData);
     }
@@ -671,35 +1082,62 @@ class WorkflowCanvas {
             case 'connection':
                 this.updateConnectionDrag(e);
                 break;
+            case 'rewire':
+                this.updateRewireDrag(e);
+                break;
+            case 'marquee':
+                this.updateMarqueeSelection(e);
+                break;
         }
     }
     
     updateNodeDrag(e) {
-        if (this.dragState.isAutoPanning) return; // Let the auto-pan loop handle movement
+        this.dragState.lastClientX = e.clientX;
+        this.dragState.lastClientY = e.clientY;
+        this.dragState.freeMove = e.altKey; // Alt suspends grid and guide snapping
         this.checkForAutoPan(e);
-
-        const node = this.dragState.draggedNode;
-        if (!node) return;
+        if (this.dragState.isAutoPanning) return; // Let the auto-pan loop handle movement
+        this.applyNodeDrag();
+    }
+    
+    // Move every dragged node by the pointer delta since the drag started
+    applyNodeDrag() {
+        const dragged = this.dragState.draggedNodes;
+        if (!dragged || dragged.length === 0) return;
         
         // Calculate movement delta from start position
         const scale = this.canvasTransform.scale || 1;
-        const deltaX = (e.clientX - this.dragState.startX) / scale;
-        const deltaY = (e.clientY - this.dragState.startY) / scale;
+        let deltaX = (this.dragState.lastClientX - this.dragState.startX) / scale;
+        let deltaY = (this.dragState.lastClientY - this.dragState.startY) / scale;
         
-        // Apply delta to original position
-        const rawX = this.dragState.dragOffset.x + deltaX;
-        const rawY = this.dragState.dragOffset.y + deltaY;
-        const w = node.element.offsetWidth;
-        const h = node.element.offsetHeight;
-        const { x: newX, y: newY } = this.clampToWorld(rawX, rawY, w, h);
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        dragged.forEach(({ node, start }) => {
+            minX = Math.min(minX, start.x);
+            minY = Math.min(minY, start.y);
+            maxX = Math.max(maxX, start.x + node.element.offsetWidth);
+            maxY = Math.max(maxY, start.y + node.element.offsetHeight);
+        });
+        ({ x: deltaX, y: deltaY } = this.snapDragDelta(deltaX, deltaY, { minX, minY, maxX, maxY }));
         
-        node.position.x = newX;
-        node.position.y = newY;
-        node.element.style.left = `${newX}px`;
-        node.element.style.top = `${newY}px`;
+        // Clamp the group's bounding box so the selection keeps its shape at the world edge
+        const clamped = this.clampToWorld(minX + deltaX, minY + deltaY, maxX - minX, maxY - minY);
+        deltaX = clamped.x - minX;
+        deltaY = clamped.y - minY;
+        
+        dragged.forEach(({ node, start }) => {
+            node.position.x = start.x + deltaX;
+            node.position.y = start.y + deltaY;
+            node.element.style.left = `${node.position.x}px`;
+            node.element.style.top = `${node.position.y}px`;
+        });
+        this.shiftWaypoints(this.dragState.draggedWaypoints, deltaX, deltaY);
         
         // Update connections
-        this.updateNodeConnections(node.id);
+        this.updateNodeConnections(dragged.map(({ node }) => node.id));
+        
+        // A single unwired node can be dropped onto a wire to splice it in
+        if (dragged.length === 1) this.scheduleSpliceSearch(dragged[0].node);
+        else this.setSpliceTarget(null);
     }
     
     updateCanvasPan(e) {
@@ -736,29 +1174,190 @@ class WorkflowCanvas {
         const startRel = this.getRelativeCoords(startAbs.x, startAbs.y);
         const endRel = this.getRelativeCoords(e.clientX, e.clientY);
 
-        const startX = startRel.x;
-        const startY = startRel.y;
-        const endX = endRel.x;
-        const endY = endRel.y;
-        
-        // Create preview line
+        // Shape it like the finished wire: output end first, in the current wire style
+        const fromInput = this.dragState.connectionStart.type === 'input';
+        this.addConnectionPreview(fromInput ? [endRel, startRel] : [startRel, endRel]);
+    }
+    
+    // Dashed wire shown while dragging; points run from the output end to the input end
+    addConnectionPreview(points) {
         const previewLine = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        
-        // Calculate control points for smooth curve
-        const distance = Math.abs(endX - startX);
-        const controlOffset = Math.max(80, distance * 0.4);
-        
-        const pathData = `M ${startX} ${startY} C ${startX + controlOffset} ${startY} ${endX - controlOffset} ${endY} ${endX} ${endY}`;
-        
-        previewLine.setAttribute('d', pathData);
+        previewLine.setAttribute('d', this.buildConnectionPath(points));
         previewLine.setAttribute('class', 'connection-preview');
         previewLine.setAttribute('stroke', '#00ffaa');
         previewLine.setAttribute('stroke-width', '2');
         previewLine.setAttribute('stroke-dasharray', '5,5');
         previewLine.setAttribute('fill', 'none');
         previewLine.style.pointerEvents = 'none';
-        
         this.connectionsContainer.appendChild(previewLine);
+        return previewLine;
+    }
+    
+    // --- Rewiring existing connections ---
+    // end: 'source' or 'target'; which end of the wire is within reach of the pointer (client coords)
+    getConnectionEndAt(connection, clientX, clientY, radius = 24) {
+        let best = null;
+        ['source', 'target'].forEach(end => {
+            const element = connection[end].element;
+            if (!element) return;
+            const center = this.getAbsoluteCenter(element);
+            const distance = Math.hypot(center.x - clientX, center.y - clientY);
+            if (distance <= radius && (!best || distance < best.distance)) best = { end, distance };
+        });
+        return best ? best.end : null;
+    }
+    
+    // Detach one end of each wire and follow the pointer; the other end stays put
+    startRewireDrag(e, connectionIds, end) {
+        const connections = connectionIds.map(id => this.connections.get(id)).filter(c => c && !this.isConnectionLocked(c));
+        if (connections.length === 0) return;
+        this.hideContextMenus();
+        this.dragState.isDragging = true;
+        this.dragState.dragMode = 'rewire';
+        this.dragState.rewire = { connectionIds: connections.map(c => c.id), end };
+        this.highlightCompatiblePorts(connections.map(c => {
+            const fixed = c[end === 'source' ? 'target' : 'source'];
+            return { nodeId: fixed.nodeId, name: fixed.name, type: end === 'source' ? 'input' : 'output' };
+        }));
+        connections.forEach(c => {
+            if (c.element) c.element.classList.add('rewiring');
+            (c.rerouteElements || []).forEach(handle => { handle.style.display = 'none'; });
+            if (c.previewElement) c.previewElement.style.display = 'none';
+        });
+        this.updateRewireDrag(e);
+    }
+    
+    updateRewireDrag(e) {
+        const rewire = this.dragState.rewire;
+        if (!rewire) return;
+        this.connectionsContainer.querySelectorAll('.connection-preview').forEach(el => el.remove());
+        const pointer = this.getRelativeCoords(e.clientX, e.clientY);
+        rewire.connectionIds.forEach(id => {
+            const connection = this.connections.get(id);
+            const fixed = connection && connection[rewire.end === 'source' ? 'target' : 'source'];
+            if (!fixed || !fixed.element) return;
+            const anchorAbs = this.getAbsoluteCenter(fixed.element);
+            const anchor = this.getRelativeCoords(anchorAbs.x, anchorAbs.y);
+            this.addConnectionPreview(rewire.end === 'source' ? [pointer, anchor] : [anchor, pointer]);
+        });
+    }
+    
+    endRewireDrag(e) {
+        const rewire = this.dragState.rewire;
+        if (!rewire) return;
+        this.connectionsContainer.querySelectorAll('.connection-preview').forEach(el => el.remove());
+        this.clearPortHighlights();
+        const port = this.getPortAtPoint(e.clientX, e.clientY);
+        if (port) {
+            this.rewireConnections(rewire.connectionIds, rewire.end, port);
+            this.suppressNextClick();
+        }
+        // Dropped anywhere else: the wires snap back
+        rewire.connectionIds.forEach(id => {
+            const connection = this.connections.get(id);
+            if (!connection) return;
+            if (connection.element) connection.element.classList.remove('rewiring');
+            this.drawConnection(connection);
+        });
+    }
+    
+    getPortAtPoint(clientX, clientY) {
+        const element = document.elementFromPoint(clientX, clientY);
+        if (!element || !element.classList.contains('connection-point')) return null;
+        return {
+            nodeId: element.dataset.nodeId,
+            type: element.dataset.connectionType,
+            name: element.dataset.connectionName
+        };
+    }
+    
+    /**
+     * Move the given end of each connection to port ({ nodeId, type, name }).
+     * Wires keep their id, color and reroute points; incompatible moves are skipped.
+     */
+    rewireConnections(connectionIds, end, port) {
+        const role = end === 'source' ? 'output' : 'input';
+        if (!port || port.type !== role) return false;
+        let moved = 0;
+        this.history.transact(connectionIds.length > 1 ? 'Rewire connections' : 'Rewire connection', () => {
+            connectionIds.forEach(id => {
+                const connection = this.connections.get(id);
+                if (!connection || this.isConnectionLocked(connection)) return;
+                const current = connection[end];
+                const fixed = connection[end === 'source' ? 'target' : 'source'];
+                if (current.nodeId === port.nodeId && current.name === port.name) return;
+                if (fixed.nodeId === port.nodeId) return; // No self-connections
+                const sourceType = end === 'source'
+                    ? this.getPortType(port.nodeId, port.name, 'output')
+                    : this.getPortType(connection.source.nodeId, connection.source.name, 'output');
+                const targetType = end === 'target'
+                    ? this.getPortType(port.nodeId, port.name, 'input')
+                    : this.getPortType(connection.target.nodeId, connection.target.name, 'input');
+                if (!this.isTypeCompatible(sourceType, targetType)) {
+                    if (window.logger) window.logger.warn(`Cannot rewire ${id}: ${sourceType} is not compatible with ${targetType}`);
+                    return;
+                }
+                if (this._moveConnectionEnd(connection, end, port)) moved++;
+            });
+        });
+        return moved > 0;
+    }
+    
+    _moveConnectionEnd(connection, end, port) {
+        const connectionId = connection.id;
+        // An input takes a single wire: whatever is bound there now is replaced
+        if (end === 'target') {
+            const existing = this.getInputBinding(port.nodeId, port.name);
+            if (existing && existing.connectionId !== connectionId) {
+                this.deleteConnection(existing.connectionId);
+                if (this.getInputBinding(port.nodeId, port.name)) return false;
+            }
+        }
+        const from = { nodeId: connection[end].nodeId, name: connection[end].name };
+        const to = { nodeId: port.nodeId, name: port.name };
+        if (!this._setConnectionEnd(connection, end, to)) return false;
+        this._recordHistory({
+            label: 'Rewire connection',
+            undo: () => this._setConnectionEnd(this.connections.get(connectionId), end, from),
+            redo: () => this._setConnectionEnd(this.connections.get(connectionId), end, to)
+        });
+        return true;
+    }
+    
+    // Re-point one end of a connection, keeping connectionIndex and port states in step
+    _setConnectionEnd(connection, end, port) {
+        if (!connection) return false;
+        const role = end === 'source' ? 'output' : 'input';
+        const node = this.nodes.get(port.nodeId);
+        const element = node ? node.element.querySelector(
+            `.connection-point[data-connection-type="${role}"][data-connection-name="${port.name}"]`
+        ) : null;
+        if (!element) return false;
+        
+        const previous = connection[end];
+        this._unregisterConnectionFromIndex(connection);
+        connection[end] = { nodeId: port.nodeId, name: port.name, type: role, element };
+        this._registerConnectionInIndex(connection);
+        
+        this._refreshPortConnectedState(previous.nodeId, role, previous.name, previous.element);
+        element.classList.add('connected');
+        this.drawConnection(connection);
+        
+        const fixedNodeId = connection[end === 'source' ? 'target' : 'source'].nodeId;
+        new Set([previous.nodeId, port.nodeId, fixedNodeId]).forEach(nodeId => this._notifyConnectionsChanged(nodeId));
+        return true;
+    }
+    
+    _refreshPortConnectedState(nodeId, role, name, element) {
+        if (!element) return;
+        let connected;
+        if (role === 'input') {
+            connected = !!this.getInputBinding(nodeId, name);
+        } else {
+            const outgoingMap = this.connectionIndex.outgoing.get(nodeId);
+            connected = !!(outgoingMap && outgoingMap.has(name));
+        }
+        element.classList.toggle('connected', connected);
     }
     
     handleMouseUp(e) {
@@ -774,6 +1373,12 @@ class WorkflowCanvas {
             case 'connection':
                 this.endConnection(e);
                 break;
+            case 'rewire':
+                this.endRewireDrag(e);
+                break;
+            case 'marquee':
+                this.endMarqueeSelection();
+                break;
         }
         
         this.resetDragState();
@@ -781,62 +1386,526 @@ class WorkflowCanvas {
     
     endNodeDrag() {
         // Node drag complete
-        if (this.dragState.draggedNode) {
-            this.dragState.draggedNode.element.style.zIndex = '';
-            this.dragState.draggedNode.element.classList.remove('dragging');
-            this.updateCanvasBounds();
-            // Redraw all connections to ensure they stay attached
-            this.redrawAllConnections();
+        const dragged = this.dragState.draggedNodes || [];
+        // Settle the splice target against the wires as they were shown, before they are redrawn
+        this.flushSpliceSearch();
+        this.clearAlignmentGuides();
+        if (dragged.length === 0) return;
+        dragged.forEach(({ node }) => {
+            node.element.style.zIndex = '';
+            node.element.classList.remove('dragging');
+        });
+        this.updateCanvasBounds();
+        // Redraw all connections to ensure they stay attached
+        this.redrawAllConnections();
+        const moves = dragged.map(({ node, start }) => ({
+            id: node.id,
+            from: { x: start.x, y: start.y },
+            to: { x: node.position.x, y: node.position.y }
+        }));
+        // Keep a dragged selection intact; a lone unselected node is still selected by its click
+        const draggedSelection = this.dragState.draggedNode && this.selectedNodes.has(this.dragState.draggedNode.id);
+        if (draggedSelection && moves.some(m => m.from.x !== m.to.x || m.from.y !== m.to.y)) {
+            this.suppressNextClick();
+        }
+        const splice = this.dragState.spliceTarget;
+        const waypoints = this.dragState.draggedWaypoints || [];
+        this.dragState.draggedWaypoints = null;
+        this.setSpliceTarget(null);
+        if (splice) {
+            this.history.transact('Insert node', () => {
+                this.recordNodeMoves(moves);
+                this.spliceNodeIntoConnection(dragged[0].node.id, splice.connectionId, splice.ports);
+            });
+        } else {
+            this.history.transact(moves.length > 1 ? 'Move nodes' : 'Move node', () => {
+                this.recordNodeMoves(moves);
+                this.recordWaypointShifts(waypoints);
+            });
         }
     }
     
-    endCanvasPan() {
-        // Canvas pan complete
+    // --- Splicing a node into a wire ---
+    // Port types at both ends of a wire
+    getConnectionTypes(connection) {
+        return {
+            source: this.getPortType(connection.source.nodeId, connection.source.name, 'output'),
+            target: this.getPortType(connection.target.nodeId, connection.target.name, 'input')
+        };
     }
     
-    endConnection(e) {
-        // Remove preview line
-        const existingPreview = this.connectionsContainer.querySelector('.connection-preview');
-        if (existingPreview) {
-            existingPreview.remove();
+    /**
+     * Pick the input that accepts the wire's source type and the output the wire's target accepts.
+     * inputs/outputs: [{ name, type }]; exact type matches win over 'any'.
+     */
+    findSplicePorts(inputs, outputs, sourceType, targetType) {
+        const input = this._bestPort(inputs, p => this.isTypeCompatible(sourceType, p.type));
+        const output = this._bestPort(outputs, p => this.isTypeCompatible(p.type, targetType));
+        return input && output ? { input: input.name, output: output.name } : null;
+    }
+    
+    getSplicePortsForDefinition(definition, connection) {
+        const types = this.getConnectionTypes(connection);
+        const normalize = (list) => (list || []).map(io => ({ name: io.name, type: String(io.type || 'any').toLowerCase() }));
+        return this.findSplicePorts(normalize(definition.inputs), normalize(definition.outputs), types.source, types.target);
+    }
+    
+    getSplicePortsForNode(nodeId, connection) {
+        const node = this.nodes.get(nodeId);
+        if (!node || !node.definition) return null;
+        const types = this.getConnectionTypes(connection);
+        const ports = (list, role) => (list || []).map(io => ({ name: io.name, type: this.getPortType(nodeId, io.name, role) }));
+        return this.findSplicePorts(ports(node.definition.inputs, 'input'), ports(node.definition.outputs, 'output'), types.source, types.target);
+    }
+    
+    isConnectionLocked(connection) {
+        const srcNode = this.nodes.get(connection.source.nodeId);
+        const dstNode = this.nodes.get(connection.target.nodeId);
+        return !!(srcNode && srcNode.locked) && !!(dstNode && dstNode.locked);
+    }
+    
+    // The wire passing closest to the centre of an unwired node's rectangle, if the node fits into it
+    findSpliceTarget(node) {
+        if (!node || node.locked) return null;
+        for (const connection of this.connections.values()) {
+            if (connection.source.nodeId === node.id || connection.target.nodeId === node.id) return null;
         }
-        
-        const targetElement = document.elementFromPoint(e.clientX, e.clientY);
-        
-        if (targetElement && targetElement.classList.contains('connection-point')) {
-            // Get the node that contains this connection point
-            const targetNodeId = targetElement.dataset.nodeId;
-            const targetNode = this.nodes.get(targetNodeId);
-            
-            if (!targetNode) return;
-            
-            // Find the exact connection point element using the same selector as in drawConnection
-            const targetType = targetElement.dataset.connectionType;
-            const targetName = targetElement.dataset.connectionName;
-            
-            const exactTargetElement = targetNode.element.querySelector(
-                `.connection-point[data-connection-type="${targetType}"][data-connection-name="${targetName}"]`
-            );
-            
-            if (!exactTargetElement) return;
-            
-            const target = {
-                element: exactTargetElement,
-                nodeId: targetNodeId,
-                type: targetType,
-                name: targetName
-            };
-            
-            // Also ensure we have the exact source element
-            const sourceNodeId = this.dragState.connectionStart.nodeId;
-            const sourceNode = this.nodes.get(sourceNodeId);
-            if (!sourceNode) return;
-            
-            const sourceType = this.dragState.connectionStart.type;
-            const sourceName = this.dragState.connectionStart.name;
-            
-            const exactSourceElement = sourceNode.element.querySelector(
-                `.connection-point[data-connection-type="${sourceType}"][data-connection-name="${sourceName}"]`
+        const rect = this.getNodeRect(node);
+        // The dragged node is unwired, so no other wire changes shape during the drag:
+        // their bounding boxes and sample points are measured once per drag
+        const cache = this.dragState.spliceSearch ? this.dragState.spliceSearch.samples : new Map();
+        let best = null;
+        this.connections.forEach(connection => {
+            const path = connection.element;
+            if (!path || path.style.display === 'none' || this.isConnectionLocked(connection)) return;
+            let samples = cache.get(connection.id);
+            if (!samples || samples.path !== path) {
+                samples = this.samplePath(path);
+                cache.set(connection.id, samples);
+            }
+            const distance = this.pathDistanceInRect(samples, rect);
+            if (distance === null || (best && best.distance <= distance)) return;
+            const ports = this.getSplicePortsForNode(node.id, connection);
+            if (ports) best = { connectionId: connection.id, ports, distance };
+        });
+        return best;
+    }
+
+    // Bounding box and points every ~10px along a wire path
+    samplePath(path) {
+        const samples = { path, box: null, points: [] };
+        if (typeof path.getTotalLength !== 'function' || typeof path.getPointAtLength !== 'function') return samples;
+        if (typeof path.getBBox === 'function') {
+            const box = path.getBBox();
+            samples.box = { left: box.x, top: box.y, right: box.x + box.width, bottom: box.y + box.height };
+        }
+        const length = path.getTotalLength();
+        const steps = Math.max(1, Math.ceil(length / 10));
+        for (let i = 0; i <= steps; i++) {
+            const p = path.getPointAtLength((length * i) / steps);
+            samples.points.push({ x: p.x, y: p.y });
+        }
+        return samples;
+    }
+    
+    // Closest distance from the rect centre to a sampled point inside the rect, or null
+    pathDistanceInRect(samples, rect) {
+        const box = samples.box;
+        if (box && (box.left > rect.right || box.right < rect.left || box.top > rect.bottom || box.bottom < rect.top)) return null;
+        let best = null;
+        samples.points.forEach(p => {
+            if (p.x < rect.left || p.x > rect.right || p.y < rect.top || p.y > rect.bottom) return;
+            const d = Math.hypot(p.x - rect.centerX, p.y - rect.centerY);
+            if (best === null || d < best) best = d;
+        });
+        return best;
+    }
+
+    // Look for a splice target at most once per animation frame while dragging
+    scheduleSpliceSearch(node) {
+        if (!this.dragState.spliceSearch) this.dragState.spliceSearch = { frame: null, node: null, samples: new Map() };
+        const search = this.dragState.spliceSearch;
+        search.node = node;
+        if (search.frame !== null) return;
+        search.frame = requestAnimationFrame(() => {
+            search.frame = null;
+            if (this.dragState.spliceSearch === search && search.node) this.setSpliceTarget(this.findSpliceTarget(search.node));
+        });
+    }
+
+    // Run a pending search now (the drop must see the final position) and forget the drag's samples
+    flushSpliceSearch() {
+        const search = this.dragState.spliceSearch;
+        if (!search) return;
+        if (search.frame !== null) {
+            cancelAnimationFrame(search.frame);
+            search.frame = null;
+            if (search.node) this.setSpliceTarget(this.findSpliceTarget(search.node));
+        }
+        this.dragState.spliceSearch = null;
+    }
+    
+    setSpliceTarget(target) {
+        const previous = this.dragState.spliceTarget;
+        if (previous && target && previous.connectionId === target.connectionId) {
+            this.dragState.spliceTarget = target;
+            return;
+        }
+        if (previous) {
+            const connection = this.connections.get(previous.connectionId);
+            if (connection && connection.element) connection.element.classList.remove('splice-target');
+        }
+        this.dragState.spliceTarget = target;
+        if (target) {
+            const connection = this.connections.get(target.connectionId);
+            if (connection && connection.element) connection.element.classList.add('splice-target');
+        }
+    }
+    
+    // Replace source→target with source→node.input and node.output→target
+    spliceNodeIntoConnection(nodeId, connectionId, ports = null) {
+        const connection = this.connections.get(connectionId);
+        if (!connection || !this.nodes.has(nodeId) || this.isConnectionLocked(connection)) return false;
+        ports = ports || this.getSplicePortsForNode(nodeId, connection);
+        if (!ports) return false;
+        const source = { nodeId: connection.source.nodeId, name: connection.source.name };
+        const target = { nodeId: connection.target.nodeId, name: connection.target.name };
+        const color = connection.color || null;
+        this.history.transact('Insert node', () => {
+            this.deleteConnection(connectionId);
+            [
+                this.createConnection({ ...source, type: 'output' }, { nodeId, name: ports.input, type: 'input' }),
+                this.createConnection({ nodeId, name: ports.output, type: 'output' }, { ...target, type: 'input' })
+            ].forEach(id => {
+                const created = id ? this.connections.get(id) : null;
+                if (created && color) {
+                    created.color = color;
+                    this.applyConnectionColor(created);
+                }
+            });
+        });
+        if (window.logger) window.logger.info(`Inserted ${nodeId} into connection ${connectionId}`);
+        return true;
+    }
+    
+    // --- Quick add ---
+    isEmptyCanvasTarget(element) {
+        return !!element && (element === this.canvas || element === this.nodesContainer);
+    }
+    
+    // The port of a definition that a wire from origin ({ nodeId, type, name }) would attach to
+    findCompatiblePort(definition, origin) {
+        const originType = this.getPortType(origin.nodeId, origin.name, origin.type);
+        const normalize = (list) => (list || []).map(io => ({ name: io.name, type: String(io.type || 'any').toLowerCase() }));
+        if (origin.type === 'output') {
+            return this._bestPort(normalize(definition.inputs), p => this.isTypeCompatible(originType, p.type));
+        }
+        return this._bestPort(normalize(definition.outputs), p => this.isTypeCompatible(p.type, originType));
+    }
+    
+    // First port accepted by the predicate; a concrete type wins over 'any'
+    _bestPort(ports, accepts) {
+        const candidates = ports.filter(accepts);
+        return candidates.find(p => p.type !== 'any') || candidates[0] || null;
+    }
+    
+    /**
+     * Searchable node list at a client point; the chosen node is created there.
+     * With origin (a dangling wire's port) only nodes that can take the wire are listed,
+     * and the new node is connected to it.
+     */
+    openQuickAdd(clientX, clientY, origin = null) {
+        let preview = null;
+        if (origin) {
+            // Keep the wire visible while choosing
+            const node = this.nodes.get(origin.nodeId);
+            const portElement = node ? node.element.querySelector(
+                `.connection-point[data-connection-type="${origin.type}"][data-connection-name="${origin.name}"]`
+            ) : null;
+            if (!portElement) return;
+            const anchorAbs = this.getAbsoluteCenter(portElement);
+            const anchor = this.getRelativeCoords(anchorAbs.x, anchorAbs.y);
+            const pointer = this.getRelativeCoords(clientX, clientY);
+            preview = this.addConnectionPreview(origin.type === 'output' ? [anchor, pointer] : [pointer, anchor]);
+        }
+        this.nodePicker.open({
+            clientX,
+            clientY,
+            title: origin ? 'Add connected node' : 'Add node',
+            filter: origin ? (definition) => !!this.findCompatiblePort(definition, origin) : null,
+            onPick: (definition) => {
+                this.addNodeAt(definition, clientX, clientY, origin);
+                if (window.nodePalette) window.nodePalette.markUsed(definition.type);
+            },
+            onClose: () => { if (preview) preview.remove(); }
+        });
+    }
+    
+    // Create a node centred under a client point, optionally wired to origin
+    addNodeAt(definition, clientX, clientY, origin = null) {
+        const world = this.viewportToCanvas(clientX, clientY);
+        const { x, y } = this.snapPosition(world.x - 80, world.y - 20);
+        return this.history.transact('Add node', () => {
+            const nodeId = this.createNode(definition, Math.max(0, x), Math.max(0, y));
+            const port = origin ? this.findCompatiblePort(definition, origin) : null;
+            if (port) {
+                const other = { nodeId, name: port.name, type: origin.type === 'output' ? 'input' : 'output' };
+                this.createConnection({ nodeId: origin.nodeId, name: origin.name, type: origin.type }, other);
+            }
+            this.selectNode(nodeId, true);
+            return nodeId;
+        });
+    }
+    
+    // "Insert node here…": pick a node type that fits the wire, create it at the menu point and splice it in
+    openInsertNodePicker(connectionId, clientX, clientY) {
+        const connection = this.connections.get(connectionId);
+        if (!connection || this.isConnectionLocked(connection)) return;
+        this.nodePicker.open({
+            clientX,
+            clientY,
+            title: 'Insert node',
+            filter: (definition) => !!this.getSplicePortsForDefinition(definition, connection),
+            onPick: (definition) => {
+                const world = this.viewportToCanvas(clientX, clientY);
+                const { x, y } = this.snapPosition(world.x - 80, world.y - 20);
+                this.history.transact('Insert node', () => {
+                    const nodeId = this.createNode(definition, Math.max(0, x), Math.max(0, y));
+                    this.spliceNodeIntoConnection(nodeId, connectionId, this.getSplicePortsForDefinition(definition, connection));
+                });
+            }
+        });
+    }
+    
+    // The click that follows a drag's mouseup should not change the selection
+    suppressNextClick() {
+        this.clickSuppressed = true;
+        // If the click never arrives (pointer released elsewhere), stop suppressing
+        setTimeout(() => { this.clickSuppressed = false; }, 0);
+    }
+    
+    consumeSuppressedClick() {
+        if (!this.clickSuppressed) return false;
+        this.clickSuppressed = false;
+        return true;
+    }
+    
+    // --- Marquee selection ---
+    // Shift+drag on empty space selects nodes touching the rectangle and the connections between them.
+    // Ctrl/Cmd+Shift adds to the existing selection instead of replacing it.
+    startMarqueeSelection(e) {
+        e.preventDefault();
+        this.hideContextMenus();
+        this.dragState.isDragging = true;
+        this.dragState.dragMode = 'marquee';
+        this.dragState.startX = e.clientX;
+        this.dragState.startY = e.clientY;
+        
+        const additive = e.ctrlKey || e.metaKey;
+        this.dragState.marquee = {
+            origin: this.viewportToCanvas(e.clientX, e.clientY),
+            baseNodes: additive ? new Set(this.selectedNodes) : new Set(),
+            baseConnections: additive ? new Set(this.selectedConnections) : new Set(),
+            element: document.createElement('div')
+        };
+        this.dragState.marquee.element.className = 'selection-marquee';
+        // Containers are scaled, so keep the outline one screen pixel wide
+        this.dragState.marquee.element.style.borderWidth = `${1 / (this.canvasTransform.scale || 1)}px`;
+        this.nodesContainer.appendChild(this.dragState.marquee.element);
+        
+        if (!additive) this.clearSelection();
+    }
+    
+    updateMarqueeSelection(e) {
+        const marquee = this.dragState.marquee;
+        if (!marquee) return;
+        const point = this.viewportToCanvas(e.clientX, e.clientY);
+        const rect = {
+            left: Math.min(marquee.origin.x, point.x),
+            top: Math.min(marquee.origin.y, point.y),
+            right: Math.max(marquee.origin.x, point.x),
+            bottom: Math.max(marquee.origin.y, point.y)
+        };
+        marquee.rect = rect;
+        const el = marquee.element;
+        el.style.left = `${rect.left}px`;
+        el.style.top = `${rect.top}px`;
+        el.style.width = `${rect.right - rect.left}px`;
+        el.style.height = `${rect.bottom - rect.top}px`;
+        
+        this.applyMarqueeSelection(rect);
+    }
+    
+    applyMarqueeSelection(rect) {
+        const marquee = this.dragState.marquee;
+        const nodeIds = new Set(marquee.baseNodes);
+        this.nodes.forEach((node, nodeId) => {
+            if (node.element.classList.contains('group-hidden')) return; // inside a collapsed group
+            const x = node.position.x;
+            const y = node.position.y;
+            const w = node.element.offsetWidth;
+            const h = node.element.offsetHeight;
+            if (x < rect.right && x + w > rect.left && y < rect.bottom && y + h > rect.top) {
+                nodeIds.add(nodeId);
+            }
+        });
+        const connectionIds = new Set(marquee.baseConnections);
+        this.connections.forEach((conn, connectionId) => {
+            if (nodeIds.has(conn.source.nodeId) && nodeIds.has(conn.target.nodeId)) {
+                connectionIds.add(connectionId);
+            }
+        });
+        
+        // Update only what changed so dragging stays cheap on large graphs
+        this.nodes.forEach((node, nodeId) => {
+            const selected = nodeIds.has(nodeId);
+            if (selected === this.selectedNodes.has(nodeId)) return;
+            if (selected) this.selectedNodes.add(nodeId); else this.selectedNodes.delete(nodeId);
+            node.element.classList.toggle('selected', selected);
+            this.applyNodeVisualStyle(node);
+        });
+        this.connections.forEach((conn, connectionId) => {
+            const selected = connectionIds.has(connectionId);
+            if (selected === this.selectedConnections.has(connectionId)) return;
+            if (selected) this.selectedConnections.add(connectionId); else this.selectedConnections.delete(connectionId);
+            if (!conn.element) return;
+            conn.element.classList.toggle('selected', selected);
+            if (selected) {
+                // Clear inline stroke so CSS selected style is visible
+                conn.element.style.stroke = '';
+            } else {
+                this.applyConnectionColor(conn);
+            }
+        });
+    }
+    
+    endMarqueeSelection() {
+        const marquee = this.dragState.marquee;
+        if (!marquee) return;
+        if (marquee.element.parentNode) marquee.element.parentNode.removeChild(marquee.element);
+        if (marquee.rect) {
+            this.suppressNextClick();
+            if (this.selectedNodes.size === 1 && window.nodeProperties) {
+                const only = this.selectedNodes.values().next().value;
+                window.nodeProperties.showNodeProperties(this.nodes.get(only));
+            }
+        }
+    }
+
+    // Record finished moves as one history entry; moves are [{ id, from, to }]
+    recordNodeMoves(moves, label = 'Move node') {
+        const changed = moves.filter(m => m.from.x !== m.to.x || m.from.y !== m.to.y);
+        if (changed.length === 0) return;
+        this._recordHistory({
+            label: changed.length > 1 ? `${label}s` : label,
+            undo: () => this.setNodePositions(changed.map(m => ({ id: m.id, x: m.from.x, y: m.from.y }))),
+            redo: () => this.setNodePositions(changed.map(m => ({ id: m.id, x: m.to.x, y: m.to.y })))
+        });
+    }
+
+    // Reroute points of wires with both ends among the moved nodes travel with them;
+    // a wire with only one end moving keeps its points where they are
+    collectWaypoints(nodeIds) {
+        const ids = new Set(nodeIds);
+        const wires = [];
+        this.connections.forEach(conn => {
+            if (conn.waypoints && conn.waypoints.length && ids.has(conn.source.nodeId) && ids.has(conn.target.nodeId)) {
+                wires.push({ id: conn.id, start: conn.waypoints.map(p => ({ x: p.x, y: p.y })) });
+            }
+        });
+        return wires;
+    }
+
+    // Offset collected waypoints from where they started; the wires are redrawn with their nodes
+    shiftWaypoints(wires, dx, dy) {
+        (wires || []).forEach(wire => {
+            const conn = this.connections.get(wire.id);
+            if (conn) conn.waypoints = wire.start.map(p => ({ x: p.x + dx, y: p.y + dy }));
+        });
+    }
+
+    recordWaypointShifts(wires) {
+        (wires || []).forEach(wire => {
+            const conn = this.connections.get(wire.id);
+            if (!conn) return;
+            const after = conn.waypoints.map(p => ({ x: p.x, y: p.y }));
+            if (after.every((p, i) => p.x === wire.start[i].x && p.y === wire.start[i].y)) return;
+            this._recordHistory({
+                label: 'Move reroute points',
+                undo: () => this.setConnectionWaypoints(wire.id, wire.start),
+                redo: () => this.setConnectionWaypoints(wire.id, after)
+            });
+        });
+    }
+
+    setNodePosition(nodeId, x, y) {
+        this.setNodePositions([{ id: nodeId, x, y }]);
+    }
+
+    // Move several nodes, then redraw their wires once
+    setNodePositions(positions) {
+        const moved = [];
+        positions.forEach(({ id, x, y }) => {
+            const node = this.nodes.get(id);
+            if (!node) return;
+            const { x: cx, y: cy } = this.clampToWorld(x, y, node.element.offsetWidth, node.element.offsetHeight);
+            node.position.x = cx;
+            node.position.y = cy;
+            node.element.style.left = `${cx}px`;
+            node.element.style.top = `${cy}px`;
+            moved.push(id);
+        });
+        if (moved.length) this.updateNodeConnections(moved);
+    }
+    
+    endCanvasPan() {
+        // Canvas pan complete
+    }
+    
+    endConnection(e) {
+        // Remove preview line
+        const existingPreview = this.connectionsContainer.querySelector('.connection-preview');
+        if (existingPreview) {
+            existingPreview.remove();
+        }
+        this.clearPortHighlights();
+        
+        const targetElement = document.elementFromPoint(e.clientX, e.clientY);
+        
+        if (targetElement && targetElement.classList.contains('connection-point')) {
+            // Get the node that contains this connection point
+            const targetNodeId = targetElement.dataset.nodeId;
+            const targetNode = this.nodes.get(targetNodeId);
+            
+            if (!targetNode) return;
+            
+            // Find the exact connection point element using the same selector as in drawConnection
+            const targetType = targetElement.dataset.connectionType;
+            const targetName = targetElement.dataset.connectionName;
+            
+            const exactTargetElement = targetNode.element.querySelector(
+                `.connection-point[data-connection-type="${targetType}"][data-connection-name="${targetName}"]`
+            );
+            
+            if (!exactTargetElement) return;
+            
+            const target = {
+                element: exactTargetElement,
+                nodeId: targetNodeId,
+                type: targetType,
+                name: targetName
+            };
+            
+            // Also ensure we have the exact source element
+            const sourceNodeId = this.dragState.connectionStart.nodeId;
+            const sourceNode = this.nodes.get(sourceNodeId);
+            if (!sourceNode) return;
+            
+            const sourceType = this.dragState.connectionStart.type;
+            const sourceName = this.dragState.connectionStart.name;
+            
+            const exactSourceElement = sourceNode.element.querySelector(
+                `.connection-point[data-connection-type="${sourceType}"][data-connection-name="${sourceName}"]`
             );
             
             if (!exactSourceElement) return;
@@ -848,7 +1917,11 @@ class WorkflowCanvas {
                 name: sourceName
             };
             
-            this.createConnection(source, target);
+            this.connectWithConversion(source, target);
+        } else if (this.dragState.connectionStart && this.isEmptyCanvasTarget(targetElement)) {
+            // Released over empty space: pick a node to add there, wired to this port
+            const { nodeId, type, name } = this.dragState.connectionStart;
+            this.openQuickAdd(e.clientX, e.clientY, { nodeId, type, name });
         }
         
         // Clean up visual feedback
@@ -857,7 +1930,11 @@ class WorkflowCanvas {
         }
     }
     
-    createConnection(source, target) {
+    createConnection(source, target, options = {}) {
+        return this.history.transact('Connect', () => this._createConnection(source, target, options));
+    }
+
+    _createConnection(source, target, options) {
         // Validate connection
         if (source.nodeId === target.nodeId) return; // No self-connections
         if (source.type === target.type) return; // Output to input only
@@ -888,7 +1965,8 @@ class WorkflowCanvas {
             this.deleteConnection(existingBinding.connectionId);
         }
         
-        const connectionId = `connection_${++this.connectionCounter}`;
+        const connectionId = options.id || `connection_${++this.connectionCounter}`;
+        this._reserveCounter('connectionCounter', connectionId);
         const connectionData = {
             id: connectionId,
             source: source,
@@ -924,6 +2002,16 @@ class WorkflowCanvas {
         this._notifyConnectionsChanged(connectionData.source.nodeId);
         this._notifyConnectionsChanged(connectionData.target.nodeId);
 
+        let snapshot = null;
+        this._recordHistory({
+            label: 'Connect',
+            undo: () => {
+                snapshot = this.serializeConnection(this.connections.get(connectionId));
+                this.deleteConnection(connectionId, { force: true });
+            },
+            redo: () => this.restoreConnection(snapshot)
+        });
+
         return connectionId;
     }
     
@@ -949,19 +2037,24 @@ class WorkflowCanvas {
         const sourceRel = this.getRelativeCoords(sourceAbs.x, sourceAbs.y);
         const targetRel = this.getRelativeCoords(targetAbs.x, targetAbs.y);
 
-        const sourceX = sourceRel.x;
-        const sourceY = sourceRel.y;
-        const targetX = targetRel.x;
-        const targetY = targetRel.y;
+        let sourceX = sourceRel.x;
+        let sourceY = sourceRel.y;
+        let targetX = targetRel.x;
+        let targetY = targetRel.y;
+        
+        // Wires to nodes inside a collapsed group attach to the group's header instead
+        const sourceAnchor = this.groups ? this.groups.getCollapsedAnchor(connectionData.source.nodeId, 'output') : null;
+        const targetAnchor = this.groups ? this.groups.getCollapsedAnchor(connectionData.target.nodeId, 'input') : null;
+        if (sourceAnchor) { sourceX = sourceAnchor.x; sourceY = sourceAnchor.y; }
+        if (targetAnchor) { targetX = targetAnchor.x; targetY = targetAnchor.y; }
+        const hiddenInGroup = !!(sourceAnchor && targetAnchor && sourceAnchor.groupId === targetAnchor.groupId);
         
         // Create SVG path for bezier curve
         const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
         
-        // Calculate control points for smooth curve
-        const distance = Math.abs(targetX - sourceX);
-        const controlOffset = Math.max(80, distance * 0.4);
-        
-        const pathData = `M ${sourceX} ${sourceY} C ${sourceX + controlOffset} ${sourceY} ${targetX - controlOffset} ${targetY} ${targetX} ${targetY}`;
+        // Route through the wire's reroute points (world coordinates), if any
+        const points = [{ x: sourceX, y: sourceY }, ...(connectionData.waypoints || []), { x: targetX, y: targetY }];
+        const pathData = this.buildConnectionPath(points);
         
         path.setAttribute('d', pathData);
         path.setAttribute('class', 'connection-line');
@@ -969,6 +2062,7 @@ class WorkflowCanvas {
         path.setAttribute('stroke', '#ffffff');
         path.setAttribute('stroke-width', '3');
         path.setAttribute('fill', 'none');
+        if (hiddenInGroup) path.style.display = 'none';
         
         // Remove existing path if it exists
         if (connectionData.element && connectionData.element.parentNode) {
@@ -1000,36 +2094,196 @@ class WorkflowCanvas {
         path.addEventListener('contextmenu', (e) => {
             e.preventDefault();
             e.stopPropagation();
-            // If not already selected, select it (single)
-            if (!this.selectedConnections.has(connectionData.id)) {
-                this.selectConnection(connectionData.id, true);
-            }
-            const connMenu = document.getElementById('connection-context-menu');
-            if (connMenu) {
-                // Toggle delete availability based on endpoints' lock state
-                const delItem = connMenu.querySelector('[data-action="delete-connection"]');
-                if (delItem) {
-                    const srcNode = this.nodes.get(connectionData.source.nodeId);
-                    const dstNode = this.nodes.get(connectionData.target.nodeId);
-                    const srcLocked = !!(srcNode && srcNode.locked);
-                    const dstLocked = !!(dstNode && dstNode.locked);
-                    if (srcLocked && dstLocked) {
-                        delItem.classList.add('disabled');
-                        delItem.style.opacity = '0.5';
-                    } else {
-                        delItem.classList.remove('disabled');
-                        delItem.style.opacity = '';
-                    }
-                }
-                this.showContextMenu(connMenu, e.clientX, e.clientY);
-            }
+            this.showConnectionContextMenu(connectionData, e.clientX, e.clientY);
+        });
+
+        // Grab a wire near either end to move that end to another port
+        path.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            const end = this.getConnectionEndAt(connectionData, e.clientX, e.clientY);
+            if (!end) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.startRewireDrag(e, [connectionData.id], end);
+        });
+
+        // Double-click a wire to add a reroute point there
+        path.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            this.addReroutePoint(connectionData.id, e.clientX, e.clientY);
+        });
+
+        this.drawReroutePoints(connectionData, hiddenInGroup);
+        this.inspector.drawWirePreview(connectionData, hiddenInGroup);
+    }
+
+    // Wire shape follows the wireStyle setting (bezier, straight or orthogonal)
+    buildConnectionPath(points) {
+        return this.wireRouter.buildPath(points, this.settings.wireStyle);
+    }
+
+    // rerouteIndex: the reroute point that was right-clicked, if any
+    showConnectionContextMenu(connectionData, x, y, rerouteIndex = null) {
+        // If not already selected, select it (single)
+        if (!this.selectedConnections.has(connectionData.id)) {
+            this.selectConnection(connectionData.id, true);
+        }
+        const connMenu = document.getElementById('connection-context-menu');
+        if (!connMenu) return;
+        this.contextConnection = { connectionId: connectionData.id, rerouteIndex, clientX: x, clientY: y };
+        // Toggle delete availability based on endpoints' lock state
+        const srcNode = this.nodes.get(connectionData.source.nodeId);
+        const dstNode = this.nodes.get(connectionData.target.nodeId);
+        const bothLocked = !!(srcNode && srcNode.locked) && !!(dstNode && dstNode.locked);
+        // Deleting or splicing needs the wire to be removable
+        ['delete-connection', 'insert-node'].forEach(action => {
+            const item = connMenu.querySelector(`[data-action="${action}"]`);
+            if (!item) return;
+            item.classList.toggle('disabled', bothLocked);
+            item.style.opacity = bothLocked ? '0.5' : '';
+        });
+        const deleteRerouteItem = connMenu.querySelector('[data-action="delete-reroute"]');
+        const clearReroutesItem = connMenu.querySelector('[data-action="clear-reroutes"]');
+        if (deleteRerouteItem) deleteRerouteItem.style.display = rerouteIndex !== null ? '' : 'none';
+        if (clearReroutesItem) clearReroutesItem.style.display = (connectionData.waypoints || []).length ? '' : 'none';
+        this.showContextMenu(connMenu, x, y);
+    }
+
+    // --- Reroute points ---
+    // Waypoints live on the connection (connectionData.waypoints, world coordinates) and are
+    // drawn as draggable handles on top of the wire
+    drawReroutePoints(connectionData, hidden = false) {
+        this.removeReroutePoints(connectionData);
+        const waypoints = connectionData.waypoints || [];
+        connectionData.rerouteElements = waypoints.map((point, index) => {
+            const handle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            handle.setAttribute('class', 'reroute-point');
+            handle.setAttribute('data-connection-id', connectionData.id);
+            handle.setAttribute('cx', point.x);
+            handle.setAttribute('cy', point.y);
+            handle.setAttribute('r', '6');
+            if (connectionData.color) handle.style.stroke = connectionData.color;
+            if (hidden) handle.style.display = 'none';
+            handle.addEventListener('mousedown', (e) => {
+                if (e.button !== 0) return;
+                e.preventDefault();
+                e.stopPropagation();
+                this.startRerouteDrag(e, connectionData.id, index);
+            });
+            handle.addEventListener('dblclick', (e) => {
+                e.stopPropagation();
+                this.removeReroutePoint(connectionData.id, index);
+            });
+            handle.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.showConnectionContextMenu(connectionData, e.clientX, e.clientY, index);
+            });
+            this.connectionsContainer.appendChild(handle);
+            return handle;
+        });
+    }
+
+    removeReroutePoints(connectionData) {
+        (connectionData.rerouteElements || []).forEach(el => el.remove());
+        connectionData.rerouteElements = [];
+    }
+
+    setConnectionWaypoints(connectionId, waypoints) {
+        const connection = this.connections.get(connectionId);
+        if (!connection) return;
+        connection.waypoints = waypoints.map(p => ({ x: p.x, y: p.y }));
+        this.drawConnection(connection);
+    }
+
+    _changeWaypoints(connectionId, waypoints, label) {
+        const connection = this.connections.get(connectionId);
+        if (!connection) return;
+        const before = (connection.waypoints || []).map(p => ({ x: p.x, y: p.y }));
+        this.setConnectionWaypoints(connectionId, waypoints);
+        const after = connection.waypoints.map(p => ({ x: p.x, y: p.y }));
+        this._recordHistory({
+            label,
+            undo: () => this.setConnectionWaypoints(connectionId, before),
+            redo: () => this.setConnectionWaypoints(connectionId, after)
         });
     }
+
+    // Insert a waypoint at a client point, in the leg where it adds the least detour
+    addReroutePoint(connectionId, clientX, clientY) {
+        const connection = this.connections.get(connectionId);
+        if (!connection || !connection.source.element || !connection.target.element) return;
+        const point = this.getRelativeCoords(clientX, clientY);
+        const sourceAbs = this.getAbsoluteCenter(connection.source.element);
+        const targetAbs = this.getAbsoluteCenter(connection.target.element);
+        const waypoints = (connection.waypoints || []).slice();
+        const points = [this.getRelativeCoords(sourceAbs.x, sourceAbs.y), ...waypoints, this.getRelativeCoords(targetAbs.x, targetAbs.y)];
+        const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+        let bestIndex = 0;
+        let bestDetour = Infinity;
+        for (let i = 0; i < points.length - 1; i++) {
+            const detour = dist(points[i], point) + dist(point, points[i + 1]) - dist(points[i], points[i + 1]);
+            if (detour < bestDetour) {
+                bestDetour = detour;
+                bestIndex = i;
+            }
+        }
+        waypoints.splice(bestIndex, 0, { x: point.x, y: point.y });
+        this._changeWaypoints(connectionId, waypoints, 'Add reroute point');
+    }
+
+    removeReroutePoint(connectionId, index) {
+        const connection = this.connections.get(connectionId);
+        if (!connection || !connection.waypoints || !connection.waypoints[index]) return;
+        const waypoints = connection.waypoints.filter((_, i) => i !== index);
+        this._changeWaypoints(connectionId, waypoints, 'Delete reroute point');
+    }
+
+    clearReroutePoints(connectionId) {
+        const connection = this.connections.get(connectionId);
+        if (!connection || !connection.waypoints || connection.waypoints.length === 0) return;
+        this._changeWaypoints(connectionId, [], 'Clear reroute points');
+    }
+
+    // Drag a waypoint; snaps to the grid like nodes do (hold Alt to move freely)
+    startRerouteDrag(e, connectionId, index) {
+        const connection = this.connections.get(connectionId);
+        if (!connection || !connection.waypoints || !connection.waypoints[index]) return;
+        this.hideContextMenus();
+        const scale = this.canvasTransform.scale || 1;
+        const before = connection.waypoints.map(p => ({ x: p.x, y: p.y }));
+        const startX = e.clientX;
+        const startY = e.clientY;
+
+        const move = (ev) => {
+            const x = before[index].x + (ev.clientX - startX) / scale;
+            const y = before[index].y + (ev.clientY - startY) / scale;
+            connection.waypoints[index] = ev.altKey ? { x, y } : this.snapPosition(x, y);
+            this.drawConnection(connection);
+        };
+        const up = () => {
+            document.removeEventListener('mousemove', move);
+            document.removeEventListener('mouseup', up);
+            const after = connection.waypoints.map(p => ({ x: p.x, y: p.y }));
+            if (after[index].x === before[index].x && after[index].y === before[index].y) return;
+            this._recordHistory({
+                label: 'Move reroute point',
+                undo: () => this.setConnectionWaypoints(connectionId, before),
+                redo: () => this.setConnectionWaypoints(connectionId, after)
+            });
+        };
+        document.addEventListener('mousemove', move);
+        document.addEventListener('mouseup', up);
+    }
     
-    updateNodeConnections(nodeId) {
-        // Update all connections involving this node
-        this.connections.forEach(connection => {
-            if (connection.source.nodeId === nodeId || connection.target.nodeId === nodeId) {
+    // Takes one node id or an array of them; each attached wire is redrawn once
+    updateNodeConnections(nodeIds) {
+        const ids = new Set(Array.isArray(nodeIds) ? nodeIds : [nodeIds]);
+        // Notes attached to the node move with it
+        if (this.notes) ids.forEach(id => this.notes.followNode(id));
+        // Update all connections involving these nodes
+        this.wireRouter.batch(() => this.connections.forEach(connection => {
+            if (ids.has(connection.source.nodeId) || ids.has(connection.target.nodeId)) {
                 // Refresh connection elements references in case nodes were recreated
                 const sourceNode = this.nodes.get(connection.source.nodeId);
                 const targetNode = this.nodes.get(connection.target.nodeId);
@@ -1056,12 +2310,12 @@ class WorkflowCanvas {
                     }
                 }
             }
-        });
+        }));
     }
     
     redrawAllConnections() {
         // Redraw all connections to fix positioning issues
-        this.connections.forEach(connection => {
+        this.wireRouter.batch(() => this.connections.forEach(connection => {
             // Refresh connection elements references in case nodes were recreated
             const sourceNode = this.nodes.get(connection.source.nodeId);
             const targetNode = this.nodes.get(connection.target.nodeId);
@@ -1087,7 +2341,17 @@ class WorkflowCanvas {
                     this.drawConnection(connection);
                 }
             }
-        });
+        }));
+    }
+    
+    // Pan so the given world point sits in the middle of the viewport
+    centerViewOn(worldX, worldY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scale = this.canvasTransform.scale || 1;
+        this.canvasTransform.x = (rect.width / 2) - (worldX * scale);
+        this.canvasTransform.y = (rect.height / 2) - (worldY * scale);
+        this.applyCanvasTransform();
+        this.refreshConnectionsAfterTransform();
     }
     
     refreshConnectionsAfterTransform() {
@@ -1184,19 +2448,23 @@ class WorkflowCanvas {
     }
     
     deleteSelectedNodes() {
-        this.selectedNodes.forEach(nodeId => {
-            const node = this.nodes.get(nodeId);
-            if (node && node.locked) {
-                if (window.logger) window.logger.warn(`Delete prevented: node ${nodeId} is locked`);
-                return; // skip locked
-            }
-            this.deleteNode(nodeId);
+        const nodeIds = Array.from(this.selectedNodes);
+        this.history.transact(nodeIds.length > 1 ? 'Delete nodes' : 'Delete node', () => {
+            nodeIds.forEach(nodeId => {
+                const node = this.nodes.get(nodeId);
+                if (node && node.locked) {
+                    if (window.logger) window.logger.warn(`Delete prevented: node ${nodeId} is locked`);
+                    return; // skip locked
+                }
+                this.deleteNode(nodeId);
+            });
         });
         this.clearSelection();
     }
 
     deleteSelectedConnections() {
-        this.selectedConnections.forEach(connectionId => {
+        const connectionIds = Array.from(this.selectedConnections);
+        this.history.transact(connectionIds.length > 1 ? 'Delete connections' : 'Delete connection', () => connectionIds.forEach(connectionId => {
             const conn = this.connections.get(connectionId);
             if (conn) {
                 const srcNode = this.nodes.get(conn.source.nodeId);
@@ -1209,38 +2477,73 @@ class WorkflowCanvas {
                 }
             }
             this.deleteConnection(connectionId);
-        });
+        }));
         this.clearSelection();
     }
     
-    deleteNode(nodeId) {
+    // Delete selected connections and nodes together (a marquee selects both)
+    deleteSelection() {
+        if (this.selectedNodes.size === 0) {
+            this.deleteSelectedConnections();
+            return;
+        }
+        if (this.selectedConnections.size === 0) {
+            this.deleteSelectedNodes();
+            return;
+        }
+        const nodeIds = Array.from(this.selectedNodes);
+        this.history.transact('Delete selection', () => {
+            this.deleteSelectedConnections();
+            // deleteSelectedConnections clears the selection; restore the nodes for deletion
+            nodeIds.forEach(nodeId => this.selectedNodes.add(nodeId));
+            this.deleteSelectedNodes();
+        });
+    }
+    
+    // options.force bypasses lock checks (used when undoing/redoing)
+    deleteNode(nodeId, options = {}) {
         const node = this.nodes.get(nodeId);
         if (!node) return;
-        if (node.locked) {
+        if (node.locked && !options.force) {
             if (window.logger) window.logger.warn(`Delete prevented: node ${nodeId} is locked`);
             return;
         }
         
-        // Remove connections
-        const connectionsToRemove = [];
-        this.connections.forEach((connection, connectionId) => {
-            if (connection.source.nodeId === nodeId || connection.target.nodeId === nodeId) {
-                connectionsToRemove.push(connectionId);
+        this.history.transact('Delete node', () => {
+            // Remove connections
+            const connectionsToRemove = [];
+            this.connections.forEach((connection, connectionId) => {
+                if (connection.source.nodeId === nodeId || connection.target.nodeId === nodeId) {
+                    connectionsToRemove.push(connectionId);
+                }
+            });
+            
+            connectionsToRemove.forEach(connectionId => {
+                this.deleteConnection(connectionId, options);
+            });
+            
+            const snapshot = this.serializeNode(nodeId);
+            
+            // Remove node element and data
+            node.element.remove();
+            this.nodes.delete(nodeId);
+            this.selectedNodes.delete(nodeId);
+            this.debugger.forgetNode(nodeId);
+            if (window.nodeProperties && window.nodeProperties.currentNode && window.nodeProperties.currentNode.id === nodeId) {
+                window.nodeProperties.clearProperties();
             }
+            
+            this._recordHistory({
+                label: 'Delete node',
+                undo: () => this.restoreNode(snapshot),
+                redo: () => this.deleteNode(nodeId, { force: true })
+            });
         });
         
-        connectionsToRemove.forEach(connectionId => {
-            this.deleteConnection(connectionId);
-        });
-        
-        // Remove node element and data
-        node.element.remove();
-        this.nodes.delete(nodeId);
-        
         this.updatePerformanceMetrics();
     }
     
-    deleteConnection(connectionId) {
+    deleteConnection(connectionId, options = {}) {
         const connection = this.connections.get(connectionId);
         if (!connection) return;
         // Prevent deletion when both endpoints are locked
@@ -1248,15 +2551,18 @@ class WorkflowCanvas {
         const dstNode = this.nodes.get(connection.target.nodeId);
         const sourceLocked = !!(srcNode && srcNode.locked);
         const targetLocked = !!(dstNode && dstNode.locked);
-        if (sourceLocked && targetLocked) {
+        if (sourceLocked && targetLocked && !options.force) {
             if (window.logger) window.logger.warn(`Delete prevented: connection ${connectionId} endpoints are locked`);
             return;
         }
+        const snapshot = this.serializeConnection(connection);
         
         // Remove visual element
         if (connection.element) {
             connection.element.remove();
         }
+        this.removeReroutePoints(connection);
+        this.inspector.removeWirePreview(connection);
         
         // Remove connected class from connection points
         if (connection.source.element) {
@@ -1276,11 +2582,130 @@ class WorkflowCanvas {
         this._unregisterConnectionFromIndex(connection);
 
         this.connections.delete(connectionId);
+        this.selectedConnections.delete(connectionId);
         this.updatePerformanceMetrics();
 
         // Notify properties panel
         this._notifyConnectionsChanged(sourceNodeId);
         this._notifyConnectionsChanged(targetNodeId);
+
+        this._recordHistory({
+            label: 'Delete connection',
+            undo: () => this.restoreConnection(snapshot),
+            redo: () => this.deleteConnection(connectionId, { force: true })
+        });
+    }
+
+    // --- History support: snapshots and restoration ---
+    _recordHistory(command) {
+        if (this.history) this.history.record(command);
+    }
+
+    // Keep generated ids ahead of any explicitly restored id (e.g. node_12)
+    _reserveCounter(counterName, id) {
+        const m = /_(\d+)$/.exec(String(id));
+        if (m) this[counterName] = Math.max(this[counterName], parseInt(m[1], 10));
+    }
+
+    serializeNode(nodeId) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return null;
+        return {
+            id: node.id,
+            type: node.type,
+            definition: node.definition,
+            position: { x: node.position.x, y: node.position.y },
+            properties: JSON.parse(JSON.stringify(node.properties || {})),
+            locked: !!node.locked,
+            color: node.color || null
+        };
+    }
+
+    serializeConnection(connection) {
+        if (!connection) return null;
+        const data = {
+            id: connection.id,
+            source: { nodeId: connection.source.nodeId, name: connection.source.name, type: connection.source.type },
+            target: { nodeId: connection.target.nodeId, name: connection.target.name, type: connection.target.type },
+            color: connection.color || null
+        };
+        if (connection.waypoints && connection.waypoints.length) {
+            data.waypoints = connection.waypoints.map(p => ({ x: p.x, y: p.y }));
+        }
+        return data;
+    }
+
+    restoreNode(snapshot) {
+        if (!snapshot || this.nodes.has(snapshot.id)) return null;
+        const definition = snapshot.definition || (window.nodePalette ? window.nodePalette.getNodeDefinition(snapshot.type) : null);
+        if (!definition) return null;
+        const nodeId = this.createNode(definition, snapshot.position.x, snapshot.position.y, { id: snapshot.id });
+        const node = this.nodes.get(nodeId);
+        node.properties = JSON.parse(JSON.stringify(snapshot.properties || {}));
+        if (snapshot.locked) this._applyNodeLock(node, true);
+        if (snapshot.color) {
+            node.color = snapshot.color;
+            this.applyNodeVisualStyle(node);
+        }
+        return nodeId;
+    }
+
+    restoreConnection(snapshot) {
+        if (!snapshot || this.connections.has(snapshot.id)) return null;
+        const connectionId = this.createConnection(
+            { nodeId: snapshot.source.nodeId, name: snapshot.source.name, type: snapshot.source.type },
+            { nodeId: snapshot.target.nodeId, name: snapshot.target.name, type: snapshot.target.type },
+            { id: snapshot.id }
+        );
+        const conn = connectionId ? this.connections.get(connectionId) : null;
+        if (conn) {
+            conn.color = snapshot.color || null;
+            this.applyConnectionColor(conn);
+            if (snapshot.waypoints) this.setConnectionWaypoints(connectionId, snapshot.waypoints);
+        }
+        return connectionId;
+    }
+
+    // Property edits come from NodeProperties; typing into one field coalesces into one entry
+    recordPropertyChange(nodeId, key, previousValue, value) {
+        const command = {
+            label: `Edit ${key}`,
+            coalesceKey: `property:${nodeId}:${key}`,
+            before: previousValue,
+            after: value,
+            undo: () => this.setNodeProperty(nodeId, key, command.before),
+            redo: () => this.setNodeProperty(nodeId, key, command.after),
+            merge: (next) => { command.after = next.after; }
+        };
+        this._recordHistory(command);
+    }
+
+    setNodeProperty(nodeId, key, value) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return;
+        node.properties[key] = value;
+    }
+
+    undo() {
+        this.finishLayoutAnimation();
+        return this.history ? this.history.undo() : false;
+    }
+
+    redo() {
+        this.finishLayoutAnimation();
+        return this.history ? this.history.redo() : false;
+    }
+
+    updateHistoryMenuItems(menu) {
+        if (!menu || !this.history) return;
+        const toggle = (action, enabled) => {
+            const item = menu.querySelector(`[data-action="${action}"]`);
+            if (!item) return;
+            item.classList.toggle('disabled', !enabled);
+            item.style.opacity = enabled ? '' : '0.5';
+        };
+        toggle('undo', this.history.canUndo);
+        toggle('redo', this.history.canRedo);
     }
 
     // Connection indexing helpers
@@ -1397,6 +2822,22 @@ class WorkflowCanvas {
             }
         }
     }
+
+    // Partial runs go through the app (for its messages) when it is there
+    runPartial(mode, nodeIds) {
+        if (window.app && typeof window.app.runPartial === 'function') return window.app.runPartial(mode, nodeIds);
+        if (window.workflowExecution) return window.workflowExecution.runPartial(mode, nodeIds);
+        return null;
+    }
+
+    // Node for an id from an execution message; flattened subgraph ids resolve to the
+    // subgraph node (or inner node) visible on the current level
+    resolveExecutionNode(nodeId) {
+        // Ids are matched against the opened subgraph path first: while a subgraph is open,
+        // a top-level id like "node_2" must not pick up the inner node_2
+        const visibleId = this.subgraphs ? this.subgraphs.resolveCanvasNodeId(nodeId) : nodeId;
+        return visibleId ? this.nodes.get(visibleId) || null : null;
+    }
     
     handleKeyDown(e) {
         // Do not intercept key events while typing in inputs/textareas or contentEditable fields
@@ -1404,14 +2845,29 @@ class WorkflowCanvas {
         if (t && (t.tagName === 'INPUT' || t.tagName === 'TEXTAREA' || t.tagName === 'SELECT' || t.isContentEditable)) {
             return;
         }
+        // A replayed run covers the canvas; keep shortcuts from editing underneath it
+        if (this.readOnly) return;
         switch (e.key) {
             case 'Delete':
             case 'Backspace':
                 e.preventDefault();
-                if (this.selectedConnections && this.selectedConnections.size > 0) {
-                    this.deleteSelectedConnections();
-                } else {
-                    this.deleteSelectedNodes();
+                this.deleteSelection();
+                break;
+            case 'F9':
+                e.preventDefault();
+                this.debugger.toggleSelectedBreakpoints();
+                break;
+            case 'Tab':
+                // Tab keeps moving keyboard focus everywhere else; it opens quick-add only when
+                // the canvas has focus, or the pointer is over it and no other control has focus
+                if (!e.ctrlKey && !e.metaKey && !e.altKey && !document.querySelector('.workflow-modal')) {
+                    const focus = document.activeElement;
+                    const canvasFocused = !!(focus && focus !== document.body && this.canvas.contains(focus));
+                    const pointerOver = !!this.lastPointer && (!focus || focus === document.body);
+                    if (!canvasFocused && !pointerOver) break;
+                    e.preventDefault();
+                    const point = this.lastPointer || this.getViewportCenterClient();
+                    this.openQuickAdd(point.x, point.y);
                 }
                 break;
             case 'a':
@@ -1421,81 +2877,873 @@ class WorkflowCanvas {
                     this.selectAll();
                 }
                 break;
-            case 'c':
-            case 'C':
-                if (e.ctrlKey) {
+            // Ctrl+C / Ctrl+X / Ctrl+V are not intercepted here: the browser raises
+            // copy/cut/paste events which handleClipboardEvent uses to reach the system clipboard
+            case 'd':
+            case 'D':
+                if (e.ctrlKey || e.metaKey) {
                     e.preventDefault();
-                    this.copySelectedNodes();
+                    this.duplicateSelectedNodes();
                 }
                 break;
-            case 'v':
-            case 'V':
-                if (e.ctrlKey) {
+            case 'z':
+            case 'Z':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
+                }
+                break;
+            case 'y':
+            case 'Y':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    this.redo();
+                }
+                break;
+            case 'g':
+            case 'G':
+                if (e.ctrlKey || e.metaKey) {
                     e.preventDefault();
-                    this.pasteNodes();
+                    this.groups.createFromSelection();
                 }
                 break;
+            case '0':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    this.resetZoom();
+                }
+                break;
+            case '=':
+            case '+':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    this.zoomBy(1.25);
+                }
+                break;
+            case '-':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    this.zoomBy(0.8);
+                }
+                break;
+        }
+        
+        // Shift+1 frames everything, Shift+2 frames the selection (by key position, so layouts agree)
+        if (e.shiftKey && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            if (e.code === 'Digit1') {
+                e.preventDefault();
+                this.zoomToFit();
+            } else if (e.code === 'Digit2') {
+                e.preventDefault();
+                this.zoomToSelection();
+            }
         }
     }
     
+    // Trackpads send pinch as ctrl+wheel and two-finger scroll as pixel deltas; a mouse wheel
+    // sends notches. Pinch/wheel zoom at the pointer, scroll pans.
     handleWheel(e) {
         e.preventDefault();
+        this.stopViewAnimation();
         
-        const scaleSpeed = 0.1;
-        const prevScale = this.canvasTransform.scale;
-        const scaleDelta = e.deltaY > 0 ? -scaleSpeed : scaleSpeed;
-        const newScale = Math.max(0.1, Math.min(3.0, prevScale + scaleDelta));
-        if (newScale === prevScale) return;
-
-        // Anchor zoom at the center of the canvas viewport to avoid drift
+        const isPinch = e.ctrlKey || e.metaKey;
+        const unit = e.deltaMode === 1 ? 33 : e.deltaMode === 2 ? 400 : 1;
+        
+        if (!isPinch && (e.shiftKey || this.isTrackpadScroll(e))) {
+            // Shift+wheel pans horizontally with a mouse
+            const dx = e.shiftKey && e.deltaX === 0 ? e.deltaY : e.deltaX;
+            const dy = e.shiftKey && e.deltaX === 0 ? 0 : e.deltaY;
+            this.canvasTransform.x -= dx * unit;
+            this.canvasTransform.y -= dy * unit;
+            this.applyCanvasTransform();
+            this.refreshConnectionsAfterTransform();
+            return;
+        }
+        
+        // Normalise line/page deltas to pixels, then zoom exponentially so each notch is the same ratio
+        let delta = e.deltaY * unit;
+        // macOS reports a wheel notch as a few pixels; zoom as far as a 100px step elsewhere
+        if (typeof e.wheelDeltaY === 'number' && e.wheelDeltaY !== 0 && e.wheelDeltaY % 120 === 0) {
+            delta = Math.sign(delta) * Math.max(Math.abs(delta), Math.abs(e.wheelDeltaY) / 120 * 100);
+        }
+        const sensitivity = isPinch ? 0.01 : 0.0015;
+        const newScale = this.canvasTransform.scale * Math.exp(-delta * sensitivity);
+        this.zoomAt(newScale, e.clientX, e.clientY);
+    }
+    
+    // The wheel mode setting overrides the guess ('zoom' or 'pan'); 'auto' tells the devices apart
+    isTrackpadScroll(e) {
+        if (this.settings.wheelMode === 'zoom') return false;
+        if (this.settings.wheelMode === 'pan') return true;
+        if (e.deltaMode !== 0) return false; // line or page steps only come from a mouse wheel
+        if (e.deltaX !== 0) return true;
+        // Chromium and Safari report each mouse wheel notch as 120 in the legacy wheelDeltaY
+        if (typeof e.wheelDeltaY === 'number' && e.wheelDeltaY !== 0) return e.wheelDeltaY % 120 !== 0;
+        if (!Number.isInteger(e.deltaY)) return true;
+        // Otherwise a trackpad shows as a burst of changing deltas, a wheel repeats one step
+        const last = this.lastWheel;
+        this.lastWheel = { time: e.timeStamp, delta: Math.abs(e.deltaY) };
+        return !!last && e.timeStamp - last.time < 100 && last.delta !== Math.abs(e.deltaY);
+    }
+    
+    setWheelMode(mode) {
+        if (!WorkflowCanvas.WHEEL_MODES.includes(mode)) return;
+        this.setSetting('wheelMode', mode);
+    }
+    
+    // --- Zoom and framing ---
+    clampScale(scale) {
+        return Math.max(WorkflowCanvas.MIN_SCALE, Math.min(WorkflowCanvas.MAX_SCALE, scale));
+    }
+    
+    // Zoom keeping the world point under the given client position fixed
+    zoomAt(scale, clientX, clientY, options = {}) {
+        const newScale = this.clampScale(scale);
         const rect = this.canvas.getBoundingClientRect();
-        const centerClientX = rect.left + rect.width / 2;
-        const centerClientY = rect.top + rect.height / 2;
-
-        // World coords of the viewport center before scaling
-        const centerWorld = this.viewportToCanvas(centerClientX, centerClientY);
-
-        // Apply new scale
-        this.canvasTransform.scale = newScale;
-
-        // Recompute translation so the same world point remains at viewport center
-        this.canvasTransform.x = (centerClientX - rect.left) - centerWorld.x * newScale;
-        this.canvasTransform.y = (centerClientY - rect.top) - centerWorld.y * newScale;
-
-        this.applyCanvasTransform();
-        this.refreshConnectionsAfterTransform();
+        const anchor = this.viewportToCanvas(clientX, clientY);
+        const target = {
+            x: (clientX - rect.left) - anchor.x * newScale,
+            y: (clientY - rect.top) - anchor.y * newScale,
+            scale: newScale
+        };
+        this.setViewTransform(target, options);
+    }
+    
+    zoomBy(factor, options = { animate: true }) {
+        const center = this.getViewportCenterClient();
+        this.zoomAt(this.canvasTransform.scale * factor, center.x, center.y, options);
+    }
+    
+    resetZoom(options = { animate: true }) {
+        const center = this.getViewportCenterClient();
+        this.zoomAt(1, center.x, center.y, options);
+    }
+    
+    zoomToFit(options = { animate: true }) {
+        this.zoomToNodes(Array.from(this.nodes.keys()), options);
+    }
+    
+    zoomToSelection(options = { animate: true }) {
+        if (this.selectedNodes.size === 0) {
+            this.zoomToFit(options);
+            return;
+        }
+        this.zoomToNodes(Array.from(this.selectedNodes), options);
+    }
+    
+    // Frame the given nodes with some margin; never magnifies beyond 100%
+    zoomToNodes(nodeIds, options = { animate: true }) {
+        const rects = nodeIds.map(id => this.nodes.get(id)).filter(Boolean).map(node => this.getNodeRect(node));
+        if (rects.length === 0) return;
+        const bounds = {
+            left: Math.min(...rects.map(r => r.left)),
+            top: Math.min(...rects.map(r => r.top)),
+            right: Math.max(...rects.map(r => r.right)),
+            bottom: Math.max(...rects.map(r => r.bottom))
+        };
+        const margin = 60;
+        const view = this.canvas.getBoundingClientRect();
+        const width = Math.max(1, bounds.right - bounds.left);
+        const height = Math.max(1, bounds.bottom - bounds.top);
+        const scale = this.clampScale(Math.min(
+            1,
+            (view.width - margin * 2) / width,
+            (view.height - margin * 2) / height
+        ));
+        const centerX = (bounds.left + bounds.right) / 2;
+        const centerY = (bounds.top + bounds.bottom) / 2;
+        this.setViewTransform({
+            x: view.width / 2 - centerX * scale,
+            y: view.height / 2 - centerY * scale,
+            scale
+        }, options);
+    }
+    
+    // Apply a pan/zoom immediately or ease to it (options.animate)
+    setViewTransform(target, options = {}) {
+        this.stopViewAnimation();
+        const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        if (!options.animate || reduceMotion) {
+            this.canvasTransform.x = target.x;
+            this.canvasTransform.y = target.y;
+            this.canvasTransform.scale = target.scale;
+            this.applyCanvasTransform();
+            this.refreshConnectionsAfterTransform();
+            return;
+        }
+        
+        const from = { ...this.canvasTransform };
+        const duration = options.duration || 250;
+        const start = performance.now();
+        const step = (now) => {
+            const t = Math.min(1, (now - start) / duration);
+            const eased = 1 - Math.pow(1 - t, 3);
+            // Interpolate scale geometrically so the zoom speed feels constant
+            this.canvasTransform.scale = from.scale * Math.pow(target.scale / from.scale, eased);
+            this.canvasTransform.x = from.x + (target.x - from.x) * eased;
+            this.canvasTransform.y = from.y + (target.y - from.y) * eased;
+            this.applyCanvasTransform();
+            if (t < 1) {
+                this.viewAnimationFrame = requestAnimationFrame(step);
+            } else {
+                this.viewAnimationFrame = null;
+                this.refreshConnectionsAfterTransform();
+            }
+        };
+        this.viewAnimationFrame = requestAnimationFrame(step);
+    }
+    
+    stopViewAnimation() {
+        if (this.viewAnimationFrame) {
+            cancelAnimationFrame(this.viewAnimationFrame);
+            this.viewAnimationFrame = null;
+        }
+    }
+    
+    updateZoomIndicator() {
+        const indicator = document.getElementById('zoom-level');
+        if (indicator) indicator.textContent = `${Math.round(this.canvasTransform.scale * 100)}%`;
     }
     
     selectAll() {
         this.clearSelection();
         this.nodes.forEach((node, nodeId) => {
+            if (node.element.classList.contains('group-hidden')) return; // inside a collapsed group
+            this.selectedNodes.add(nodeId);
+            node.element.classList.add('selected');
+            this.applyNodeVisualStyle(node);
+        });
+    }
+    
+    selectNodes(nodeIds) {
+        this.clearSelection();
+        nodeIds.forEach(nodeId => {
+            const node = this.nodes.get(nodeId);
+            if (!node) return;
             this.selectedNodes.add(nodeId);
             node.element.classList.add('selected');
             this.applyNodeVisualStyle(node);
         });
+        if (this.selectedNodes.size === 1 && window.nodeProperties) {
+            window.nodeProperties.showNodeProperties(this.nodes.get(nodeIds[0]));
+        }
+    }
+    
+    // --- Clipboard ---
+    // A fragment is the JSON payload placed on the clipboard:
+    // { format, version, nodes: [{ id, type, definition, offset, properties, color, locked }],
+    //   connections: [{ source: { nodeId, name }, target: { nodeId, name }, color }] }
+    // Only connections with both ends inside the selection are included.
+    serializeSelection(nodeIds = Array.from(this.selectedNodes)) {
+        const nodes = nodeIds.map(id => this.nodes.get(id)).filter(Boolean);
+        if (nodes.length === 0) return null;
+        const minX = Math.min(...nodes.map(n => n.position.x));
+        const minY = Math.min(...nodes.map(n => n.position.y));
+        const ids = new Set(nodes.map(n => n.id));
+        const fragment = {
+            format: WorkflowCanvas.CLIPBOARD_FORMAT,
+            version: 1,
+            nodes: nodes.map(n => ({
+                id: n.id,
+                type: n.type,
+                definition: n.definition,
+                offset: { x: n.position.x - minX, y: n.position.y - minY },
+                properties: JSON.parse(JSON.stringify(n.properties || {})),
+                color: n.color || null,
+                locked: !!n.locked
+            })),
+            connections: []
+        };
+        this.connections.forEach(conn => {
+            if (ids.has(conn.source.nodeId) && ids.has(conn.target.nodeId)) {
+                fragment.connections.push({
+                    source: { nodeId: conn.source.nodeId, name: conn.source.name },
+                    target: { nodeId: conn.target.nodeId, name: conn.target.name },
+                    waypoints: (conn.waypoints || []).map(p => ({ x: p.x - minX, y: p.y - minY })),
+                    color: conn.color || null
+                });
+            }
+        });
+        return fragment;
+    }
+
+    parseClipboardFragment(text) {
+        if (!text) return null;
+        try {
+            const data = JSON.parse(text);
+            if (data && data.format === WorkflowCanvas.CLIPBOARD_FORMAT && Array.isArray(data.nodes) && Array.isArray(data.connections)) {
+                return data;
+            }
+        } catch (_) { /* not a fragment */ }
+        return null;
+    }
+
+    handleClipboardEvent(e) {
+        const t = e.target;
+        if (t && (t.tagName === 'INPUT' || t.tagName === 'TEXTAREA' || t.tagName === 'SELECT' || t.isContentEditable)) {
+            return;
+        }
+        if (document.querySelector('.workflow-modal')) return;
+        if (this.readOnly && e.type !== 'copy') return;
+        if (e.type === 'paste') {
+            const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+            // Something copied since (e.g. text in another app) replaces the editor's own copy
+            const fragment = text ? this.parseClipboardFragment(text) : this.clipboard;
+            if (!fragment) return;
+            e.preventDefault();
+            this.pasteNodes(fragment);
+            return;
+        }
+        // Leave ordinary text selections (e.g. in the log panel) to the browser
+        const textSelection = window.getSelection ? window.getSelection() : null;
+        if (this.selectedNodes.size === 0 || (textSelection && !textSelection.isCollapsed)) return;
+        const fragment = this.serializeSelection(e.type === 'cut' ? this.getCuttableSelection() : undefined);
+        if (!fragment) return;
+        this.clipboard = fragment;
+        if (e.clipboardData) {
+            e.clipboardData.setData('text/plain', JSON.stringify(fragment));
+            e.preventDefault();
+        }
+        if (e.type === 'cut') {
+            this.history.transact('Cut', () => this.deleteSelectedNodes());
+        }
+        if (window.logger) window.logger.info(`${e.type === 'cut' ? 'Cut' : 'Copied'} ${fragment.nodes.length} node(s), ${fragment.connections.length} connection(s)`);
     }
     
-    copySelectedNodes() {
-        // Implementation for copying nodes would go here
-        console.log('Copy nodes:', Array.from(this.selectedNodes));
+    copySelectedNodes(nodeIds = Array.from(this.selectedNodes)) {
+        const fragment = this.serializeSelection(nodeIds);
+        if (!fragment) return null;
+        this.clipboard = fragment;
+        // Best effort: the async clipboard API needs a secure context and permission
+        if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+            navigator.clipboard.writeText(JSON.stringify(fragment)).catch((err) => {
+                console.warn('System clipboard unavailable, copy kept in editor only:', err && err.message ? err.message : err);
+            });
+        }
+        if (window.logger) window.logger.info(`Copied ${fragment.nodes.length} node(s), ${fragment.connections.length} connection(s)`);
+        return fragment;
+    }
+
+    cutSelectedNodes() {
+        const fragment = this.copySelectedNodes(this.getCuttableSelection());
+        if (!fragment) return null;
+        this.history.transact('Cut', () => this.deleteSelectedNodes());
+        return fragment;
+    }
+
+    // Locked nodes survive a delete, so a cut leaves them out of the clipboard too
+    getCuttableSelection() {
+        const ids = Array.from(this.selectedNodes);
+        const cuttable = ids.filter(id => {
+            const node = this.nodes.get(id);
+            return node && !node.locked;
+        });
+        if (cuttable.length < ids.length && window.logger) {
+            window.logger.warn(`Cut: ${ids.length - cuttable.length} locked node(s) left in place`);
+        }
+        return cuttable;
     }
     
-    pasteNodes() {
-        // Implementation for pasting nodes would go here
-        console.log('Paste nodes');
+    /**
+     * Paste a fragment with its top-left corner at the given client point
+     * (defaults to the pointer, or the viewport center when the pointer is off-canvas).
+     * Without a fragment the system clipboard is used; the internal copy only when that
+     * cannot be read or is empty.
+     */
+    async pasteNodes(fragment = null, clientPoint = null) {
+        let data = fragment;
+        let text = '';
+        if (!data && navigator.clipboard && typeof navigator.clipboard.readText === 'function') {
+            try {
+                text = (await navigator.clipboard.readText()) || '';
+                data = this.parseClipboardFragment(text);
+            } catch (_) { /* permission denied or unsupported */ }
+        }
+        if (!data && !text) data = this.clipboard;
+        if (!data) {
+            if (window.logger) window.logger.warn(text ? 'Paste: the clipboard holds no nodes' : 'Paste: clipboard is empty');
+            return [];
+        }
+        const point = clientPoint || this.lastPointer || this.getViewportCenterClient();
+        const origin = this.viewportToCanvas(point.x, point.y);
+        return this.insertFragment(data, origin, 'Paste');
     }
     
     duplicateSelectedNodes() {
-        // Implementation for duplicating nodes would go here
-        console.log('Duplicate nodes:', Array.from(this.selectedNodes));
+        const fragment = this.serializeSelection();
+        if (!fragment) return [];
+        const first = this.nodes.get(fragment.nodes[0].id);
+        const origin = {
+            x: first.position.x - fragment.nodes[0].offset.x + 30,
+            y: first.position.y - fragment.nodes[0].offset.y + 30
+        };
+        return this.insertFragment(fragment, origin, 'Duplicate');
+    }
+
+    // Recreate a fragment at a world-space origin with fresh ids; returns the new node ids
+    insertFragment(fragment, origin, label = 'Paste') {
+        const idMap = new Map();
+        this.history.transact(label, () => {
+            fragment.nodes.forEach(n => {
+                const definition = (window.nodePalette && window.nodePalette.getNodeDefinition(n.type)) || n.definition;
+                if (!definition) {
+                    if (window.logger) window.logger.warn(`${label}: missing definition for node type '${n.type}', skipping`);
+                    return;
+                }
+                const offset = n.offset || { x: 0, y: 0 };
+                const newId = this.createNode(definition, origin.x + offset.x, origin.y + offset.y);
+                const node = this.nodes.get(newId);
+                node.properties = Object.assign(this.initializeProperties(definition), JSON.parse(JSON.stringify(n.properties || {})));
+                if (n.color) {
+                    node.color = n.color;
+                    this.applyNodeVisualStyle(node);
+                }
+                if (n.locked) this._applyNodeLock(node, true);
+                idMap.set(n.id, newId);
+            });
+            fragment.connections.forEach(c => {
+                const sourceId = idMap.get(c.source.nodeId);
+                const targetId = idMap.get(c.target.nodeId);
+                if (!sourceId || !targetId) return;
+                const connectionId = this.createConnection(
+                    { nodeId: sourceId, name: c.source.name, type: 'output' },
+                    { nodeId: targetId, name: c.target.name, type: 'input' }
+                );
+                const conn = connectionId ? this.connections.get(connectionId) : null;
+                if (conn && c.color) {
+                    conn.color = c.color;
+                    this.applyConnectionColor(conn);
+                }
+                if (conn && Array.isArray(c.waypoints) && c.waypoints.length) {
+                    this.setConnectionWaypoints(connectionId, c.waypoints.map(p => ({ x: origin.x + p.x, y: origin.y + p.y })));
+                }
+            });
+        });
+        const newIds = Array.from(idMap.values());
+        this.selectNodes(newIds);
+        if (window.logger) window.logger.info(`${label}: created ${newIds.length} node(s)`);
+        return newIds;
+    }
+
+    getViewportCenterClient() {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    }
+    
+    // --- Auto-arrange ---
+    // Lays out the selection (when more than one node is selected) or the whole graph in
+    // left-to-right columns. Locked nodes keep their place; the result is one undo step.
+    autoArrange(options = {}) {
+        this.finishLayoutAnimation();
+        const selectionOnly = options.selectionOnly !== undefined
+            ? options.selectionOnly
+            : this.selectedNodes.size > 1;
+        const nodeIds = selectionOnly ? Array.from(this.selectedNodes) : Array.from(this.nodes.keys());
+        const nodes = nodeIds.map(id => this.nodes.get(id)).filter(Boolean);
+        const movable = nodes.filter(n => !n.locked);
+        if (movable.length === 0) {
+            if (window.logger) window.logger.info('Auto-arrange: nothing to arrange');
+            return;
+        }
+        
+        const links = Array.from(this.connections.values()).map(conn => ({
+            source: conn.source.nodeId,
+            target: conn.target.nodeId
+        }));
+        // Locked nodes only take part when wired, so they still shape the column order
+        const linked = new Set();
+        links.forEach(l => { linked.add(l.source); linked.add(l.target); });
+        const items = nodes.filter(node => !node.locked || linked.has(node.id)).map(node => ({
+            id: node.id,
+            x: node.position.x,
+            y: node.position.y,
+            // Nodes that have not been laid out yet report 0; fall back to the CSS default size
+            width: node.element.offsetWidth || 200,
+            height: node.element.offsetHeight || 100
+        }));
+        const layout = this.layout.compute(items, links);
+        
+        // Keep the arrangement where the nodes already are
+        const originX = Math.min(...movable.map(n => n.position.x));
+        const originY = Math.min(...movable.map(n => n.position.y));
+        const targets = new Map();
+        movable.forEach(node => {
+            const pos = layout.get(node.id);
+            if (!pos) return;
+            const { x, y } = this.clampToWorld(originX + pos.x, originY + pos.y,
+                node.element.offsetWidth, node.element.offsetHeight);
+            targets.set(node.id, { x, y });
+        });
+        
+        this.animateNodePositions(targets, (from) => {
+            const moves = Array.from(from.entries())
+                .filter(([id]) => this.nodes.has(id))
+                .map(([id, start]) => ({ id, from: start, to: targets.get(id) }));
+            this.history.transact('Auto-arrange', () => this.recordNodeMoves(moves));
+            if (window.logger) window.logger.info(`Auto-arranged ${moves.length} node${moves.length === 1 ? '' : 's'}`);
+        });
+    }
+    
+    // Ease nodes to their targets; onDone(startPositions) runs once every node has arrived
+    animateNodePositions(targets, onDone, duration = 350) {
+        const from = new Map();
+        targets.forEach((_, id) => {
+            const node = this.nodes.get(id);
+            if (node) from.set(id, { x: node.position.x, y: node.position.y });
+        });
+        const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        
+        const animation = { frame: null };
+        animation.finish = () => {
+            if (animation.frame !== null) cancelAnimationFrame(animation.frame);
+            animation.frame = null;
+            if (this.layoutAnimation === animation) this.layoutAnimation = null;
+            this.setNodePositions(Array.from(targets, ([id, to]) => ({ id, x: to.x, y: to.y })));
+            this.redrawAllConnections();
+            this.updateCanvasBounds();
+            if (onDone) onDone(from);
+        };
+        this.layoutAnimation = animation;
+        
+        if (reduceMotion || duration <= 0) {
+            // Defer so callers can finish setting up before completion callbacks run
+            animation.frame = requestAnimationFrame(() => animation.finish());
+            return;
+        }
+        
+        const start = performance.now();
+        const step = (now) => {
+            const t = Math.min(1, (now - start) / duration);
+            if (t >= 1) {
+                animation.finish();
+                return;
+            }
+            const eased = 1 - Math.pow(1 - t, 3);
+            targets.forEach((to, id) => {
+                const node = this.nodes.get(id);
+                const origin = from.get(id);
+                if (!node || !origin) return;
+                node.position.x = origin.x + (to.x - origin.x) * eased;
+                node.position.y = origin.y + (to.y - origin.y) * eased;
+                node.element.style.left = `${node.position.x}px`;
+                node.element.style.top = `${node.position.y}px`;
+            });
+            this.updateNodeConnections(Array.from(from.keys()));
+            animation.frame = requestAnimationFrame(step);
+        };
+        animation.frame = requestAnimationFrame(step);
+    }
+    
+    // Jump a running layout animation to its end (before new edits touch the same nodes)
+    finishLayoutAnimation() {
+        if (this.layoutAnimation) this.layoutAnimation.finish();
+    }
+    
+    // --- Editor settings (persisted per browser) ---
+    loadSettings() {
+        const defaults = {
+            snapToGrid: false,
+            alignmentGuides: true,
+            minimapVisible: true,
+            minimapSize: { width: 220, height: 150 },
+            wireStyle: 'bezier',
+            wheelMode: 'auto'
+        };
+        try {
+            const stored = window.localStorage ? window.localStorage.getItem(WorkflowCanvas.SETTINGS_KEY) : null;
+            return Object.assign(defaults, stored ? JSON.parse(stored) : {});
+        } catch (error) {
+            console.warn('Could not read editor settings:', error);
+            return defaults;
+        }
+    }
+    
+    setSetting(key, value) {
+        this.settings[key] = value;
+        try {
+            if (window.localStorage) {
+                window.localStorage.setItem(WorkflowCanvas.SETTINGS_KEY, JSON.stringify(this.settings));
+            }
+        } catch (error) {
+            console.warn('Could not save editor settings:', error);
+        }
+        this.updateCanvasToolbar();
+    }
+    
+    setWireStyle(style) {
+        if (!WorkflowWireRouter.STYLES.includes(style)) return;
+        this.setSetting('wireStyle', style);
+        this.redrawAllConnections();
+    }
+    
+    // --- Canvas toolbar ---
+    setupCanvasToolbar() {
+        const toolbar = document.getElementById('canvas-toolbar');
+        if (!toolbar) return;
+        toolbar.addEventListener('click', (e) => {
+            const button = e.target.closest ? e.target.closest('[data-action]') : null;
+            if (!button) return;
+            const action = button.dataset.action;
+            if (action === 'toggle-snap') {
+                this.setSetting('snapToGrid', !this.settings.snapToGrid);
+            } else if (action === 'toggle-guides') {
+                this.setSetting('alignmentGuides', !this.settings.alignmentGuides);
+            } else if (action === 'toggle-minimap') {
+                if (this.minimap) this.minimap.toggle();
+            } else if (action === 'cycle-wire-style') {
+                const styles = WorkflowWireRouter.STYLES;
+                this.setWireStyle(styles[(styles.indexOf(this.settings.wireStyle) + 1) % styles.length]);
+            } else if (action === 'cycle-wheel-mode') {
+                const modes = WorkflowCanvas.WHEEL_MODES;
+                this.setWheelMode(modes[(modes.indexOf(this.settings.wheelMode) + 1) % modes.length]);
+            } else if (action === 'zoom-in') {
+                this.zoomBy(1.25);
+            } else if (action === 'zoom-out') {
+                this.zoomBy(0.8);
+            } else if (action === 'zoom-reset') {
+                this.resetZoom();
+            } else if (action === 'zoom-fit') {
+                this.zoomToFit();
+            } else if (action === 'zoom-selection') {
+                this.zoomToSelection();
+            } else {
+                this.runAlignCommand(action);
+            }
+        });
+        this.updateCanvasToolbar();
+    }
+    
+    updateCanvasToolbar() {
+        const toolbar = document.getElementById('canvas-toolbar');
+        if (!toolbar) return;
+        const snap = toolbar.querySelector('[data-action="toggle-snap"]');
+        const guides = toolbar.querySelector('[data-action="toggle-guides"]');
+        if (snap) snap.classList.toggle('active', !!this.settings.snapToGrid);
+        if (guides) guides.classList.toggle('active', !!this.settings.alignmentGuides);
+        const minimap = toolbar.querySelector('[data-action="toggle-minimap"]');
+        if (minimap) minimap.classList.toggle('active', this.settings.minimapVisible !== false);
+        const wires = toolbar.querySelector('[data-action="cycle-wire-style"]');
+        if (wires) wires.textContent = WorkflowWireRouter.LABELS[this.settings.wireStyle] || WorkflowWireRouter.LABELS.bezier;
+        const wheel = toolbar.querySelector('[data-action="cycle-wheel-mode"]');
+        if (wheel) wheel.textContent = WorkflowCanvas.WHEEL_MODE_LABELS[this.settings.wheelMode] || WorkflowCanvas.WHEEL_MODE_LABELS.auto;
+    }
+    
+    // --- Snapping and alignment guides ---
+    getGridSpacing() {
+        return this.grid && typeof this.grid.getSpacing === 'function' ? this.grid.getSpacing() : 0;
+    }
+    
+    snapPosition(x, y) {
+        const spacing = this.getGridSpacing();
+        if (!this.settings.snapToGrid || spacing <= 0) return { x, y };
+        return {
+            x: Math.round(x / spacing) * spacing,
+            y: Math.round(y / spacing) * spacing
+        };
+    }
+    
+    // Adjust a drag delta so the grabbed node lands on the grid and the dragged
+    // bounds line up with neighbouring nodes; bounds are the group's start bounds
+    snapDragDelta(deltaX, deltaY, bounds) {
+        this.clearAlignmentGuides();
+        if (this.dragState.freeMove) return { x: deltaX, y: deltaY };
+        
+        const handle = this.dragState.dragOffset;
+        if (this.settings.snapToGrid) {
+            const snapped = this.snapPosition(handle.x + deltaX, handle.y + deltaY);
+            deltaX = snapped.x - handle.x;
+            deltaY = snapped.y - handle.y;
+        }
+        if (!this.settings.alignmentGuides) return { x: deltaX, y: deltaY };
+        
+        // Candidate lines from every node that is not being dragged (sizes do not change mid-drag)
+        if (!this.dragState.alignTargets) {
+            const dragged = new Set(this.dragState.draggedNodes.map(d => d.node.id));
+            this.dragState.alignTargets = [];
+            this.nodes.forEach((node, nodeId) => {
+                if (dragged.has(nodeId)) return;
+                this.dragState.alignTargets.push(this.getNodeRect(node));
+            });
+        }
+        
+        const threshold = 6 / (this.canvasTransform.scale || 1);
+        const width = bounds.maxX - bounds.minX;
+        const height = bounds.maxY - bounds.minY;
+        const best = { x: null, y: null };
+        this.dragState.alignTargets.forEach(rect => {
+            const left = bounds.minX + deltaX;
+            const top = bounds.minY + deltaY;
+            [left, left + width / 2, left + width].forEach(edge => {
+                [rect.left, rect.centerX, rect.right].forEach(line => {
+                    const diff = line - edge;
+                    if (Math.abs(diff) <= threshold && (!best.x || Math.abs(diff) < Math.abs(best.x.diff))) {
+                        best.x = { diff, line, rect };
+                    }
+                });
+            });
+            [top, top + height / 2, top + height].forEach(edge => {
+                [rect.top, rect.centerY, rect.bottom].forEach(line => {
+                    const diff = line - edge;
+                    if (Math.abs(diff) <= threshold && (!best.y || Math.abs(diff) < Math.abs(best.y.diff))) {
+                        best.y = { diff, line, rect };
+                    }
+                });
+            });
+        });
+        
+        // A guide wins over the grid on its axis
+        if (best.x) deltaX += best.x.diff;
+        if (best.y) deltaY += best.y.diff;
+        const left = bounds.minX + deltaX;
+        const top = bounds.minY + deltaY;
+        if (best.x) {
+            const from = Math.min(top, best.x.rect.top);
+            const to = Math.max(top + height, best.x.rect.bottom);
+            this.showAlignmentGuide('vertical', best.x.line, from, to);
+        }
+        if (best.y) {
+            const from = Math.min(left, best.y.rect.left);
+            const to = Math.max(left + width, best.y.rect.right);
+            this.showAlignmentGuide('horizontal', best.y.line, from, to);
+        }
+        return { x: deltaX, y: deltaY };
+    }
+    
+    getNodeRect(node) {
+        const width = node.element.offsetWidth;
+        const height = node.element.offsetHeight;
+        const left = node.position.x;
+        const top = node.position.y;
+        return {
+            left, top, width, height,
+            right: left + width,
+            bottom: top + height,
+            centerX: left + width / 2,
+            centerY: top + height / 2
+        };
+    }
+    
+    showAlignmentGuide(orientation, position, from, to) {
+        const guide = document.createElement('div');
+        guide.className = `alignment-guide ${orientation}`;
+        const thickness = `${1 / (this.canvasTransform.scale || 1)}px`;
+        if (orientation === 'vertical') {
+            guide.style.left = `${position}px`;
+            guide.style.top = `${from}px`;
+            guide.style.width = thickness;
+            guide.style.height = `${to - from}px`;
+        } else {
+            guide.style.left = `${from}px`;
+            guide.style.top = `${position}px`;
+            guide.style.width = `${to - from}px`;
+            guide.style.height = thickness;
+        }
+        this.nodesContainer.appendChild(guide);
+    }
+    
+    clearAlignmentGuides() {
+        this.nodesContainer.querySelectorAll('.alignment-guide').forEach(el => el.remove());
+    }
+    
+    // --- Align / distribute ---
+    runAlignCommand(action) {
+        const [kind, mode] = action.split('-');
+        if (kind === 'align') this.alignSelectedNodes(mode);
+        else if (kind === 'distribute') this.distributeSelectedNodes(mode);
+    }
+    
+    // mode: 'left' | 'right' | 'top' | 'bottom' | 'center' (shared x centre) | 'middle' (shared y centre)
+    // Locked nodes count toward the bounds but do not move
+    alignSelectedNodes(mode) {
+        const nodes = Array.from(this.selectedNodes).map(id => this.nodes.get(id)).filter(Boolean);
+        if (nodes.length < 2) {
+            if (window.logger) window.logger.info('Select at least two nodes to align');
+            return;
+        }
+        const rects = new Map(nodes.map(node => [node.id, this.getNodeRect(node)]));
+        const all = Array.from(rects.values());
+        const bounds = {
+            left: Math.min(...all.map(r => r.left)),
+            right: Math.max(...all.map(r => r.right)),
+            top: Math.min(...all.map(r => r.top)),
+            bottom: Math.max(...all.map(r => r.bottom))
+        };
+        const target = (r) => {
+            switch (mode) {
+                case 'left': return { x: bounds.left, y: r.top };
+                case 'right': return { x: bounds.right - r.width, y: r.top };
+                case 'top': return { x: r.left, y: bounds.top };
+                case 'bottom': return { x: r.left, y: bounds.bottom - r.height };
+                case 'center': return { x: (bounds.left + bounds.right) / 2 - r.width / 2, y: r.top };
+                case 'middle': return { x: r.left, y: (bounds.top + bounds.bottom) / 2 - r.height / 2 };
+                default: return { x: r.left, y: r.top };
+            }
+        };
+        const moves = nodes.filter(node => !node.locked).map(node => {
+            const r = rects.get(node.id);
+            return { id: node.id, from: { x: r.left, y: r.top }, to: target(r) };
+        });
+        const labels = { left: 'Align left', right: 'Align right', top: 'Align top', bottom: 'Align bottom', center: 'Align centers', middle: 'Align middles' };
+        this.applyNodeMoves(moves, labels[mode] || 'Align nodes');
+    }
+    
+    // Spread nodes so the gaps between them are equal; the outermost nodes stay put
+    distributeSelectedNodes(direction) {
+        const nodes = Array.from(this.selectedNodes).map(id => this.nodes.get(id)).filter(Boolean);
+        if (nodes.length < 3) {
+            if (window.logger) window.logger.info('Select at least three nodes to distribute');
+            return;
+        }
+        const horizontal = direction === 'horizontal';
+        const rects = nodes.map(node => ({ node, rect: this.getNodeRect(node) }))
+            .sort((a, b) => horizontal ? a.rect.left - b.rect.left : a.rect.top - b.rect.top);
+        const first = rects[0].rect;
+        const last = rects[rects.length - 1].rect;
+        const span = horizontal ? last.right - first.left : last.bottom - first.top;
+        const occupied = rects.reduce((sum, { rect }) => sum + (horizontal ? rect.width : rect.height), 0);
+        const gap = (span - occupied) / (rects.length - 1);
+        
+        let cursor = horizontal ? first.left : first.top;
+        const moves = [];
+        rects.forEach(({ node, rect }) => {
+            const to = horizontal ? { x: cursor, y: rect.top } : { x: rect.left, y: cursor };
+            if (!node.locked) moves.push({ id: node.id, from: { x: rect.left, y: rect.top }, to });
+            cursor += (horizontal ? rect.width : rect.height) + gap;
+        });
+        this.applyNodeMoves(moves, horizontal ? 'Distribute horizontally' : 'Distribute vertically');
+    }
+    
+    // Move nodes immediately and record the moves as one history entry
+    applyNodeMoves(moves, label) {
+        this.setNodePositions(moves.map(m => ({ id: m.id, x: m.to.x, y: m.to.y })));
+        // setNodePositions clamps; record where the nodes actually ended up
+        const applied = moves.map(m => {
+            const node = this.nodes.get(m.id);
+            return { id: m.id, from: m.from, to: { x: node.position.x, y: node.position.y } };
+        });
+        this.redrawAllConnections();
+        this.updateCanvasBounds();
+        this.history.transact(label, () => this.recordNodeMoves(applied));
     }
     
     clearCanvas(showConfirm = true) {
         if (showConfirm) {
-            if (!confirm('Are you sure you want to clear the canvas? This cannot be undone.')) {
+            if (!confirm('Are you sure you want to clear the canvas? You can undo this with Ctrl+Z.')) {
                 return;
             }
         }
+        const snapshot = this.history.isRecording() ? {
+            nodes: Array.from(this.nodes.keys()).map(id => this.serializeNode(id)),
+            connections: Array.from(this.connections.values()).map(c => this.serializeConnection(c)),
+            groups: this.groups.serializeAll(),
+            notes: this.notes.serializeAll()
+        } : null;
+        this.groups.clear();
+        this.notes.clear();
         this.nodes.clear();
         this.connections.clear();
         // Reset fast lookup indexes
@@ -1507,6 +3755,18 @@ class WorkflowCanvas {
         this.connectionsContainer.innerHTML = '';
         this.clearSelection();
         this.updatePerformanceMetrics();
+        if (snapshot && (snapshot.nodes.length > 0 || snapshot.groups.length > 0 || snapshot.notes.length > 0)) {
+            this._recordHistory({
+                label: 'Clear canvas',
+                undo: () => {
+                    snapshot.nodes.forEach(n => this.restoreNode(n));
+                    snapshot.connections.forEach(c => this.restoreConnection(c));
+                    this.groups.importGroups(snapshot.groups);
+                    this.notes.importNotes(snapshot.notes);
+                },
+                redo: () => this.clearCanvas(false)
+            });
+        }
     }
     
     showContextMenu(menu, x, y) {
@@ -1630,6 +3890,7 @@ class WorkflowCanvas {
         if (this.grid && typeof this.grid.update === 'function') {
             this.grid.update(this.canvasTransform);
         }
+        this.updateZoomIndicator();
     }
 
     checkForAutoPan(e) {
@@ -1684,23 +3945,10 @@ class WorkflowCanvas {
 
         this.applyCanvasTransform();
 
-        // Manually update the node being dragged to counteract the pan and keep it under the cursor
-        const dx = -this.dragState.autoPanSpeed.x / this.canvasTransform.scale;
-        const dy = -this.dragState.autoPanSpeed.y / this.canvasTransform.scale;
-        const node = this.dragState.draggedNode;
-        if (node) {
-            const rawX = node.position.x + dx;
-            const rawY = node.position.y + dy;
-            const w = node.element.offsetWidth;
-            const h = node.element.offsetHeight;
-            const { x, y } = this.clampToWorld(rawX, rawY, w, h);
-            node.position.x = x;
-            node.position.y = y;
-            node.element.style.left = `${x}px`;
-            node.element.style.top = `${y}px`;
-        }
-
-        this.updateNodeConnections(this.dragState.draggedNode.id);
+        // Shift the drag origin with the pan so the dragged nodes stay under the cursor
+        this.dragState.startX += this.dragState.autoPanSpeed.x;
+        this.dragState.startY += this.dragState.autoPanSpeed.y;
+        this.applyNodeDrag();
 
         // Continue the loop
         requestAnimationFrame(() => this.autoPanLoop());
@@ -1714,7 +3962,16 @@ class WorkflowCanvas {
             startY: 0,
             dragOffset: { x: 0, y: 0 },
             draggedNode: null,
+            draggedNodes: [],
+            marquee: null,
+            alignTargets: null,
+            freeMove: false,
+            lastClientX: 0,
+            lastClientY: 0,
             connectionStart: null,
+            spliceTarget: null,
+            spliceSearch: null,
+            rewire: null,
             isAutoPanning: false,
             autoPanSpeed: { x: 0, y: 0 }
         };
@@ -1746,9 +4003,14 @@ class WorkflowCanvas {
             connections: []
         };
         
+        // Subgraphs are expanded into plain nodes for the backend; edits inside an
+        // opened subgraph are included by starting from the top-level graph
+        const root = this.subgraphs.getRootGraph();
+        const flat = this.subgraphs.flatten(root);
+        
         // Export nodes with complete data
         const nodeObjById = new Map();
-        this.nodes.forEach(node => {
+        flat.nodes.forEach(node => {
             const nodeObj = {
                 id: node.id,
                 type: node.type,
@@ -1771,12 +4033,17 @@ class WorkflowCanvas {
                 // Filled below
                 input_bindings: {}
             };
+            if (node.subgraph) nodeObj.subgraph = node.subgraph;
+            // Lets a later import tell whether the backend definition has moved on
+            if (node.definition.version !== undefined) nodeObj.definition.version = node.definition.version;
+            // Placeholder for a type the server does not offer (execution refuses these)
+            if (node.definition.missing) nodeObj.definition.missing = true;
             workflowData.nodes.push(nodeObj);
             nodeObjById.set(node.id, nodeObj);
         });
         
         // Export connections with complete data
-        this.connections.forEach(connection => {
+        flat.connections.forEach(connection => {
             const conn = {
                 id: connection.id,
                 source: {
@@ -1791,6 +4058,8 @@ class WorkflowCanvas {
                 },
                 color: connection.color || null
             };
+            // Reroute points are layout only; source/target stay the same
+            if (connection.waypoints && connection.waypoints.length) conn.waypoints = connection.waypoints;
             workflowData.connections.push(conn);
             
             // Populate per-node input_bindings
@@ -1804,6 +4073,16 @@ class WorkflowCanvas {
             }
         });
 
+        // Group frames (layout only; membership is by position)
+        workflowData.groups = root.groups;
+
+        // Sticky notes are annotations only: kept out of nodes and execution_order
+        workflowData.notes = root.notes;
+
+        // What the editor needs to rebuild subgraph nodes on import
+        const subgraphs = this.subgraphs.serializeForExport(root);
+        if (subgraphs) workflowData.subgraphs = subgraphs;
+        
         // Compute execution order (topological sort)
         workflowData.execution_order = this.computeExecutionOrder(workflowData);
         
@@ -1853,7 +4132,26 @@ class WorkflowCanvas {
         const shouldClear = this.nodes.size === 0 || confirm('This will replace the current workflow. Continue?');
         if (!shouldClear) return;
         
+        // A loaded workflow starts a fresh history
+        this.history.clear();
+        this.history.suspend(() => this._importNodes(workflowData));
+        
+        // Frame the imported graph unless the workflow restores its own saved view
+        const hasSavedView = workflowData.metadata && workflowData.metadata.canvasTransform;
+        if (!hasSavedView) {
+            requestAnimationFrame(() => this.zoomToFit({ animate: false }));
+        }
+    }
+
+    _importNodes(workflowData) {
+        this.subgraphs.reset();
         this.clearCanvas(false);
+        this.debugger.clearBreakpoints();
+        // End a replay first, or leaving it would restore the old workflow's results
+        if (window.workflowExecution) window.workflowExecution.runHistory.stopReplay();
+        this.inspector.clear();
+        // Saved subgraph nodes replace their flattened contents
+        const { nodes: importNodes, connections: importConnections } = this.subgraphs.expandImport(workflowData);
         
         const nodeIdMapping = new Map(); // Map old IDs to new IDs
         let createdNodeCount = 0;
@@ -1861,13 +4159,13 @@ class WorkflowCanvas {
         
         // Import nodes first
         if (workflowData.nodes) {
-            workflowData.nodes.forEach(nodeData => {
+            importNodes.forEach(nodeData => {
                 try {
-                    const definition = nodeData.definition || (window.nodePalette && window.nodePalette.getNodeDefinition ? window.nodePalette.getNodeDefinition(nodeData.type) : null);
+                    let definition = nodeData.definition || (window.nodePalette && window.nodePalette.getNodeDefinition ? window.nodePalette.getNodeDefinition(nodeData.type) : null);
                     if (!definition) {
-                        skippedNodeCount++;
-                        if (window.logger) window.logger.warn(`Import: missing definition for node type '${nodeData.type}', skipping node ${nodeData.id}`);
-                        return;
+                        // Keep the node (and its wires and values) as a placeholder until the type is available
+                        definition = WorkflowVersions.placeholderDefinition(nodeData, importConnections);
+                        if (window.logger) window.logger.warn(`Import: missing definition for node type '${nodeData.type}', node ${nodeData.id} kept as a placeholder`);
                     }
                     const newX = (nodeData.position && nodeData.position.x != null) ? nodeData.position.x : 0;
                     const newY = (nodeData.position && nodeData.position.y != null) ? nodeData.position.y : 0;
@@ -1906,14 +4204,23 @@ class WorkflowCanvas {
                 }
             });
             if (window.logger) window.logger.info(`Import: created ${createdNodeCount} node(s), skipped ${skippedNodeCount}`);
+            this.versions.report('Import');
+        }
+        
+        // Groups after nodes so collapsed frames can hide the nodes they contain
+        if (Array.isArray(workflowData.groups)) {
+            this.groups.importGroups(workflowData.groups);
+        }
+        if (Array.isArray(workflowData.notes)) {
+            this.notes.importNotes(workflowData.notes, nodeIdMapping);
         }
         
         // Import connections after all nodes are created
         if (workflowData.connections) {
-            setTimeout(() => {
+            setTimeout(() => this.history.suspend(() => {
                 let createdConn = 0;
                 let skippedConn = 0;
-                workflowData.connections.forEach(connectionData => {
+                importConnections.forEach(connectionData => {
                     try {
                         const sourceNodeId = nodeIdMapping.get(connectionData.source.nodeId);
                         const targetNodeId = nodeIdMapping.get(connectionData.target.nodeId);
@@ -1959,6 +4266,9 @@ class WorkflowCanvas {
                                 this.applyConnectionColor(conn);
                             }
                         }
+                        if (newConnId && Array.isArray(connectionData.waypoints) && connectionData.waypoints.length) {
+                            this.setConnectionWaypoints(newConnId, connectionData.waypoints);
+                        }
                         createdConn++;
                     } catch (err) {
                         skippedConn++;
@@ -1974,10 +4284,21 @@ class WorkflowCanvas {
                 // Update canvas bounds and redraw connections
                 this.updateCanvasBounds();
                 this.redrawAllConnections();
-            }, 100); // Small delay to ensure DOM is ready
+            }), 100); // Small delay to ensure DOM is ready
         }
     }
 }
 
+// Identifies clipboard payloads produced by copySelectedNodes
+WorkflowCanvas.CLIPBOARD_FORMAT = 'nodesin.space/workflow-fragment';
+// Zoom limits for wheel, pinch and framing commands
+WorkflowCanvas.MIN_SCALE = 0.1;
+WorkflowCanvas.MAX_SCALE = 3.0;
+// What a plain mouse wheel does: guess from the device, always zoom or always pan
+WorkflowCanvas.WHEEL_MODES = ['auto', 'zoom', 'pan'];
+WorkflowCanvas.WHEEL_MODE_LABELS = { auto: 'Wheel: Auto', zoom: 'Wheel: Zoom', pan: 'Wheel: Pan' };
+// localStorage key for editor preferences (snapping, guides, ...)
+WorkflowCanvas.SETTINGS_KEY = 'agi_editor_settings';
+
 // Export for use in other modules
 window['WorkflowCanvas'] = WorkflowCanvas;
@@ -0,0 +1,421 @@
+/**
+ * Workflow Debugger
+ * Node breakpoints (plain and conditional) and the Debug tab while an execution is paused.
+ *
+ * A plain breakpoint pauses before the node runs; the backend gets these node ids as
+ * `breakpoints` with execute_workflow (and `set_breakpoints` while running). A conditional
+ * breakpoint is checked here against the node's outputs when it completes, e.g.
+ *   score < 0.5
+ *   text contains "error" || result.items.length > 3
+ */
+class WorkflowDebugger {
+    constructor(workflowCanvas, options = {}) {
+        this.canvas = workflowCanvas;
+        this.options = Object.assign({
+            panelId: 'debugger-view',
+            maxValueLength: 2000
+        }, options);
+        // nodeId -> { condition: string|null }
+        this.breakpoints = new Map();
+        this.runToNodeId = null;
+        this.panel = document.getElementById(this.options.panelId);
+        if (this.panel) this.setupPanel();
+        this.render();
+    }
+
+    get execution() {
+        return window.workflowExecution || null;
+    }
+
+    // --- Breakpoints ---
+    // Breakpoints are keyed by execution id (see WorkflowSubgraphs.executionIdFor)
+
+    hasBreakpoint(nodeId) {
+        return this.breakpoints.has(this.canvas.subgraphs.executionIdFor(nodeId));
+    }
+
+    getBreakpoint(key) {
+        return this.breakpoints.get(key) || null;
+    }
+
+    setBreakpoint(nodeId, condition = null) {
+        const node = this.canvas.nodes.get(nodeId);
+        if (!node) return false;
+        if (node.definition.subgraph) {
+            if (window.logger) window.logger.warn('Breakpoints go on the nodes inside a subgraph; open it to set one');
+            return false;
+        }
+        const text = condition && String(condition).trim() ? String(condition).trim() : null;
+        if (text) WorkflowDebugger.parseCondition(text); // throws on a condition we cannot read
+        this.breakpoints.set(this.canvas.subgraphs.executionIdFor(nodeId), { condition: text });
+        this.afterBreakpointsChanged();
+        return true;
+    }
+
+    removeBreakpoint(key) {
+        if (this.breakpoints.delete(key)) this.afterBreakpointsChanged();
+    }
+
+    toggleBreakpoint(nodeId) {
+        if (this.hasBreakpoint(nodeId)) this.removeBreakpoint(this.canvas.subgraphs.executionIdFor(nodeId));
+        else this.setBreakpoint(nodeId);
+    }
+
+    // F9: set on every selected node, or clear them when all already have one
+    toggleSelectedBreakpoints() {
+        const ids = Array.from(this.canvas.selectedNodes).filter(id => {
+            const node = this.canvas.nodes.get(id);
+            return node && !node.definition.subgraph;
+        });
+        if (!ids.length) return;
+        const clear = ids.every(id => this.hasBreakpoint(id));
+        ids.forEach(id => {
+            const key = this.canvas.subgraphs.executionIdFor(id);
+            if (clear) this.breakpoints.delete(key);
+            else if (!this.breakpoints.has(key)) this.breakpoints.set(key, { condition: null });
+        });
+        this.afterBreakpointsChanged();
+    }
+
+    editCondition(nodeId) {
+        const node = this.canvas.nodes.get(nodeId);
+        if (!node || node.definition.subgraph || typeof prompt !== 'function') return;
+        const current = this.getBreakpoint(this.canvas.subgraphs.executionIdFor(nodeId));
+        const text = prompt(
+            `Break after '${node.definition.name}' when its outputs match (e.g. score < 0.5, text contains "error").\nLeave empty to break before it runs.`,
+            current && current.condition ? current.condition : ''
+        );
+        if (text === null) return;
+        try {
+            this.setBreakpoint(nodeId, text);
+        } catch (error) {
+            if (window.logger) window.logger.error(`Breakpoint condition not set: ${error.message}`);
+        }
+    }
+
+    clearBreakpoints() {
+        if (!this.breakpoints.size) return;
+        this.breakpoints.clear();
+        this.afterBreakpointsChanged();
+    }
+
+    // A deleted node takes its breakpoints (and those of its subgraph contents) with it
+    forgetNode(nodeId) {
+        const key = this.canvas.subgraphs.executionIdFor(nodeId);
+        const removed = Array.from(this.breakpoints.keys()).filter(k => k === key || k.startsWith(`${key}/`));
+        removed.forEach(k => this.breakpoints.delete(k));
+        if (removed.length) this.render();
+    }
+
+    afterBreakpointsChanged() {
+        this.canvas.nodes.forEach((node, id) => this.renderNode(id));
+        const execution = this.execution;
+        if (execution && execution.currentExecution && execution.executionState !== 'idle') {
+            execution.updateBreakpoints(this.getBackendBreakpoints());
+        }
+        this.render();
+    }
+
+    // Plain breakpoints (node ids) for the backend; conditions are evaluated here
+    getBackendBreakpoints() {
+        return Array.from(this.breakpoints.entries()).filter(([, bp]) => !bp.condition).map(([key]) => key);
+    }
+
+    shouldBreakBefore(nodeId) {
+        const bp = this.getBreakpoint(nodeId);
+        return !!(bp && !bp.condition);
+    }
+
+    // Conditional breakpoint check when a node completes
+    shouldBreakAfter(nodeId, outputs) {
+        const bp = this.getBreakpoint(nodeId);
+        if (!bp || !bp.condition) return false;
+        try {
+            return WorkflowDebugger.evaluateCondition(bp.condition, outputs || {});
+        } catch (error) {
+            if (window.logger) window.logger.warn(`Breakpoint condition on ${nodeId} failed: ${error.message}`);
+            return false;
+        }
+    }
+
+    renderNode(nodeId) {
+        const node = this.canvas.nodes.get(nodeId);
+        if (!node) return;
+        const bp = this.getBreakpoint(this.canvas.subgraphs.executionIdFor(nodeId));
+        node.element.classList.toggle('has-breakpoint', !!bp);
+        node.element.classList.toggle('conditional-breakpoint', !!(bp && bp.condition));
+        const dot = node.element.querySelector('.node-breakpoint');
+        if (dot) {
+            dot.title = bp
+                ? (bp.condition ? `Breaks after this node when: ${bp.condition}` : 'Breaks before this node runs (click or F9 to remove)')
+                : 'Set breakpoint (F9)';
+        }
+    }
+
+    // --- Conditions: clauses "path op value" joined by && / || ---
+    static parseCondition(text) {
+        const split = WorkflowDebugger.splitOutsideQuotes;
+        return split(String(text), '||').map(part => split(part, '&&').map(clause => {
+            const m = /^\s*([A-Za-z_$][\w$]*(?:\.[\w$]+|\[\d+\])*)\s*(?:(==|!=|<=|>=|<|>|contains|matches)\s*(.+?))?\s*$/.exec(clause);
+            if (!m) throw new Error(`cannot read "${clause.trim()}"`);
+            return { path: m[1], op: m[2] || null, value: m[3] === undefined ? null : WorkflowDebugger.parseLiteral(m[3]) };
+        }));
+    }
+
+    // Splits on `separator` except inside '…' or "…" literals
+    static splitOutsideQuotes(text, separator) {
+        const parts = [];
+        let quote = null;
+        let start = 0;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quote) {
+                if (ch === '\\') i++;
+                else if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (text.startsWith(separator, i)) {
+                parts.push(text.slice(start, i));
+                i += separator.length - 1;
+                start = i + 1;
+            }
+        }
+        parts.push(text.slice(start));
+        return parts;
+    }
+
+    static parseLiteral(text) {
+        const raw = String(text).trim();
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            const quoted = /^'(.*)'$/.exec(raw);
+            return quoted ? quoted[1] : raw;
+        }
+    }
+
+    static resolvePath(root, path) {
+        return path.split(/\.|\[(\d+)\]/).filter(part => part !== undefined && part !== '')
+            .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), root);
+    }
+
+    // No implicit conversions beyond two: a numeric string equals its number (`count == "3"`)
+    // and "true"/"false" equal their boolean; objects and arrays compare by content
+    static valuesEqual(actual, expected) {
+        const isNil = (v) => v === null || v === undefined;
+        if (isNil(actual) || isNil(expected)) return isNil(actual) && isNil(expected);
+        if (typeof actual === 'object' || typeof expected === 'object') return JSON.stringify(actual) === JSON.stringify(expected);
+        if (typeof actual === typeof expected) return actual === expected;
+        const asNumber = (v) => {
+            if (typeof v === 'number') return v;
+            return typeof v === 'string' && v.trim() !== '' ? Number(v) : NaN;
+        };
+        if (typeof actual === 'number' || typeof expected === 'number') return asNumber(actual) === asNumber(expected);
+        if (typeof actual === 'boolean' || typeof expected === 'boolean') return String(actual) === String(expected);
+        return false;
+    }
+
+    static evaluateCondition(text, outputs) {
+        return WorkflowDebugger.parseCondition(text).some(clauses => clauses.every(clause => {
+            const actual = WorkflowDebugger.resolvePath(outputs, clause.path);
+            const expected = clause.value;
+            switch (clause.op) {
+                case null: return !!actual;
+                case '==': return WorkflowDebugger.valuesEqual(actual, expected);
+                case '!=': return !WorkflowDebugger.valuesEqual(actual, expected);
+                case '<': return actual < expected;
+                case '<=': return actual <= expected;
+                case '>': return actual > expected;
+                case '>=': return actual >= expected;
+                case 'contains':
+                    if (Array.isArray(actual)) return actual.includes(expected);
+                    return typeof actual === 'string' && actual.includes(String(expected));
+                case 'matches':
+                    return typeof actual === 'string' && new RegExp(String(expected)).test(actual);
+                default: return false;
+            }
+        }));
+    }
+
+    // --- Debug tab ---
+    setupPanel() {
+        this.panel.addEventListener('click', (e) => {
+            const control = e.target.closest('[data-debug-action]');
+            if (!control || control.disabled) return;
+            const key = control.dataset.key;
+            const execution = this.execution;
+            switch (control.dataset.debugAction) {
+                case 'continue':
+                    if (execution) execution.resumeExecution();
+                    break;
+                case 'step':
+                    if (execution) execution.stepExecution();
+                    break;
+                case 'run-to':
+                    if (execution && this.runToNodeId) execution.runToNode(this.runToNodeId);
+                    break;
+                case 'abort':
+                    if (execution) execution.stopExecution();
+                    break;
+                case 'select': {
+                    e.preventDefault();
+                    const node = this.canvas.resolveExecutionNode(key);
+                    if (node) this.canvas.selectNode(node.id, true);
+                    break;
+                }
+                case 'edit-condition': {
+                    const node = this.visibleNode(key);
+                    if (node) this.editCondition(node.id);
+                    else if (window.logger) window.logger.info('Open the subgraph that holds this node to edit its breakpoint');
+                    break;
+                }
+                case 'remove':
+                    this.removeBreakpoint(key);
+                    break;
+                case 'clear':
+                    this.clearBreakpoints();
+                    break;
+            }
+        });
+        this.panel.addEventListener('change', (e) => {
+            if (e.target.classList.contains('debug-run-to')) this.runToNodeId = e.target.value || null;
+        });
+    }
+
+    // The canvas node for an execution id, when it is shown on the current level
+    visibleNode(key) {
+        const node = this.canvas.resolveExecutionNode(key);
+        return node && this.canvas.subgraphs.executionIdFor(node.id) === key ? node : null;
+    }
+
+    nodeLabel(nodeId) {
+        const node = this.canvas.resolveExecutionNode(nodeId);
+        return node ? `${node.definition.name} (${nodeId})` : nodeId;
+    }
+
+    formatValue(value) {
+        if (value === undefined) return '<span class="debug-muted">not produced yet</span>';
+        let text;
+        try {
+            text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+        } catch (e) {
+            text = String(value);
+        }
+        if (text.length > this.options.maxValueLength) text = `${text.slice(0, this.options.maxValueLength)}…`;
+        return `<pre class="debug-value">${MarkdownRenderer.escape(text)}</pre>`;
+    }
+
+    // Inputs of a node as the backend will see them: the upstream node's output values so far
+    resolveInputs(node, results) {
+        return (node.definition.inputs || []).map(input => {
+            const binding = this.canvas.getInputBinding(node.id, input.name);
+            if (!binding) return { name: input.name, source: null, value: undefined };
+            const sourceKey = this.canvas.subgraphs.executionIdFor(binding.fromNodeId);
+            const upstream = results[sourceKey] || {};
+            return { name: input.name, source: `${sourceKey}.${binding.fromPort}`, value: upstream[binding.fromPort] };
+        });
+    }
+
+    render() {
+        if (!this.panel) return;
+        const escape = MarkdownRenderer.escape;
+        const execution = this.execution;
+        const state = execution ? execution.executionState : 'idle';
+        const run = execution ? execution.currentExecution : null;
+        const paused = state === 'paused' && run;
+        const active = state === 'running' || state === 'paused';
+
+        let status = 'Not running. Set breakpoints with F9, the dot in a node header, or the node context menu.';
+        if (state === 'running') status = 'Running…';
+        if (paused) {
+            const info = execution.pauseInfo || {};
+            const reason = {
+                breakpoint: 'breakpoint',
+                condition: `condition: ${info.condition || ''}`,
+                'run-to': 'run to node',
+                step: 'step'
+            }[info.reason] || 'paused';
+            status = info.nodeId
+                ? `Paused ${info.reason === 'condition' ? 'after' : 'before'} ${this.nodeLabel(info.nodeId)} (${reason})`
+                : `Paused (${reason})`;
+        }
+
+        const targets = Array.from(this.canvas.nodes.values()).filter(n => !n.definition.subgraph)
+            .map(n => ({ key: this.canvas.subgraphs.executionIdFor(n.id), name: n.definition.name }));
+        if (!targets.some(t => t.key === this.runToNodeId)) this.runToNodeId = null;
+        const options = targets.map(t => `<option value="${escape(t.key)}"${t.key === this.runToNodeId ? ' selected' : ''}>${escape(t.name)} (${escape(t.key)})</option>`).join('');
+
+        let html = `
+            <div class="debug-toolbar">
+                <span class="debug-status">${escape(status)}</span>
+                <button class="btn" data-debug-action="continue" ${paused ? '' : 'disabled'} title="Continue (F6)">Continue</button>
+                <button class="btn" data-debug-action="step" ${paused ? '' : 'disabled'} title="Step over (F10)">Step Over</button>
+                <select class="debug-run-to" ${paused ? '' : 'disabled'}><option value="">Run to node…</option>${options}</select>
+                <button class="btn" data-debug-action="run-to" ${paused ? '' : 'disabled'}>Run to Node</button>
+                <button class="btn" data-debug-action="abort" ${active ? '' : 'disabled'}>Abort</button>
+            </div>
+        `;
+
+        if (paused) {
+            const info = execution.pauseInfo || {};
+            const nodeId = info.nodeId;
+            const node = nodeId ? this.visibleNode(nodeId) : null;
+            if (nodeId && !node) {
+                html += '<div class="debug-muted">This node is inside a subgraph; open it to inspect inputs and properties.</div>';
+            }
+            if (node) {
+                const results = run.results || {};
+                const inputs = this.resolveInputs(node, results).map(input => `
+                    <div class="debug-row">
+                        <span class="debug-key">${escape(input.name)}</span>
+                        <span class="debug-muted">${input.source ? `from ${escape(input.source)}` : 'not connected'}</span>
+                        ${input.source ? this.formatValue(input.value) : ''}
+                    </div>
+                `).join('') || '<div class="debug-muted">No inputs</div>';
+                const properties = Object.entries(node.properties || {}).map(([key, value]) => {
+                    const prop = (node.definition.properties || {})[key] || {};
+                    return `
+                        <div class="debug-row">
+                            <span class="debug-key">${escape(prop.label || key)}</span>
+                            ${prop.sensitive ? '<span class="debug-muted">hidden</span>' : this.formatValue(value)}
+                        </div>
+                    `;
+                }).join('') || '<div class="debug-muted">No properties</div>';
+                const produced = results[nodeId];
+                const outputs = (node.definition.outputs || []).map(output => `
+                    <div class="debug-row">
+                        <span class="debug-key">${escape(output.name)}</span>
+                        ${this.formatValue(produced ? produced[output.name] : undefined)}
+                    </div>
+                `).join('') || '<div class="debug-muted">No outputs</div>';
+                html += `
+                    <div class="debug-sections">
+                        <div class="debug-section"><h5>Inputs</h5>${inputs}</div>
+                        <div class="debug-section"><h5>Properties</h5>${properties}</div>
+                        <div class="debug-section"><h5>Outputs</h5>${outputs}</div>
+                    </div>
+                `;
+            }
+        }
+
+        const list = Array.from(this.breakpoints.entries()).map(([key, bp]) => `
+            <div class="debug-breakpoint">
+                <span class="debug-dot${bp.condition ? ' conditional' : ''}"></span>
+                <a href="#" data-debug-action="select" data-key="${escape(key)}">${escape(this.nodeLabel(key))}</a>
+                <span class="debug-muted">${bp.condition ? `when ${escape(bp.condition)}` : 'before run'}</span>
+                <button class="btn" data-debug-action="edit-condition" data-key="${escape(key)}">Condition…</button>
+                <button class="btn" data-debug-action="remove" data-key="${escape(key)}">Remove</button>
+            </div>
+        `).join('');
+        html += `
+            <div class="debug-section">
+                <h5>Breakpoints ${list ? '<button class="btn" data-debug-action="clear">Clear All</button>' : ''}</h5>
+                ${list || '<div class="debug-muted">No breakpoints</div>'}
+            </div>
+        `;
+        this.panel.innerHTML = html;
+    }
+}
+
+// Export for use in other modules
+window['WorkflowDebugger'] = WorkflowDebugger;
@@ -7,8 +7,15 @@ class WorkflowExecution {
         this.canvas = workflowCanvas;
         this.webSocket = webSocketClient;
         this.executionState = 'idle'; // 'idle', 'running', 'paused', 'completed', 'error'
+        // Node shown as next in line while paused
+        this.nextNodeId = null;
+        // Why the run is paused: { nodeId, reason: 'pause'|'step'|'breakpoint'|'condition'|'run-to', condition? }
+        this.pauseInfo = null;
         this.currentExecution = null;
-        this.executionHistory = [];
+        // Finished runs, kept in browser storage
+        this.runHistory = new WorkflowRunHistory(this);
+        // Outputs of earlier runs, reused by partial runs for nodes that have not changed
+        this.cache = new ExecutionCache();
         this.executionMetrics = {
             totalExecutions: 0,
             successfulExecutions: 0,
@@ -18,19 +25,50 @@ class WorkflowExecution {
     }
 
     /**
-     * Execute the current workflow
+     * Execute the current workflow.
+     * options.partial = { mode: 'from'|'upto'|'selection', nodeIds } runs only part of it (see planPartialRun);
+     * options.snapshot = { workflowData, partial, cachedOutputs, graph } re-runs a stored run exactly as it was sent
      */
     async executeWorkflow(options = {}) {
         try {
-            if (this.executionState === 'running') {
+            if (this.executionState === 'running' || this.executionState === 'paused') {
                 return {
                     success: false,
                     message: 'Workflow is already running. Stop current execution first.'
                 };
             }
 
-            // Export current workflow
-            const workflowData = this.canvas.exportWorkflow();
+            // Leave a run replay before new node states are drawn
+            this.runHistory.stopReplay();
+
+            // Export current workflow (or take the stored snapshot as is)
+            let workflowData = options.snapshot
+                ? JSON.parse(JSON.stringify(options.snapshot.workflowData))
+                : this.canvas.exportWorkflow();
+            // Editor-only data (sticky notes, saved subgraph structure) is never sent to the backend
+            delete workflowData.notes;
+            delete workflowData.subgraphs;
+            // Node ids and types of the whole workflow, so a stored run is only replayed on the same graph
+            const graph = options.snapshot
+                ? options.snapshot.graph || null
+                : workflowData.nodes.map(n => [n.id, n.type]);
+
+            // Signatures of the whole graph decide which cached outputs are still valid
+            const signatures = this.cache.computeSignatures(workflowData);
+            const partial = options.snapshot ? options.snapshot.partial || null : options.partial || null;
+            let plan = null;
+            if (options.snapshot) {
+                if (partial) plan = { workflowData, cachedOutputs: options.snapshot.cachedOutputs || {} };
+            } else if (partial) {
+                plan = this.planPartialRun(workflowData, partial, signatures);
+                if (!plan.workflowData.nodes.length) {
+                    return {
+                        success: false,
+                        message: 'Nothing to run'
+                    };
+                }
+                workflowData = plan.workflowData;
+            }
             
             // Validate workflow
             const validation = this.validateWorkflow(workflowData);
@@ -59,8 +97,21 @@ class WorkflowExecution {
                 options: {
                     debugMode: options.debugMode || false,
                     stepByStep: options.stepByStep || false,
-                    breakpoints: options.breakpoints || []
+                    breakpoints: options.breakpoints || this.canvas.debugger.getBackendBreakpoints()
                 },
+                // Flattened node ids in run order, and what has started so far (for "next in line")
+                order: workflowData.execution_order || [],
+                signatures,
+                partial: plan ? { mode: partial.mode, nodeIds: partial.nodeIds, cachedNodeIds: Object.keys(plan.cachedOutputs) } : null,
+                // What was sent, for the run history
+                snapshot: workflowData,
+                graph,
+                cachedOutputs: plan ? plan.cachedOutputs : null,
+                // Per node: { state, startedAt, duration_ms, error }
+                nodeStates: {},
+                startedNodes: new Set(),
+                stepping: false,
+                runTo: null,
                 results: {},
                 errors: []
             };
@@ -73,6 +124,22 @@ class WorkflowExecution {
             
             // Clear previous execution states from nodes
             this.clearNodeExecutionStates();
+            this.canvas.inspector.beginRun();
+            // Reused outputs count as results of this run
+            if (plan) {
+                Object.entries(plan.cachedOutputs).forEach(([nodeId, outputs]) => {
+                    execution.results[nodeId] = outputs;
+                    execution.nodeStates[nodeId] = { state: 'cached' };
+                    this.canvas.inspector.recordOutputs(nodeId, outputs);
+                    const node = this.canvas.resolveExecutionNode(nodeId);
+                    if (node) node.element.classList.add('cached');
+                });
+            }
+
+            // Step-by-step runs start paused before the first node
+            if (execution.options.stepByStep) {
+                this.setPaused(null);
+            }
 
             // Log execution start
             if (window.logger) {
@@ -80,15 +147,24 @@ class WorkflowExecution {
                 window.logger.info(`   └─ Nodes: ${workflowData.nodes.length}`);
                 window.logger.info(`   └─ Connections: ${workflowData.connections.length}`);
                 window.logger.info(`   └─ Debug mode: ${execution.options.debugMode}`);
+                if (plan) {
+                    window.logger.info(`   └─ Partial run (${partial.mode}): ${workflowData.execution_order.join(', ')}`);
+                    window.logger.info(`   └─ Cached: ${execution.partial.cachedNodeIds.join(', ') || 'none'}`);
+                }
             }
 
             // Send execution request to backend
-            if (this.webSocket && this.webSocket.isConnected()) {
+            if (this.isBackendConnected()) {
                 const result = await this.webSocket.executeWorkflow({
                     ...workflowData,
                     execution_id: executionId,
                     debug_mode: execution.options.debugMode,
-                    step_by_step: execution.options.stepByStep
+                    step_by_step: execution.options.stepByStep,
+                    breakpoints: execution.options.breakpoints,
+                    ...(plan ? {
+                        partial: { mode: partial.mode, node_ids: partial.nodeIds },
+                        cached_outputs: plan.cachedOutputs
+                    } : {})
                 });
 
                 if (result.success) {
@@ -127,6 +203,76 @@ class WorkflowExecution {
         }
     }
 
+    /**
+     * Run part of the workflow for canvas node ids (subgraph nodes stand for their contents):
+     *   'from'      the nodes and everything downstream of them
+     *   'upto'      the nodes and whatever upstream of them is dirty
+     *   'selection' only the nodes, plus whatever upstream of them is dirty
+     */
+    runPartial(mode, canvasNodeIds) {
+        const nodeIds = (canvasNodeIds || []).map(id => this.canvas.subgraphs.executionIdFor(id));
+        if (!nodeIds.length) {
+            return Promise.resolve({
+                success: false,
+                message: 'Select a node first'
+            });
+        }
+        return this.executeWorkflow({ partial: { mode, nodeIds } });
+    }
+
+    /**
+     * Which nodes a partial run executes. Requested nodes always run; an upstream node runs
+     * only when it is dirty (no cached outputs for its current signature), otherwise its
+     * cached outputs are sent along. Returns the trimmed workflow data and the cached outputs.
+     */
+    planPartialRun(workflowData, partial, signatures) {
+        const ids = workflowData.nodes.map(n => n.id);
+        const upstream = new Map(ids.map(id => [id, []]));
+        const downstream = new Map(ids.map(id => [id, []]));
+        workflowData.connections.forEach(conn => {
+            if (upstream.has(conn.target.nodeId)) upstream.get(conn.target.nodeId).push(conn.source.nodeId);
+            if (downstream.has(conn.source.nodeId)) downstream.get(conn.source.nodeId).push(conn.target.nodeId);
+        });
+        const reach = (start, edges) => {
+            const seen = new Set();
+            const queue = [...start];
+            while (queue.length) {
+                (edges.get(queue.shift()) || []).forEach(next => {
+                    if (!seen.has(next)) {
+                        seen.add(next);
+                        queue.push(next);
+                    }
+                });
+            }
+            return seen;
+        };
+
+        const forced = new Set(ids.filter(id => partial.nodeIds.some(t => id === t || id.startsWith(`${t}/`))));
+        if (partial.mode === 'from') reach(forced, downstream).forEach(id => forced.add(id));
+        const run = new Set(forced);
+        reach(forced, upstream).forEach(id => {
+            if (!forced.has(id) && this.cache.isDirty(id, signatures.get(id))) run.add(id);
+        });
+
+        const cachedOutputs = {};
+        workflowData.connections.forEach(conn => {
+            if (run.has(conn.target.nodeId) && !run.has(conn.source.nodeId)) {
+                cachedOutputs[conn.source.nodeId] = this.cache.getOutputs(conn.source.nodeId);
+            }
+        });
+
+        return {
+            workflowData: {
+                ...workflowData,
+                nodes: workflowData.nodes.filter(n => run.has(n.id)),
+                // Wires from cached nodes stay so the backend knows where each input comes from
+                connections: workflowData.connections.filter(conn => run.has(conn.target.nodeId)),
+                execution_order: (workflowData.execution_order || []).filter(id => run.has(id))
+            },
+            cachedOutputs
+        };
+    }
+
     /**
      * Stop the current workflow execution
      */
@@ -139,7 +285,7 @@ class WorkflowExecution {
         }
 
         try {
-            if (this.webSocket && this.webSocket.isConnected()) {
+            if (this.isBackendConnected()) {
                 await this.webSocket.stopExecution({
                     execution_id: this.currentExecution.id
                 });
@@ -148,6 +294,7 @@ class WorkflowExecution {
             this.currentExecution.endTime = new Date();
             this.currentExecution.state = 'stopped';
             this.executionState = 'idle';
+            this.runHistory.add(this.currentExecution);
             
             this.updateExecutionUI();
             this.clearNodeExecutionStates();
@@ -173,7 +320,7 @@ class WorkflowExecution {
     /**
      * Pause the current workflow execution
      */
-    async pauseExecution() {
+    async pauseExecution(pauseInfo = null) {
         if (this.executionState !== 'running') {
             return {
                 success: false,
@@ -182,10 +329,11 @@ class WorkflowExecution {
         }
 
         try {
-            this.executionState = 'paused';
-            this.currentExecution.state = 'paused';
-            
-            this.updateExecutionUI();
+            // The backend finishes the running node, then confirms with execution_paused
+            if (this.isBackendConnected()) {
+                this.webSocket.pauseExecution(this.currentExecution.id);
+            }
+            this.setPaused(null, pauseInfo);
             
             if (window.logger) {
                 window.logger.info('⏸️ Workflow execution paused');
@@ -217,10 +365,10 @@ class WorkflowExecution {
         }
 
         try {
-            this.executionState = 'running';
-            this.currentExecution.state = 'running';
-            
-            this.updateExecutionUI();
+            if (this.isBackendConnected()) {
+                this.webSocket.resumeExecution(this.currentExecution.id);
+            }
+            this.setRunning();
             
             if (window.logger) {
                 window.logger.info('▶️ Workflow execution resumed');
@@ -240,6 +388,143 @@ class WorkflowExecution {
         }
     }
 
+    /**
+     * Run the next node, then pause again. When idle, starts a step-by-step run.
+     */
+    async stepExecution() {
+        if (!this.currentExecution || this.executionState === 'idle' || this.executionState === 'error') {
+            return this.executeWorkflow({ stepByStep: true });
+        }
+        if (this.executionState !== 'paused') {
+            return {
+                success: false,
+                message: 'Pause the workflow before stepping'
+            };
+        }
+
+        try {
+            if (this.isBackendConnected()) {
+                this.webSocket.stepExecution(this.currentExecution.id);
+            }
+            this.currentExecution.stepping = true;
+            this.setRunning();
+            
+            if (window.logger) {
+                window.logger.info('⏭️ Stepping to the next node');
+            }
+
+            return {
+                success: true,
+                message: 'Stepped to the next node'
+            };
+
+        } catch (error) {
+            console.error('Error stepping workflow execution:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Continue until the given node is next in line, then pause before it
+     */
+    async runToNode(nodeId) {
+        if (this.executionState !== 'paused') {
+            return {
+                success: false,
+                message: 'No workflow is currently paused'
+            };
+        }
+        if (this.currentExecution.startedNodes.has(nodeId)) {
+            return {
+                success: false,
+                message: 'That node has already run'
+            };
+        }
+
+        if (this.isBackendConnected()) {
+            this.webSocket.resumeExecution(this.currentExecution.id, nodeId);
+        }
+        this.currentExecution.runTo = nodeId;
+        this.setRunning();
+
+        if (window.logger) {
+            window.logger.info(`⏩ Running to node: ${nodeId}`);
+        }
+
+        return {
+            success: true,
+            message: `Running to ${nodeId}`
+        };
+    }
+
+    // Breakpoints changed while running
+    updateBreakpoints(breakpoints) {
+        if (!this.currentExecution) return;
+        this.currentExecution.options.breakpoints = breakpoints;
+        if (this.isBackendConnected()) {
+            this.webSocket.setBreakpoints(this.currentExecution.id, breakpoints);
+        }
+    }
+
+    // Merge into a node's state record, keeping the start time to work out a duration
+    setNodeState(nodeId, state) {
+        const previous = this.currentExecution.nodeStates[nodeId] || {};
+        const next = { ...previous, ...state };
+        if (next.duration_ms === undefined && previous.startedAt) next.duration_ms = Date.now() - previous.startedAt;
+        this.currentExecution.nodeStates[nodeId] = next;
+    }
+
+    isBackendConnected() {
+        const ws = this.webSocket;
+        if (!ws) return false;
+        return typeof ws.isConnected === 'function' ? ws.isConnected() : !!ws.isConnected;
+    }
+
+    setPaused(nextNodeId, pauseInfo = null) {
+        const reason = this.currentExecution.stepping ? 'step' : 'pause';
+        const stopped = !!pauseInfo && pauseInfo !== this.pauseInfo && ['breakpoint', 'condition', 'run-to'].includes(pauseInfo.reason);
+        this.executionState = 'paused';
+        this.currentExecution.state = 'paused';
+        this.currentExecution.stepping = false;
+        this.currentExecution.runTo = null;
+        this.showNextNode(nextNodeId || this.getNextNodeId());
+        this.pauseInfo = pauseInfo || { nodeId: this.nextNodeId, reason };
+        this.updateExecutionUI();
+        // Stopping at a breakpoint brings up the Debug tab
+        if (stopped && window.app && typeof window.app.switchTab === 'function') {
+            window.app.switchTab('debug');
+        }
+    }
+
+    setRunning() {
+        this.executionState = 'running';
+        this.currentExecution.state = 'running';
+        this.pauseInfo = null;
+        this.showNextNode(null);
+        this.updateExecutionUI();
+    }
+
+    // First node in run order that has not started yet
+    getNextNodeId() {
+        const execution = this.currentExecution;
+        if (!execution) return null;
+        return execution.order.find(id => !execution.startedNodes.has(id)) || null;
+    }
+
+    // Marks the node that runs next while paused (null clears)
+    showNextNode(nodeId) {
+        if (this.nextNodeId) {
+            const previous = this.canvas.resolveExecutionNode(this.nextNodeId);
+            if (previous) previous.element.classList.remove('next-node');
+        }
+        this.nextNodeId = nodeId || null;
+        const node = nodeId ? this.canvas.resolveExecutionNode(nodeId) : null;
+        if (node) node.element.classList.add('next-node');
+    }
+
     /**
      * Validate workflow before execution
      */
@@ -270,9 +555,20 @@ class WorkflowExecution {
         // Build quick lookup for nodes and definitions
         const nodeById = new Map(workflowData.nodes.map(n => [n.id, n]));
 
+        // Placeholder nodes (type not offered by the server) would reach the backend as unknown types
+        const versions = this.canvas.versions;
+        const missingIds = new Set(versions.getMissingNodeIds().map(id => this.canvas.subgraphs.executionIdFor(id)));
+
         // Validate individual nodes
         workflowData.nodes.forEach(nodeData => {
-            const node = this.canvas.nodes.get(nodeData.id);
+            // Only a node shown on the current level under exactly this id is the same node;
+            // anything else (other levels, flattened subgraph contents) is validated from its exported data
+            const visible = this.canvas.resolveExecutionNode(nodeData.id);
+            const node = visible && this.canvas.subgraphs.executionIdFor(visible.id) === nodeData.id ? visible : nodeData;
+            if (missingIds.has(nodeData.id) || versions.isMissing(node)) {
+                errors.push(`Node ${nodeData.id}: Node type '${nodeData.type}' is not available on the server`);
+                return;
+            }
             if (node) {
                 // Check required properties
                 if (node.definition && node.definition.properties) {
@@ -319,7 +615,7 @@ class WorkflowExecution {
 
             const outType = getOutputType(sourceNode, conn.source.name);
             const inType = getInputType(targetNode, conn.target.name);
-            if (outType && inType && outType !== inType) {
+            if (outType && inType && !this.canvas.isTypeCompatible(outType, inType)) {
                 warnings.push(`Type mismatch: ${sourceNode.id}.${conn.source.name} (${outType}) -> ${targetNode.id}.${conn.target.name} (${inType})`);
             }
         });
@@ -395,6 +691,12 @@ class WorkflowExecution {
             case 'execution_progress':
                 this.handleExecutionProgress(event.data);
                 break;
+            case 'execution_paused':
+                this.handleExecutionPaused(event.data);
+                break;
+            case 'execution_resumed':
+                this.handleExecutionResumed(event.data);
+                break;
         }
     }
 
@@ -402,7 +704,9 @@ class WorkflowExecution {
      * Event handlers for execution events
      */
     handleNodeExecutionStart(data) {
-        const node = this.canvas.nodes.get(data.nodeId);
+        this.currentExecution.startedNodes.add(data.nodeId);
+        this.currentExecution.nodeStates[data.nodeId] = { state: 'running', startedAt: Date.now() };
+        const node = this.canvas.resolveExecutionNode(data.nodeId);
         if (node) {
             node.element.classList.add('executing');
             this.currentExecution.progress.currentNode = data.nodeId;
@@ -414,7 +718,7 @@ class WorkflowExecution {
     }
 
     handleNodeExecutionComplete(data) {
-        const node = this.canvas.nodes.get(data.nodeId);
+        const node = this.canvas.resolveExecutionNode(data.nodeId);
         if (node) {
             node.element.classList.remove('executing');
             node.element.classList.add('completed');
@@ -424,8 +728,11 @@ class WorkflowExecution {
         }
 
         this.currentExecution.progress.completedNodes++;
+        this.setNodeState(data.nodeId, { state: 'completed', duration_ms: data.execution_time_ms });
         if (data.outputs) {
             this.currentExecution.results[data.nodeId] = data.outputs;
+            this.canvas.inspector.recordOutputs(data.nodeId, data.outputs);
+            this.cache.store(data.nodeId, this.currentExecution.signatures.get(data.nodeId), data.outputs);
         }
 
         if (window.logger) {
@@ -433,10 +740,19 @@ class WorkflowExecution {
         }
 
         this.updateExecutionProgress();
+
+        // Conditional breakpoints are checked here, against the outputs just produced
+        if (this.executionState === 'running' && this.canvas.debugger.shouldBreakAfter(data.nodeId, data.outputs)) {
+            const bp = this.canvas.debugger.getBreakpoint(data.nodeId);
+            if (window.logger) {
+                window.logger.info(`🔴 Breakpoint condition met on ${data.nodeId}: ${bp.condition}`);
+            }
+            this.pauseExecution({ nodeId: data.nodeId, reason: 'condition', condition: bp.condition });
+        }
     }
 
     handleNodeExecutionError(data) {
-        const node = this.canvas.nodes.get(data.nodeId);
+        const node = this.canvas.resolveExecutionNode(data.nodeId);
         if (node) {
             node.element.classList.remove('executing');
             node.element.classList.add('error');
@@ -446,6 +762,8 @@ class WorkflowExecution {
         }
 
         this.currentExecution.progress.failedNodes++;
+        this.setNodeState(data.nodeId, { state: 'error', error: data.error });
+        this.cache.invalidate(data.nodeId);
         this.currentExecution.errors.push({
             nodeId: data.nodeId,
             error: data.error,
@@ -459,6 +777,30 @@ class WorkflowExecution {
         this.updateExecutionProgress();
     }
 
+    // Backend confirmation of pause/step/breakpoint: { execution_id, next_node_id?, reason? }
+    handleExecutionPaused(data = {}) {
+        if (this.executionState === 'idle') return;
+        const nextNodeId = data.next_node_id || data.nextNodeId || null;
+        let pauseInfo = null;
+        if (nextNodeId && nextNodeId === this.currentExecution.runTo) {
+            pauseInfo = { nodeId: nextNodeId, reason: 'run-to' };
+        } else if (data.reason === 'breakpoint') {
+            pauseInfo = { nodeId: nextNodeId, reason: 'breakpoint' };
+        } else if (this.executionState === 'paused' && this.pauseInfo && this.pauseInfo.reason === 'condition') {
+            // Confirms the pause a conditional breakpoint asked for
+            pauseInfo = this.pauseInfo;
+        }
+        this.setPaused(nextNodeId, pauseInfo);
+        if (window.logger) {
+            window.logger.info(`⏸️ Paused${this.nextNodeId ? ` before node: ${this.nextNodeId}` : ''}`);
+        }
+    }
+
+    handleExecutionResumed() {
+        if (this.executionState !== 'paused') return;
+        this.setRunning();
+    }
+
     handleWorkflowComplete(data) {
         this.currentExecution.endTime = new Date();
         this.currentExecution.state = 'completed';
@@ -472,10 +814,7 @@ class WorkflowExecution {
         this.updateAverageExecutionTime(executionTime);
 
         // Add to history
-        this.executionHistory.unshift({ ...this.currentExecution });
-        if (this.executionHistory.length > 50) {
-            this.executionHistory.pop();
-        }
+        this.runHistory.add(this.currentExecution);
 
         this.updateExecutionUI();
         this.clearNodeExecutionStates();
@@ -494,6 +833,8 @@ class WorkflowExecution {
     }
 
     handleExecutionError(error) {
+        // Only a run still in progress goes to the history (not one that already ended)
+        const active = !!(this.currentExecution && !this.currentExecution.endTime);
         if (this.currentExecution) {
             this.currentExecution.endTime = new Date();
             this.currentExecution.state = 'error';
@@ -506,6 +847,7 @@ class WorkflowExecution {
         this.executionState = 'error';
         this.executionMetrics.totalExecutions++;
         this.executionMetrics.failedExecutions++;
+        if (active) this.runHistory.add(this.currentExecution);
 
         this.updateExecutionUI();
         this.clearNodeExecutionStates();
@@ -534,18 +876,17 @@ class WorkflowExecution {
      * UI update methods
      */
     updateExecutionUI() {
+        this.updateDebugButtons();
+        this.canvas.debugger.render();
         const button = document.getElementById('execute-workflow');
         if (!button) return;
 
         switch (this.executionState) {
             case 'running':
+            case 'paused':
                 button.textContent = 'Stop';
                 button.className = 'btn btn-warning';
                 break;
-            case 'paused':
-                button.textContent = 'Resume';
-                button.className = 'btn btn-info';
-                break;
             case 'error':
                 button.textContent = 'Execute';
                 button.className = 'btn btn-error';
@@ -556,6 +897,20 @@ class WorkflowExecution {
         }
     }
 
+    // Pause while running, Resume while paused; Step whenever nothing is running
+    updateDebugButtons() {
+        const state = this.executionState;
+        const pause = document.getElementById('pause-workflow');
+        const resume = document.getElementById('resume-workflow');
+        const step = document.getElementById('step-workflow');
+        if (pause) {
+            pause.style.display = state === 'paused' ? 'none' : '';
+            pause.disabled = state !== 'running';
+        }
+        if (resume) resume.style.display = state === 'paused' ? '' : 'none';
+        if (step) step.disabled = state === 'running';
+    }
+
     updateExecutionProgress() {
         // Update progress indicators if they exist
         const progressElements = document.querySelectorAll('.execution-progress');
@@ -571,8 +926,10 @@ class WorkflowExecution {
 
     clearNodeExecutionStates() {
         this.canvas.nodes.forEach(node => {
-            node.element.classList.remove('executing', 'completed', 'error');
+            node.element.classList.remove('executing', 'completed', 'error', 'next-node', 'cached');
         });
+        this.nextNodeId = null;
+        this.pauseInfo = null;
     }
 
     updateAverageExecutionTime(newTime) {
@@ -585,15 +942,27 @@ class WorkflowExecution {
      * Simulate execution for testing when backend is not available
      */
     async simulateExecution(execution) {
-        const nodes = this.canvas.nodes;
         let nodeIndex = 0;
 
-        for (const [nodeId, node] of nodes) {
+        for (const nodeId of execution.order) {
+            // Breakpoints, run-to-node, pause and step behave like the backend would; stop ends the run
+            if (this.executionState === 'running') {
+                if (execution.runTo === nodeId) {
+                    this.handleExecutionPaused({ execution_id: execution.id, next_node_id: nodeId });
+                } else if (this.canvas.debugger.shouldBreakBefore(nodeId)) {
+                    this.handleExecutionPaused({ execution_id: execution.id, next_node_id: nodeId, reason: 'breakpoint' });
+                }
+            }
+            await this.waitWhilePaused(execution);
+            if (this.currentExecution !== execution || execution.state === 'stopped') return;
+            const node = this.canvas.resolveExecutionNode(nodeId);
+
             // Simulate node start
-            this.handleNodeExecutionStart({ nodeId: nodeId, nodeType: node.type });
+            this.handleNodeExecutionStart({ nodeId: nodeId, nodeType: node ? node.type : 'unknown' });
             
             // Simulate processing time
             await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
+            if (this.currentExecution !== execution || execution.state === 'stopped') return;
             
             // Simulate completion (90% success rate)
             if (Math.random() < 0.9) {
@@ -610,6 +979,9 @@ class WorkflowExecution {
             }
 
             nodeIndex++;
+            if (execution.stepping && nodeIndex < execution.order.length) {
+                this.handleExecutionPaused({ execution_id: execution.id });
+            }
         }
 
         // Simulate workflow completion
@@ -621,6 +993,13 @@ class WorkflowExecution {
         }, 500);
     }
 
+    waitWhilePaused(execution) {
+        return new Promise(resolve => {
+            const check = () => (execution.state === 'paused' ? setTimeout(check, 100) : resolve());
+            check();
+        });
+    }
+
     /**
      * Get execution statistics
      */
@@ -633,7 +1012,7 @@ class WorkflowExecution {
                 startTime: this.currentExecution.startTime,
                 progress: this.currentExecution.progress
             } : null,
-            historyCount: this.executionHistory.length
+            historyCount: this.runHistory.records.length
         };
     }
 }
@@ -0,0 +1,481 @@
+/**
+ * Workflow Groups
+ * Titled, colored frames behind nodes that move, collapse and lock the nodes they contain
+ */
+class WorkflowGroups {
+    constructor(workflowCanvas, options = {}) {
+        this.canvas = workflowCanvas;
+        this.options = Object.assign({
+            defaultColor: '#3498DB',
+            padding: 24,        // space around the selection when creating a group
+            headerHeight: 32,
+            collapsedWidth: 220,
+            minWidth: 120,
+            minHeight: 60,
+            contextMenuId: 'group-context-menu'
+        }, options);
+
+        this.groups = new Map();
+        this.groupCounter = 0;
+        this.contextGroupId = null;
+
+        this.setupContextMenu();
+    }
+
+    // --- Creation / removal ---
+    createFromSelection() {
+        const nodes = Array.from(this.canvas.selectedNodes).map(id => this.canvas.nodes.get(id)).filter(Boolean);
+        if (nodes.length === 0) {
+            if (window.logger) window.logger.info('Select one or more nodes to group');
+            return null;
+        }
+        const rects = nodes.map(node => this.canvas.getNodeRect(node));
+        const pad = this.options.padding;
+        const left = Math.min(...rects.map(r => r.left)) - pad;
+        const top = Math.min(...rects.map(r => r.top)) - pad - this.options.headerHeight;
+        const right = Math.max(...rects.map(r => r.right)) + pad;
+        const bottom = Math.max(...rects.map(r => r.bottom)) + pad;
+        return this.create({
+            title: 'Group',
+            position: { x: left, y: top },
+            size: { width: right - left, height: bottom - top }
+        });
+    }
+
+    // data: { id?, title, color, position, size, collapsed, locked }
+    create(data, options = {}) {
+        const id = data.id || `group_${++this.groupCounter}`;
+        // Keep generated ids ahead of restored ones (e.g. group_7)
+        const m = /_(\d+)$/.exec(String(id));
+        if (m) this.groupCounter = Math.max(this.groupCounter, parseInt(m[1], 10));
+        const group = {
+            id,
+            title: data.title || 'Group',
+            color: data.color || this.options.defaultColor,
+            position: { x: data.position ? data.position.x : 0, y: data.position ? data.position.y : 0 },
+            size: {
+                width: Math.max(this.options.minWidth, data.size ? data.size.width : 300),
+                height: Math.max(this.options.minHeight, data.size ? data.size.height : 200)
+            },
+            collapsed: false,
+            locked: !!data.locked,
+            hiddenNodeIds: new Set(),
+            element: null
+        };
+        group.element = this.createGroupElement(group);
+        // Frames sit behind every node in the same layer
+        this.canvas.nodesContainer.insertBefore(group.element, this.canvas.nodesContainer.firstChild);
+        this.groups.set(id, group);
+        this.renderGroup(group);
+        if (data.collapsed) this._setCollapsedState(group, true);
+
+        if (options.record !== false) {
+            const snapshot = this.serialize(id);
+            this.canvas._recordHistory({
+                label: 'Create group',
+                undo: () => this.remove(id, { record: false }),
+                redo: () => this.create(snapshot, { record: false })
+            });
+        }
+        return id;
+    }
+
+    remove(groupId, options = {}) {
+        const group = this.groups.get(groupId);
+        if (!group) return;
+        const snapshot = this.serialize(groupId);
+        this._setCollapsedState(group, false);
+        if (group.element && group.element.parentNode) group.element.remove();
+        this.groups.delete(groupId);
+        if (options.record !== false) {
+            this.canvas._recordHistory({
+                label: 'Remove group',
+                undo: () => this.create(snapshot, { record: false }),
+                redo: () => this.remove(groupId, { record: false })
+            });
+        }
+    }
+
+    // Drop every group without recording (canvas clear / import)
+    clear() {
+        this.groups.forEach(group => {
+            this._setCollapsedState(group, false);
+            if (group.element && group.element.parentNode) group.element.remove();
+        });
+        this.groups.clear();
+        this.groupCounter = 0;
+    }
+
+    // --- Serialization ---
+    serialize(groupId) {
+        const group = this.groups.get(groupId);
+        if (!group) return null;
+        return {
+            id: group.id,
+            title: group.title,
+            color: group.color,
+            position: { x: group.position.x, y: group.position.y },
+            size: { width: group.size.width, height: group.size.height },
+            collapsed: group.collapsed,
+            locked: group.locked
+        };
+    }
+
+    serializeAll() {
+        return Array.from(this.groups.keys()).map(id => this.serialize(id));
+    }
+
+    importGroups(groups) {
+        if (!Array.isArray(groups)) return;
+        groups.forEach(data => {
+            try {
+                this.create(data, { record: false });
+            } catch (err) {
+                console.error('Error creating group during import:', err, data);
+                if (window.logger) window.logger.error('Import: failed to create group: ' + (err && err.message ? err.message : String(err)));
+            }
+        });
+    }
+
+    // --- Edits (each is one undo step) ---
+    rename(groupId, title) {
+        const value = String(title || '').trim();
+        if (!value) return;
+        this._change(groupId, 'Rename group', group => { group.title = value; });
+    }
+
+    setColor(groupId, color) {
+        this._change(groupId, 'Change group color', group => { group.color = color || this.options.defaultColor; });
+    }
+
+    setLocked(groupId, locked) {
+        this._change(groupId, locked ? 'Lock group' : 'Unlock group', group => { group.locked = locked; });
+    }
+
+    setCollapsed(groupId, collapsed) {
+        this._change(groupId, collapsed ? 'Collapse group' : 'Expand group', group => this._setCollapsedState(group, collapsed));
+    }
+
+    _change(groupId, label, mutate) {
+        const group = this.groups.get(groupId);
+        if (!group) return;
+        const before = this.serialize(groupId);
+        mutate(group);
+        this.renderGroup(group);
+        const after = this.serialize(groupId);
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        this.canvas._recordHistory({
+            label,
+            undo: () => this._applyState(before),
+            redo: () => this._applyState(after)
+        });
+    }
+
+    _applyState(snapshot) {
+        const group = this.groups.get(snapshot.id);
+        if (!group) return;
+        group.title = snapshot.title;
+        group.color = snapshot.color;
+        group.locked = snapshot.locked;
+        group.position = { x: snapshot.position.x, y: snapshot.position.y };
+        group.size = { width: snapshot.size.width, height: snapshot.size.height };
+        this._setCollapsedState(group, snapshot.collapsed);
+        this.renderGroup(group);
+    }
+
+    // --- Membership / collapse ---
+    // Nodes whose box lies entirely inside the (expanded) frame
+    getMembers(group) {
+        if (group.collapsed) return Array.from(group.hiddenNodeIds).filter(id => this.canvas.nodes.has(id));
+        const right = group.position.x + group.size.width;
+        const bottom = group.position.y + group.size.height;
+        const members = [];
+        this.canvas.nodes.forEach((node, nodeId) => {
+            const r = this.canvas.getNodeRect(node);
+            if (r.left >= group.position.x && r.top >= group.position.y && r.right <= right && r.bottom <= bottom) {
+                members.push(nodeId);
+            }
+        });
+        return members;
+    }
+
+    _setCollapsedState(group, collapsed) {
+        if (group.collapsed === collapsed) return;
+        if (collapsed) {
+            group.hiddenNodeIds = new Set(this.getMembers(group));
+            group.collapsed = true;
+            group.hiddenNodeIds.forEach(nodeId => {
+                const node = this.canvas.nodes.get(nodeId);
+                if (node) node.element.classList.add('group-hidden');
+                this.canvas.selectedNodes.delete(nodeId);
+                if (node) node.element.classList.remove('selected');
+            });
+        } else {
+            group.collapsed = false;
+            group.hiddenNodeIds.forEach(nodeId => {
+                const node = this.canvas.nodes.get(nodeId);
+                if (node) node.element.classList.remove('group-hidden');
+            });
+            group.hiddenNodeIds = new Set();
+        }
+        this.renderGroup(group);
+        this.canvas.redrawAllConnections();
+    }
+
+    // Where a wire should attach when its node is hidden inside a collapsed group
+    // (right edge of the header for outputs, left edge for inputs). Returns null when visible.
+    getCollapsedAnchor(nodeId, role) {
+        for (const group of this.groups.values()) {
+            if (group.collapsed && group.hiddenNodeIds.has(nodeId)) {
+                return {
+                    groupId: group.id,
+                    x: group.position.x + (role === 'output' ? this.options.collapsedWidth : 0),
+                    y: group.position.y + this.options.headerHeight / 2
+                };
+            }
+        }
+        return null;
+    }
+
+    // --- DOM ---
+    createGroupElement(group) {
+        const el = document.createElement('div');
+        el.className = 'workflow-group';
+        el.dataset.groupId = group.id;
+        el.innerHTML = `
+            <div class="group-header">
+                <button class="group-collapse" title="Collapse / expand"></button>
+                <span class="group-title"></span>
+                <span class="group-badge"></span>
+                <span class="group-lock" title="Locked">&#128274;</span>
+            </div>
+            <div class="group-resize" title="Drag to resize"></div>
+        `;
+        const header = el.querySelector('.group-header');
+        const collapseBtn = el.querySelector('.group-collapse');
+        const title = el.querySelector('.group-title');
+        const resize = el.querySelector('.group-resize');
+
+        collapseBtn.addEventListener('mousedown', (e) => e.stopPropagation());
+        collapseBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.setCollapsed(group.id, !group.collapsed);
+        });
+        title.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            this.startRename(group.id);
+        });
+        header.addEventListener('mousedown', (e) => {
+            if (e.button !== 0 || e.target.closest('input')) return;
+            e.stopPropagation();
+            this.startDrag(e, group.id);
+        });
+        header.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.showContextMenu(group.id, e.clientX, e.clientY);
+        });
+        resize.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            e.stopPropagation();
+            this.startResize(e, group.id);
+        });
+        return el;
+    }
+
+    renderGroup(group) {
+        const el = group.element;
+        if (!el) return;
+        el.style.left = `${group.position.x}px`;
+        el.style.top = `${group.position.y}px`;
+        el.style.width = `${group.collapsed ? this.options.collapsedWidth : group.size.width}px`;
+        el.style.height = `${group.collapsed ? this.options.headerHeight : group.size.height}px`;
+        el.style.setProperty('--group-color', group.color);
+        el.classList.toggle('collapsed', group.collapsed);
+        el.classList.toggle('locked', group.locked);
+        el.querySelector('.group-title').textContent = group.title;
+        el.querySelector('.group-collapse').innerHTML = group.collapsed ? '&#9656;' : '&#9662;';
+        const badge = el.querySelector('.group-badge');
+        const hidden = group.hiddenNodeIds.size;
+        badge.textContent = group.collapsed ? `${hidden} node${hidden === 1 ? '' : 's'}` : '';
+    }
+
+    startRename(groupId) {
+        const group = this.groups.get(groupId);
+        if (!group) return;
+        const title = group.element.querySelector('.group-title');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'group-title-input';
+        input.value = group.title;
+        title.style.display = 'none';
+        title.parentNode.insertBefore(input, title.nextSibling);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            input.remove();
+            title.style.display = '';
+            if (commit) this.rename(groupId, input.value);
+        };
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') finish(true);
+            else if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('mousedown', (e) => e.stopPropagation());
+    }
+
+    // --- Dragging and resizing ---
+    startDrag(e, groupId) {
+        const group = this.groups.get(groupId);
+        if (!group || group.locked) return;
+        this.canvas.finishLayoutAnimation();
+        this.canvas.hideContextMenus();
+
+        const scale = this.canvas.canvasTransform.scale || 1;
+        const origin = { x: group.position.x, y: group.position.y };
+        // Locked nodes stay where they are, as with any other multi-node move
+        const members = this.getMembers(group)
+            .map(id => this.canvas.nodes.get(id))
+            .filter(node => node && !node.locked)
+            .map(node => ({ node, start: { x: node.position.x, y: node.position.y } }));
+        const waypoints = this.canvas.collectWaypoints(members.map(({ node }) => node.id));
+        const startX = e.clientX;
+        const startY = e.clientY;
+        group.element.classList.add('dragging');
+
+        const move = (ev) => {
+            const dx = (ev.clientX - startX) / scale;
+            const dy = (ev.clientY - startY) / scale;
+            group.position = { x: origin.x + dx, y: origin.y + dy };
+            this.renderGroup(group);
+            this.canvas.shiftWaypoints(waypoints, dx, dy);
+            this.canvas.setNodePositions(members.map(({ node, start }) => ({ id: node.id, x: start.x + dx, y: start.y + dy })));
+            if (group.collapsed) this.canvas.redrawAllConnections();
+        };
+        const up = () => {
+            document.removeEventListener('mousemove', move);
+            document.removeEventListener('mouseup', up);
+            group.element.classList.remove('dragging');
+            const to = { x: group.position.x, y: group.position.y };
+            if (to.x === origin.x && to.y === origin.y) return;
+            this.canvas.updateCanvasBounds();
+            this.canvas.redrawAllConnections();
+            this.canvas.history.transact('Move group', () => {
+                this.canvas._recordHistory({
+                    label: 'Move group',
+                    undo: () => this._setPosition(groupId, origin),
+                    redo: () => this._setPosition(groupId, to)
+                });
+                this.canvas.recordNodeMoves(members.map(({ node, start }) => ({
+                    id: node.id,
+                    from: start,
+                    to: { x: node.position.x, y: node.position.y }
+                })));
+                this.canvas.recordWaypointShifts(waypoints);
+            });
+        };
+        document.addEventListener('mousemove', move);
+        document.addEventListener('mouseup', up);
+    }
+
+    _setPosition(groupId, position) {
+        const group = this.groups.get(groupId);
+        if (!group) return;
+        group.position = { x: position.x, y: position.y };
+        this.renderGroup(group);
+        if (group.collapsed) this.canvas.redrawAllConnections();
+    }
+
+    startResize(e, groupId) {
+        const group = this.groups.get(groupId);
+        if (!group || group.locked || group.collapsed) return;
+        const scale = this.canvas.canvasTransform.scale || 1;
+        const before = this.serialize(groupId);
+        const startX = e.clientX;
+        const startY = e.clientY;
+
+        const move = (ev) => {
+            group.size = {
+                width: Math.max(this.options.minWidth, before.size.width + (ev.clientX - startX) / scale),
+                height: Math.max(this.options.minHeight, before.size.height + (ev.clientY - startY) / scale)
+            };
+            this.renderGroup(group);
+        };
+        const up = () => {
+            document.removeEventListener('mousemove', move);
+            document.removeEventListener('mouseup', up);
+            const after = this.serialize(groupId);
+            if (after.size.width === before.size.width && after.size.height === before.size.height) return;
+            this.canvas._recordHistory({
+                label: 'Resize group',
+                undo: () => this._applyState(before),
+                redo: () => this._applyState(after)
+            });
+        };
+        document.addEventListener('mousemove', move);
+        document.addEventListener('mouseup', up);
+    }
+
+    // --- Context menu ---
+    setupContextMenu() {
+        const menu = document.getElementById(this.options.contextMenuId);
+        if (!menu) return;
+        menu.addEventListener('click', (e) => {
+            const groupId = this.contextGroupId;
+            if (e.target.classList.contains('color-swatch')) {
+                this.setColor(groupId, e.target.dataset.color);
+                this.canvas.hideContextMenus();
+                return;
+            }
+            const action = e.target.dataset.action;
+            if (!action || e.target.classList.contains('disabled')) return;
+            const group = this.groups.get(groupId);
+            switch (action) {
+                case 'rename-group':
+                    this.startRename(groupId);
+                    break;
+                case 'toggle-collapse-group':
+                    if (group) this.setCollapsed(groupId, !group.collapsed);
+                    break;
+                case 'lock-group':
+                    this.setLocked(groupId, true);
+                    break;
+                case 'unlock-group':
+                    this.setLocked(groupId, false);
+                    break;
+                case 'select-group-nodes':
+                    if (group) this.canvas.selectNodes(this.getMembers(group));
+                    break;
+                case 'remove-group':
+                    this.remove(groupId);
+                    break;
+            }
+            this.canvas.hideContextMenus();
+        });
+    }
+
+    showContextMenu(groupId, x, y) {
+        const menu = document.getElementById(this.options.contextMenuId);
+        const group = this.groups.get(groupId);
+        if (!menu || !group) return;
+        this.contextGroupId = groupId;
+        const collapseItem = menu.querySelector('[data-action="toggle-collapse-group"]');
+        const lockItem = menu.querySelector('[data-action="lock-group"]');
+        const unlockItem = menu.querySelector('[data-action="unlock-group"]');
+        const selectItem = menu.querySelector('[data-action="select-group-nodes"]');
+        if (collapseItem) collapseItem.textContent = group.collapsed ? 'Expand' : 'Collapse';
+        if (lockItem) lockItem.style.display = group.locked ? 'none' : '';
+        if (unlockItem) unlockItem.style.display = group.locked ? '' : 'none';
+        if (selectItem) selectItem.classList.toggle('disabled', group.collapsed);
+        this.canvas.showContextMenu(menu, x, y);
+    }
+}
+
+// Export for use in other modules
+window['WorkflowGroups'] = WorkflowGroups;
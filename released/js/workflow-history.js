@@ -0,0 +1,234 @@
+/**
+ * Workflow History (Undo/Redo)
+ * Command-based history for canvas edits with grouping, coalescing and a bounded stack
+ */
+class WorkflowHistory {
+    /**
+     * A command is a plain object:
+     *   { label, undo(), redo(), coalesceKey?, merge?(nextCommand) }
+     * Commands are recorded after the mutation has already been applied.
+     */
+    constructor(workflowCanvas, options = {}) {
+        this.canvas = workflowCanvas;
+        this.options = Object.assign({
+            maxEntries: 100,        // oldest entries are dropped beyond this
+            coalesceWindowMs: 1000, // same-key commands within this window merge (typing)
+            panelId: 'history-panel'
+        }, options);
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.suspendDepth = 0;
+        this.group = null;
+        this.panel = document.getElementById(this.options.panelId);
+
+        this.setupPanelEvents();
+        this.render();
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    isRecording() {
+        return this.suspendDepth === 0;
+    }
+
+    /**
+     * Record a command that has already been applied to the canvas
+     */
+    record(command) {
+        if (!command || this.suspendDepth > 0) return;
+        if (this.group) {
+            this.group.commands.push(command);
+            return;
+        }
+        this._push(command);
+    }
+
+    /**
+     * Run fn and collect every command it records into a single history entry.
+     * Nested transactions fold into the outermost one.
+     */
+    transact(label, fn) {
+        if (this.group || this.suspendDepth > 0) {
+            return fn();
+        }
+        this.group = { label, commands: [] };
+        try {
+            return fn();
+        } finally {
+            const group = this.group;
+            this.group = null;
+            if (group.commands.length === 1) {
+                const only = group.commands[0];
+                only.label = group.label || only.label;
+                this._push(only);
+            } else if (group.commands.length > 1) {
+                this._push(this._createComposite(group.label, group.commands));
+            }
+        }
+    }
+
+    /**
+     * Run fn without recording anything (used while applying undo/redo and on import)
+     */
+    suspend(fn) {
+        this.suspendDepth++;
+        try {
+            return fn();
+        } finally {
+            this.suspendDepth--;
+        }
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+        this._apply(command, 'undo');
+        this.redoStack.push(command);
+        this._afterChange();
+        if (window.logger) window.logger.debug(`Undo: ${command.label}`);
+        return true;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+        this._apply(command, 'redo');
+        this.undoStack.push(command);
+        this._afterChange();
+        if (window.logger) window.logger.debug(`Redo: ${command.label}`);
+        return true;
+    }
+
+    /**
+     * Undo or redo until the given number of entries remain on the undo stack
+     */
+    goTo(undoDepth) {
+        const target = Math.max(0, Math.min(undoDepth, this.undoStack.length + this.redoStack.length));
+        while (this.undoStack.length > target) {
+            if (!this.undo()) break;
+        }
+        while (this.undoStack.length < target) {
+            if (!this.redo()) break;
+        }
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.group = null;
+        this.render();
+    }
+
+    // --- Internals ---
+    _push(command) {
+        const now = Date.now();
+        const top = this.undoStack[this.undoStack.length - 1];
+        if (top && command.coalesceKey && top.coalesceKey === command.coalesceKey &&
+            typeof top.merge === 'function' && (now - top.timestamp) <= this.options.coalesceWindowMs) {
+            top.merge(command);
+            top.timestamp = now;
+            this.redoStack = [];
+            this.render();
+            return;
+        }
+        command.timestamp = now;
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.options.maxEntries) {
+            this.undoStack.splice(0, this.undoStack.length - this.options.maxEntries);
+        }
+        this.redoStack = [];
+        this.render();
+    }
+
+    _createComposite(label, commands) {
+        return {
+            label,
+            commands,
+            undo: () => {
+                for (let i = commands.length - 1; i >= 0; i--) commands[i].undo();
+            },
+            redo: () => {
+                commands.forEach(c => c.redo());
+            }
+        };
+    }
+
+    _apply(command, direction) {
+        this.suspend(() => {
+            try {
+                command[direction]();
+            } catch (err) {
+                console.error(`History ${direction} failed:`, err);
+                if (window.logger) {
+                    const emsg = (err && err.message) ? err.message : String(err);
+                    window.logger.error(`History ${direction} failed for '${command.label}': ${emsg}`);
+                }
+            }
+        });
+    }
+
+    _afterChange() {
+        if (this.canvas) {
+            if (typeof this.canvas.updatePerformanceMetrics === 'function') this.canvas.updatePerformanceMetrics();
+            if (typeof this.canvas.redrawAllConnections === 'function') this.canvas.redrawAllConnections();
+        }
+        if (window.nodeProperties && typeof window.nodeProperties.refreshProperties === 'function') {
+            window.nodeProperties.refreshProperties();
+        }
+        this.render();
+    }
+
+    // --- History list panel ---
+    setupPanelEvents() {
+        if (!this.panel) return;
+        this.panel.addEventListener('click', (e) => {
+            const entry = e.target.closest ? e.target.closest('.history-entry') : null;
+            if (!entry || entry.dataset.depth === undefined) return;
+            this.goTo(parseInt(entry.dataset.depth, 10));
+        });
+    }
+
+    render() {
+        if (!this.panel) return;
+        const time = (ts) => ts ? new Date(ts).toLocaleTimeString() : '';
+        const escape = (s) => String(s || '').replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+
+        let html = `
+            <div class="history-entry${this.undoStack.length === 0 ? ' current' : ''}" data-depth="0">
+                <span class="timestamp"></span>
+                <span class="history-label">Initial state</span>
+            </div>
+        `;
+        this.undoStack.forEach((command, i) => {
+            const current = i === this.undoStack.length - 1 ? ' current' : '';
+            html += `
+                <div class="history-entry${current}" data-depth="${i + 1}">
+                    <span class="timestamp">${time(command.timestamp)}</span>
+                    <span class="history-label">${escape(command.label)}</span>
+                </div>
+            `;
+        });
+        // Redo entries are listed after the current state, most recent undo first
+        for (let i = this.redoStack.length - 1; i >= 0; i--) {
+            const command = this.redoStack[i];
+            const depth = this.undoStack.length + (this.redoStack.length - i);
+            html += `
+                <div class="history-entry undone" data-depth="${depth}">
+                    <span class="timestamp">${time(command.timestamp)}</span>
+                    <span class="history-label">${escape(command.label)}</span>
+                </div>
+            `;
+        }
+        this.panel.innerHTML = html;
+    }
+}
+
+// Export for use in other modules
+window['WorkflowHistory'] = WorkflowHistory;
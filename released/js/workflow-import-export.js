@@ -67,6 +67,9 @@ class WorkflowImportExport {
                 version: '1.0',
                 nodes: workflowData.nodes,
                 connections: workflowData.connections,
+                groups: workflowData.groups,
+                notes: workflowData.notes,
+                subgraphs: workflowData.subgraphs,
                 metadata: {
                     nodeCount: workflowData.nodes.length,
                     connectionCount: workflowData.connections.length,
@@ -252,6 +255,9 @@ class WorkflowImportExport {
                     version: '1.0',
                     nodes: canvasData.nodes,
                     connections: canvasData.connections,
+                    groups: canvasData.groups,
+                    notes: canvasData.notes,
+                    subgraphs: canvasData.subgraphs,
                     metadata: {
                         nodeCount: canvasData.nodes.length,
                         connectionCount: canvasData.connections.length,
@@ -0,0 +1,467 @@
+/**
+ * Workflow Inspector
+ * Shows the outputs of the last run: a preview badge on each wire and per-port inspector
+ * windows (JSON tree, text, image, table or binary size, chosen by port type).
+ * Pinned windows stay open and update whenever their node produces outputs again.
+ */
+class WorkflowInspector {
+    constructor(workflowCanvas, options = {}) {
+        this.canvas = workflowCanvas;
+        this.options = Object.assign({
+            previewLength: 24,
+            maxTextLength: 10000,
+            maxTableRows: 100,
+            maxTableColumns: 20,
+            maxTreeEntries: 200
+        }, options);
+        // Execution node id -> { port: value } from the latest run
+        this.results = new Map();
+        // Execution node id -> window element; at most one unpinned window
+        this.windows = new Map();
+        this.dragState = null;
+        // Badges moved with an estimated midpoint, placed exactly once redraws settle
+        this.unsettled = new Set();
+        this.settleTimer = null;
+
+        document.addEventListener('mousemove', (e) => this.updateWindowDrag(e));
+        document.addEventListener('mouseup', () => { this.dragState = null; });
+    }
+
+    // --- Results ---
+    beginRun() {
+        this.results.clear();
+        this.refreshWirePreviews();
+        this.windows.forEach((el, key) => this.renderWindow(key));
+    }
+
+    recordOutputs(nodeId, outputs) {
+        if (!outputs) return;
+        this.results.set(nodeId, outputs);
+        const node = this.canvas.debugger.visibleNode(nodeId);
+        if (node) {
+            this.canvas.getOutgoingConnections(node.id).forEach(({ connectionId }) => {
+                const connection = this.canvas.connections.get(connectionId);
+                if (connection) this.drawWirePreview(connection);
+            });
+        }
+        if (this.windows.has(nodeId)) this.renderWindow(nodeId);
+    }
+
+    // Replace all results at once (e.g. a stored run)
+    setResults(results) {
+        this.results = new Map(Object.entries(results || {}));
+        this.refreshWirePreviews();
+        this.windows.forEach((el, key) => this.renderWindow(key));
+    }
+
+    // Forget all results and close their windows (a different workflow replaces the canvas)
+    clear() {
+        this.results.clear();
+        Array.from(this.windows.keys()).forEach(key => this.close(key));
+        this.refreshWirePreviews();
+    }
+
+    getOutputs(nodeId) {
+        return this.results.get(nodeId) || null;
+    }
+
+    // --- Renderer choice ---
+    /**
+     * Renderer for a port type (its supertypes count too); `any` and unknown types go by the value
+     */
+    chooseRenderer(type, value) {
+        const types = this.canvas.types;
+        const base = types.parse(type || 'any').base;
+        const names = types.ancestors(base);
+        const byType = Object.keys(WorkflowInspector.RENDERER_TYPES)
+            .find(kind => WorkflowInspector.RENDERER_TYPES[kind].some(name => names.has(name)));
+        if (byType) return byType;
+        if (typeof value === 'string') return WorkflowInspector.imageSource(value) ? 'image' : 'text';
+        if (WorkflowInspector.tableShape(value)) return 'table';
+        return 'json';
+    }
+
+    // Safe <img> source for a value: data:image URLs, http(s) URLs or { data|base64, mime } objects
+    static imageSource(value) {
+        if (typeof value === 'string') {
+            if (/^data:image\/[\w.+-]+;base64,[A-Za-z0-9+/=\s]+$/.test(value)) return value;
+            if (/^https?:\/\/\S+$/i.test(value)) return value;
+            return null;
+        }
+        if (value && typeof value === 'object') {
+            if (typeof value.url === 'string') return WorkflowInspector.imageSource(value.url);
+            const data = value.base64 || value.data;
+            const mime = value.mime || value.mime_type || (value.format ? `image/${value.format}` : 'image/png');
+            if (typeof data === 'string' && /^image\/[\w.+-]+$/.test(mime) && /^[A-Za-z0-9+/=\s]+$/.test(data)) {
+                return `data:${mime};base64,${data}`;
+            }
+        }
+        return null;
+    }
+
+    // { columns, rows } for arrays of objects, arrays of arrays and { columns, rows|data }
+    static tableShape(value) {
+        if (value && !Array.isArray(value) && Array.isArray(value.columns) && Array.isArray(value.rows || value.data)) {
+            return { columns: value.columns.map(String), rows: value.rows || value.data };
+        }
+        if (!Array.isArray(value) || !value.length) return null;
+        if (value.every(row => Array.isArray(row))) {
+            const width = Math.max(...value.map(row => row.length));
+            return { columns: Array.from({ length: width }, (_, i) => String(i)), rows: value };
+        }
+        if (value.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+            const columns = [];
+            value.forEach(row => Object.keys(row).forEach(key => { if (!columns.includes(key)) columns.push(key); }));
+            return { columns, rows: value.map(row => columns.map(key => row[key])) };
+        }
+        return null;
+    }
+
+    // Size in bytes of base64 strings, arrays of bytes and { size|byteLength|length } objects
+    static byteSize(value) {
+        if (typeof value === 'string') {
+            const data = value.replace(/^data:[^,]*,/, '').replace(/\s/g, '');
+            const padding = (data.match(/=+$/) || [''])[0].length;
+            return Math.max(0, Math.floor(data.length * 3 / 4) - padding);
+        }
+        if (Array.isArray(value)) return value.length;
+        if (value && typeof value === 'object') {
+            const size = [value.size, value.byteLength, value.length].find(n => typeof n === 'number');
+            if (size !== undefined) return size;
+            if (typeof value.data === 'string' || Array.isArray(value.data)) return WorkflowInspector.byteSize(value.data);
+        }
+        return null;
+    }
+
+    static formatBytes(bytes) {
+        if (bytes === null || bytes === undefined) return 'unknown size';
+        if (bytes < 1024) return `${bytes} B`;
+        const units = ['KB', 'MB', 'GB'];
+        let size = bytes / 1024;
+        let unit = 0;
+        while (size >= 1024 && unit < units.length - 1) {
+            size /= 1024;
+            unit++;
+        }
+        return `${size.toFixed(1)} ${units[unit]}`;
+    }
+
+    // One-line summary for wire badges
+    previewText(type, value) {
+        const limit = this.options.previewLength;
+        const clip = (text) => (text.length > limit ? `${text.slice(0, limit - 1)}…` : text);
+        switch (this.chooseRenderer(type, value)) {
+            case 'image': {
+                const size = value && value.width && value.height ? ` ${value.width}×${value.height}` : '';
+                return `image${size}`;
+            }
+            case 'binary':
+                return WorkflowInspector.formatBytes(WorkflowInspector.byteSize(value));
+            case 'table': {
+                const table = WorkflowInspector.tableShape(value);
+                return table ? `${table.rows.length} rows × ${table.columns.length}` : 'table';
+            }
+        }
+        if (value === null || value === undefined) return String(value);
+        if (typeof value === 'string') return clip(JSON.stringify(value));
+        if (Array.isArray(value)) return `[${value.length}]`;
+        if (typeof value === 'object') return `{${Object.keys(value).length}}`;
+        return clip(String(value));
+    }
+
+    // --- Renderers ---
+    render(type, value) {
+        const escape = MarkdownRenderer.escape;
+        const renderer = this.chooseRenderer(type, value);
+        switch (renderer) {
+            case 'image': {
+                const src = WorkflowInspector.imageSource(value);
+                if (src) return `<img class="inspector-image" src="${escape(src)}" alt="">`;
+                break;
+            }
+            case 'binary': {
+                const mime = value && typeof value === 'object' && value.mime ? ` · ${escape(value.mime)}` : '';
+                return `<div class="inspector-meta">Binary data · ${escape(WorkflowInspector.formatBytes(WorkflowInspector.byteSize(value)))}${mime}</div>`;
+            }
+            case 'table': {
+                const table = WorkflowInspector.tableShape(value);
+                if (table) return this.renderTable(table);
+                break;
+            }
+            case 'text':
+                if (typeof value === 'string') {
+                    const max = this.options.maxTextLength;
+                    const text = value.length > max ? `${value.slice(0, max)}…` : value;
+                    return `<div class="inspector-meta">${value.length} characters</div><pre class="inspector-text">${escape(text)}</pre>`;
+                }
+                break;
+        }
+        return `<div class="inspector-tree">${this.renderTree(value, 0)}</div>`;
+    }
+
+    renderTable(table) {
+        const escape = MarkdownRenderer.escape;
+        const columns = table.columns.slice(0, this.options.maxTableColumns);
+        const rows = table.rows.slice(0, this.options.maxTableRows);
+        const cell = (v) => escape(v === null || v === undefined ? '' : (typeof v === 'object' ? JSON.stringify(v) : String(v)));
+        const more = table.rows.length > rows.length || table.columns.length > columns.length
+            ? `<div class="inspector-meta">Showing ${rows.length} of ${table.rows.length} rows, ${columns.length} of ${table.columns.length} columns</div>`
+            : `<div class="inspector-meta">${table.rows.length} rows</div>`;
+        return `
+            ${more}
+            <table class="inspector-table">
+                <thead><tr>${columns.map(c => `<th>${escape(c)}</th>`).join('')}</tr></thead>
+                <tbody>${rows.map(row => `<tr>${columns.map((c, i) => `<td>${cell(row[i])}</td>`).join('')}</tr>`).join('')}</tbody>
+            </table>
+        `;
+    }
+
+    // Collapsible JSON tree; the first level starts open
+    renderTree(value, depth) {
+        const escape = MarkdownRenderer.escape;
+        if (value === null || typeof value !== 'object') {
+            const kind = value === null ? 'null' : typeof value;
+            const text = typeof value === 'string' ? JSON.stringify(value) : String(value);
+            return `<span class="tree-value tree-${kind}">${escape(text)}</span>`;
+        }
+        const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+        const label = Array.isArray(value) ? `Array(${entries.length})` : `{${entries.length}}`;
+        if (!entries.length) return `<span class="tree-value">${Array.isArray(value) ? '[]' : '{}'}</span>`;
+        const shown = entries.slice(0, this.options.maxTreeEntries);
+        const rest = entries.length - shown.length;
+        return `
+            <details class="tree-node"${depth === 0 ? ' open' : ''}>
+                <summary>${label}</summary>
+                ${shown.map(([key, v]) => `<div class="tree-entry"><span class="tree-key">${escape(key)}:</span> ${this.renderTree(v, depth + 1)}</div>`).join('')}
+                ${rest > 0 ? `<div class="inspector-meta">… ${rest} more</div>` : ''}
+            </details>
+        `;
+    }
+
+    // --- Wire previews ---
+    // Badge at the middle of the wire with the value its source port produced. This runs on
+    // every wire redraw (each drag frame); the badge is only rebuilt when its value changes.
+    drawWirePreview(connectionData, hidden = false) {
+        const source = this.canvas.nodes.get(connectionData.source.nodeId);
+        const outputs = source ? this.getOutputs(this.canvas.subgraphs.executionIdFor(source.id)) : null;
+        if (!outputs || !Object.prototype.hasOwnProperty.call(outputs, connectionData.source.name) || !connectionData.element) {
+            this.removeWirePreview(connectionData);
+            return;
+        }
+
+        const value = outputs[connectionData.source.name];
+        const type = this.canvas.getPortType(source.id, connectionData.source.name, 'output');
+        const existing = connectionData.previewElement;
+        if (existing && existing.previewValue === value && existing.previewType === type) {
+            this.moveWirePreview(connectionData, hidden);
+            return;
+        }
+        this.removeWirePreview(connectionData);
+        const text = this.previewText(type, value);
+        const mid = this.wireMidpoint(connectionData);
+        if (!mid) return;
+
+        const ns = 'http://www.w3.org/2000/svg';
+        const badge = document.createElementNS(ns, 'g');
+        badge.setAttribute('class', 'wire-preview');
+        badge.setAttribute('transform', `translate(${mid.x}, ${mid.y})`);
+        const width = text.length * 6.5 + 10;
+        const rect = document.createElementNS(ns, 'rect');
+        rect.setAttribute('x', String(-width / 2));
+        rect.setAttribute('y', '-9');
+        rect.setAttribute('width', String(width));
+        rect.setAttribute('height', '18');
+        rect.setAttribute('rx', '4');
+        const label = document.createElementNS(ns, 'text');
+        label.setAttribute('text-anchor', 'middle');
+        label.setAttribute('y', '4');
+        label.textContent = text;
+        const title = document.createElementNS(ns, 'title');
+        title.textContent = `${connectionData.source.name}: ${text} (click to inspect)`;
+        badge.appendChild(title);
+        badge.appendChild(rect);
+        badge.appendChild(label);
+        if (hidden || connectionData.element.style.display === 'none') badge.style.display = 'none';
+        badge.addEventListener('mousedown', (e) => e.stopPropagation());
+        badge.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.open(source.id, { port: connectionData.source.name });
+        });
+        badge.previewValue = value;
+        badge.previewType = type;
+        this.canvas.connectionsContainer.appendChild(badge);
+        connectionData.previewElement = badge;
+    }
+
+    // Follow a redrawn wire without measuring its path; the exact midpoint is applied once
+    // the wire has stopped moving
+    moveWirePreview(connectionData, hidden = false) {
+        const badge = connectionData.previewElement;
+        const mid = this.wireMidpoint(connectionData, false);
+        if (mid) badge.setAttribute('transform', `translate(${mid.x}, ${mid.y})`);
+        badge.style.display = hidden || connectionData.element.style.display === 'none' ? 'none' : '';
+        // The wire's new path was appended after the badge; keep the badge on top
+        this.canvas.connectionsContainer.appendChild(badge);
+        this.unsettled.add(connectionData);
+        clearTimeout(this.settleTimer);
+        this.settleTimer = setTimeout(() => {
+            const pending = Array.from(this.unsettled);
+            this.unsettled.clear();
+            pending.forEach(conn => {
+                if (!conn.previewElement || this.canvas.connections.get(conn.id) !== conn) return;
+                const exact = this.wireMidpoint(conn);
+                if (exact) conn.previewElement.setAttribute('transform', `translate(${exact.x}, ${exact.y})`);
+            });
+        }, 150);
+    }
+
+    removeWirePreview(connectionData) {
+        if (connectionData.previewElement) connectionData.previewElement.remove();
+        connectionData.previewElement = null;
+        this.unsettled.delete(connectionData);
+    }
+
+    refreshWirePreviews() {
+        this.canvas.connections.forEach(connection => this.drawWirePreview(connection));
+    }
+
+    // Middle of the wire's path. Without `exact`, the midpoint between its ends (the curve's
+    // midpoint for a plain bezier wire) is used instead of measuring the path.
+    wireMidpoint(connectionData, exact = true) {
+        const path = connectionData.element;
+        if (exact && path && typeof path.getTotalLength === 'function') {
+            try {
+                const point = path.getPointAtLength(path.getTotalLength() / 2);
+                return { x: point.x, y: point.y };
+            } catch (e) {
+                // Not rendered yet; fall through to the endpoints
+            }
+        }
+        const d = path ? path.getAttribute('d') || '' : '';
+        const numbers = (d.match(/-?\d+(\.\d+)?/g) || []).map(Number);
+        if (numbers.length < 4) return null;
+        const start = { x: numbers[0], y: numbers[1] };
+        const end = { x: numbers[numbers.length - 2], y: numbers[numbers.length - 1] };
+        return { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+    }
+
+    // --- Inspector windows ---
+    /**
+     * Open (or focus) the inspector for a canvas node; options.port scrolls to one output
+     */
+    open(nodeId, options = {}) {
+        const node = this.canvas.nodes.get(nodeId);
+        if (!node) return null;
+        const key = this.canvas.subgraphs.executionIdFor(nodeId);
+        let win = this.windows.get(key);
+        if (!win) {
+            // Reuse the unpinned window so inspecting does not pile up windows
+            this.windows.forEach((el, k) => { if (!el.classList.contains('pinned')) this.close(k); });
+            win = this.createWindow(key);
+            const rect = node.element.getBoundingClientRect();
+            win.style.left = `${Math.max(8, Math.min(rect.right + 12, window.innerWidth - 340))}px`;
+            win.style.top = `${Math.max(8, Math.min(rect.top, window.innerHeight - 200))}px`;
+        }
+        this.renderWindow(key, options.port || null);
+        return win;
+    }
+
+    createWindow(key) {
+        const win = document.createElement('div');
+        win.className = 'output-inspector';
+        win.dataset.nodeKey = key;
+        win.innerHTML = `
+            <div class="inspector-header">
+                <span class="inspector-title"></span>
+                <button class="inspector-pin" title="Pin: keep this window open and update it on each run">📌</button>
+                <button class="inspector-close" title="Close">×</button>
+            </div>
+            <div class="inspector-body"></div>
+        `;
+        win.querySelector('.inspector-pin').addEventListener('click', () => this.setPinned(key, !win.classList.contains('pinned')));
+        win.querySelector('.inspector-close').addEventListener('click', () => this.close(key));
+        win.querySelector('.inspector-header').addEventListener('mousedown', (e) => {
+            if (e.target.tagName === 'BUTTON') return;
+            e.preventDefault();
+            this.dragState = { win, dx: e.clientX - win.offsetLeft, dy: e.clientY - win.offsetTop };
+        });
+        document.body.appendChild(win);
+        this.windows.set(key, win);
+        return win;
+    }
+
+    updateWindowDrag(e) {
+        if (!this.dragState) return;
+        this.dragState.win.style.left = `${e.clientX - this.dragState.dx}px`;
+        this.dragState.win.style.top = `${e.clientY - this.dragState.dy}px`;
+    }
+
+    setPinned(key, pinned) {
+        const win = this.windows.get(key);
+        if (!win) return;
+        win.classList.toggle('pinned', pinned);
+        win.querySelector('.inspector-pin').classList.toggle('active', pinned);
+    }
+
+    isPinned(key) {
+        const win = this.windows.get(key);
+        return !!(win && win.classList.contains('pinned'));
+    }
+
+    close(key) {
+        const win = this.windows.get(key);
+        if (win) win.remove();
+        this.windows.delete(key);
+    }
+
+    renderWindow(key, focusPort = null) {
+        const win = this.windows.get(key);
+        if (!win) return;
+        const escape = MarkdownRenderer.escape;
+        const node = this.canvas.debugger.visibleNode(key);
+        const outputs = this.getOutputs(key);
+        win.querySelector('.inspector-title').textContent = node ? `${node.definition.name} (${key})` : key;
+
+        const ports = node
+            ? (node.definition.outputs || []).map(port => ({ name: port.name, type: port.type || 'any' }))
+            : Object.keys(outputs || {}).map(name => ({ name, type: 'any' }));
+        let html;
+        if (!outputs) {
+            html = '<div class="inspector-meta">No outputs yet. Run the workflow to inspect them.</div>';
+        } else if (!ports.length) {
+            html = '<div class="inspector-meta">This node has no outputs</div>';
+        } else {
+            html = ports.map(port => {
+                const has = Object.prototype.hasOwnProperty.call(outputs, port.name);
+                const value = outputs[port.name];
+                const renderer = has ? this.chooseRenderer(port.type, value) : null;
+                return `
+                    <div class="inspector-port${port.name === focusPort ? ' focused' : ''}" data-port="${escape(port.name)}">
+                        <div class="inspector-port-header">
+                            <code>${escape(port.name)}</code>
+                            <span class="node-docs-type">${escape(port.type)}</span>
+                            ${renderer ? `<span class="inspector-meta">${renderer}</span>` : ''}
+                        </div>
+                        ${has ? this.render(port.type, value) : '<div class="inspector-meta">Not produced</div>'}
+                    </div>
+                `;
+            }).join('');
+        }
+        win.querySelector('.inspector-body').innerHTML = html;
+        if (focusPort) {
+            const focused = win.querySelector('.inspector-port.focused');
+            if (focused && typeof focused.scrollIntoView === 'function') focused.scrollIntoView({ block: 'nearest' });
+        }
+    }
+}
+
+// Port type names (or supertypes) that pick a renderer; checked in this order
+WorkflowInspector.RENDERER_TYPES = {
+    image: ['image', 'img', 'picture', 'photo', 'png', 'jpeg', 'jpg', 'bitmap'],
+    binary: ['bytes', 'binary', 'blob', 'buffer', 'file'],
+    table: ['table', 'dataframe', 'records', 'csv', 'rows'],
+    text: ['string', 'str', 'text', 'markdown', 'html', 'prompt']
+};
+
+// Export for use in other modules
+window['WorkflowInspector'] = WorkflowInspector;
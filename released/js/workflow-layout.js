@@ -0,0 +1,207 @@
+/**
+ * Workflow Layout
+ * Layered left-to-right auto-arrange built on the canvas execution order
+ */
+class WorkflowLayout {
+    constructor(workflowCanvas, options = {}) {
+        this.canvas = workflowCanvas;
+        this.options = Object.assign({
+            columnGap: 120,     // horizontal space between layers
+            rowGap: 40,         // vertical space between nodes in a layer
+            componentGap: 120,  // vertical space between disconnected islands
+            dummyHeight: 24,    // space reserved for wires passing through a layer
+            sweeps: 8           // barycenter passes for crossing reduction
+        }, options);
+    }
+
+    /**
+     * Compute new positions for a set of nodes.
+     * items: [{ id, x, y, width, height }], links: [{ source, target }] (node ids)
+     * Returns a Map of id -> { x, y } relative to the layout origin (0, 0).
+     */
+    compute(items, links) {
+        const ids = new Set(items.map(i => i.id));
+        const edges = links.filter(l => ids.has(l.source) && ids.has(l.target) && l.source !== l.target);
+        const positions = new Map();
+
+        // Lay out each island on its own and stack them top to bottom in their current order
+        const components = this._components(items, edges);
+        components.sort((a, b) => this._topLeft(a).y - this._topLeft(b).y || this._topLeft(a).x - this._topLeft(b).x);
+
+        let offsetY = 0;
+        components.forEach(component => {
+            const memberIds = new Set(component.map(i => i.id));
+            const componentEdges = edges.filter(e => memberIds.has(e.source));
+            const { positions: local, height } = this._layoutComponent(component, componentEdges);
+            local.forEach((pos, id) => positions.set(id, { x: pos.x, y: pos.y + offsetY }));
+            offsetY += height + this.options.componentGap;
+        });
+        return positions;
+    }
+
+    // --- Internals ---
+    _components(items, edges) {
+        const parent = new Map(items.map(i => [i.id, i.id]));
+        const find = (id) => {
+            while (parent.get(id) !== id) {
+                parent.set(id, parent.get(parent.get(id)));
+                id = parent.get(id);
+            }
+            return id;
+        };
+        edges.forEach(e => parent.set(find(e.source), find(e.target)));
+
+        const groups = new Map();
+        items.forEach(item => {
+            const root = find(item.id);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(item);
+        });
+        return Array.from(groups.values());
+    }
+
+    _topLeft(items) {
+        return {
+            x: Math.min(...items.map(i => i.x)),
+            y: Math.min(...items.map(i => i.y))
+        };
+    }
+
+    _layoutComponent(items, edges) {
+        const byId = new Map(items.map(i => [i.id, i]));
+
+        // Topological rank; nodes caught in cycles follow in their current left-to-right order
+        const order = this.canvas.computeExecutionOrder({
+            nodes: items.map(i => ({ id: i.id })),
+            connections: edges.map(e => ({ source: { nodeId: e.source }, target: { nodeId: e.target } }))
+        });
+        const placed = new Set(order);
+        items.filter(i => !placed.has(i.id))
+            .sort((a, b) => a.x - b.x || a.y - b.y)
+            .forEach(i => order.push(i.id));
+        const rank = new Map(order.map((id, index) => [id, index]));
+
+        // Orient every edge along the rank so back edges of cycles become ordinary forward edges
+        const forward = edges.map(e => rank.get(e.source) < rank.get(e.target)
+            ? { source: e.source, target: e.target }
+            : { source: e.target, target: e.source });
+        const preds = new Map(order.map(id => [id, []]));
+        const succs = new Map(order.map(id => [id, []]));
+        forward.forEach(e => {
+            preds.get(e.target).push(e.source);
+            succs.get(e.source).push(e.target);
+        });
+
+        // Longest-path layering, then pull sources right next to their first consumer
+        const layer = new Map();
+        order.forEach(id => {
+            layer.set(id, preds.get(id).reduce((max, p) => Math.max(max, layer.get(p) + 1), 0));
+        });
+        for (let i = order.length - 1; i >= 0; i--) {
+            const id = order[i];
+            if (preds.get(id).length === 0 && succs.get(id).length > 0) {
+                layer.set(id, Math.min(...succs.get(id).map(s => layer.get(s))) - 1);
+            }
+        }
+
+        // Split long edges with virtual nodes so every edge joins adjacent layers
+        const layerCount = Math.max(...order.map(id => layer.get(id))) + 1;
+        const layers = Array.from({ length: layerCount }, () => []);
+        order.forEach(id => layers[layer.get(id)].push(id));
+        const up = new Map(order.map(id => [id, []]));   // neighbours in the layer to the left
+        const down = new Map(order.map(id => [id, []])); // neighbours in the layer to the right
+        const virtual = new Set();
+        forward.forEach((e, edgeIndex) => {
+            let prev = e.source;
+            for (let l = layer.get(e.source) + 1; l < layer.get(e.target); l++) {
+                const dummy = `~${edgeIndex}:${l}`;
+                virtual.add(dummy);
+                layers[l].push(dummy);
+                up.set(dummy, [prev]);
+                down.set(dummy, []);
+                down.get(prev).push(dummy);
+                prev = dummy;
+            }
+            down.get(prev).push(e.target);
+            up.get(e.target).push(prev);
+        });
+
+        this._reduceCrossings(layers, up, down);
+
+        // Columns are as wide as their widest node; each column is centred on the tallest one
+        const size = (id) => virtual.has(id)
+            ? { width: 0, height: this.options.dummyHeight }
+            : { width: byId.get(id).width, height: byId.get(id).height };
+        const columnHeight = layers.map(ids => ids.reduce((sum, id) => sum + size(id).height, 0) +
+            Math.max(0, ids.length - 1) * this.options.rowGap);
+        const height = Math.max(...columnHeight);
+
+        const positions = new Map();
+        let x = 0;
+        layers.forEach((ids, l) => {
+            let y = (height - columnHeight[l]) / 2;
+            let width = 0;
+            ids.forEach(id => {
+                const s = size(id);
+                if (!virtual.has(id)) positions.set(id, { x, y });
+                y += s.height + this.options.rowGap;
+                width = Math.max(width, s.width);
+            });
+            x += width + this.options.columnGap;
+        });
+        return { positions, height };
+    }
+
+    // Barycenter sweeps left-to-right and right-to-left, keeping the ordering with the fewest crossings
+    _reduceCrossings(layers, up, down) {
+        let best = layers.map(ids => ids.slice());
+        let bestCrossings = this._countCrossings(layers, down);
+
+        for (let sweep = 0; sweep < this.options.sweeps && bestCrossings > 0; sweep++) {
+            const leftToRight = sweep % 2 === 0;
+            const range = leftToRight
+                ? Array.from({ length: layers.length - 1 }, (_, i) => i + 1)
+                : Array.from({ length: layers.length - 1 }, (_, i) => layers.length - 2 - i);
+            range.forEach(l => {
+                const fixed = layers[leftToRight ? l - 1 : l + 1];
+                const neighbours = leftToRight ? up : down;
+                const index = new Map(fixed.map((id, i) => [id, i]));
+                const keys = new Map(layers[l].map((id, i) => {
+                    const adjacent = neighbours.get(id).filter(n => index.has(n));
+                    const barycenter = adjacent.length
+                        ? adjacent.reduce((sum, n) => sum + index.get(n), 0) / adjacent.length
+                        : i; // unconnected on this side: keep its slot
+                    return [id, barycenter];
+                }));
+                layers[l].sort((a, b) => keys.get(a) - keys.get(b));
+            });
+
+            const crossings = this._countCrossings(layers, down);
+            if (crossings < bestCrossings) {
+                bestCrossings = crossings;
+                best = layers.map(ids => ids.slice());
+            }
+        }
+        best.forEach((ids, l) => { layers[l] = ids; });
+    }
+
+    _countCrossings(layers, down) {
+        let total = 0;
+        for (let l = 0; l < layers.length - 1; l++) {
+            const lower = new Map(layers[l + 1].map((id, i) => [id, i]));
+            const segments = [];
+            layers[l].forEach((id, i) => {
+                down.get(id).forEach(n => segments.push([i, lower.get(n)]));
+            });
+            for (let a = 0; a < segments.length; a++) {
+                for (let b = a + 1; b < segments.length; b++) {
+                    if ((segments[a][0] - segments[b][0]) * (segments[a][1] - segments[b][1]) < 0) total++;
+                }
+            }
+        }
+        return total;
+    }
+}
+
+// Export for use in other modules
+window['WorkflowLayout'] = WorkflowLayout;
@@ -0,0 +1,264 @@
+/**
+ * Workflow Minimap
+ * Overview of the world in a canvas corner: node rectangles, the visible viewport, click/drag to navigate
+ */
+class WorkflowMinimap {
+    constructor(workflowCanvas, options = {}) {
+        this.canvas = workflowCanvas;
+        this.options = Object.assign({
+            containerId: 'minimap',
+            padding: 400,       // world px shown around the content
+            minWidth: 120,
+            minHeight: 80,
+            maxWidth: 600,
+            maxHeight: 400,
+            nodeColor: '#3a3a3d',
+            stateColors: {
+                executing: '#00ffcc',
+                completed: '#00ff88',
+                error: '#ff4444'
+            }
+        }, options);
+
+        this.container = document.getElementById(this.options.containerId);
+        if (!this.container) {
+            console.warn(`WorkflowMinimap: element #${this.options.containerId} not found`);
+            return;
+        }
+        this.surface = this.container.querySelector('canvas');
+        this.resizeHandle = this.container.querySelector('.minimap-resize');
+        this.mapping = null;        // world -> minimap transform from the last render
+        this.frozenMapping = null;  // kept fixed while navigating so the map does not shift under the pointer
+        this.renderPending = false;
+
+        this.applySize();
+        this.setVisible(this.canvas.settings.minimapVisible !== false, false);
+        this.setupEvents();
+        this.observe();
+    }
+
+    get visible() {
+        return !!this.container && this.container.style.display !== 'none';
+    }
+
+    toggle() {
+        this.setVisible(!this.visible);
+    }
+
+    setVisible(visible, persist = true) {
+        if (!this.container) return;
+        this.container.style.display = visible ? '' : 'none';
+        if (persist) this.canvas.setSetting('minimapVisible', visible);
+        if (visible) this.invalidate();
+    }
+
+    applySize() {
+        const size = this.canvas.settings.minimapSize || {};
+        const width = Math.max(this.options.minWidth, Math.min(this.options.maxWidth, size.width || 220));
+        const height = Math.max(this.options.minHeight, Math.min(this.options.maxHeight, size.height || 150));
+        this.container.style.width = `${width}px`;
+        this.container.style.height = `${height}px`;
+        this.invalidate();
+    }
+
+    // Coalesce change notifications into one render per frame
+    invalidate() {
+        if (this.renderPending || !this.container) return;
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            this.render();
+        });
+    }
+
+    // --- Change tracking ---
+    observe() {
+        // Node moves, colors, execution-state classes and pan/zoom all surface as
+        // style/class changes inside the nodes layer, so one observer keeps the map live
+        if (typeof MutationObserver !== 'undefined') {
+            this.observer = new MutationObserver(() => this.invalidate());
+            this.observer.observe(this.canvas.nodesContainer, {
+                attributes: true,
+                attributeFilter: ['style', 'class'],
+                childList: true,
+                subtree: true
+            });
+        }
+        window.addEventListener('resize', () => this.invalidate());
+    }
+
+    // --- Interaction ---
+    setupEvents() {
+        if (this.surface) {
+            this.surface.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.frozenMapping = this.mapping;
+                this.navigateTo(e);
+                const move = (ev) => this.navigateTo(ev);
+                const up = () => {
+                    document.removeEventListener('mousemove', move);
+                    document.removeEventListener('mouseup', up);
+                    this.frozenMapping = null;
+                    this.invalidate();
+                };
+                document.addEventListener('mousemove', move);
+                document.addEventListener('mouseup', up);
+            });
+            // Wheel over the map zooms the main view around its centre
+            this.surface.addEventListener('wheel', (e) => {
+                e.preventDefault();
+                this.canvas.zoomBy(Math.exp(-e.deltaY * 0.0015), { animate: false });
+            });
+        }
+
+        if (this.resizeHandle) {
+            // The map sits in the bottom-right corner, so the handle grows it up and to the left
+            this.resizeHandle.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const startX = e.clientX;
+                const startY = e.clientY;
+                const startWidth = this.container.offsetWidth;
+                const startHeight = this.container.offsetHeight;
+                const move = (ev) => {
+                    this.canvas.settings.minimapSize = {
+                        width: startWidth + (startX - ev.clientX),
+                        height: startHeight + (startY - ev.clientY)
+                    };
+                    this.applySize();
+                };
+                const up = () => {
+                    document.removeEventListener('mousemove', move);
+                    document.removeEventListener('mouseup', up);
+                    this.canvas.setSetting('minimapSize', {
+                        width: this.container.offsetWidth,
+                        height: this.container.offsetHeight
+                    });
+                };
+                document.addEventListener('mousemove', move);
+                document.addEventListener('mouseup', up);
+            });
+        }
+    }
+
+    navigateTo(e) {
+        const mapping = this.frozenMapping || this.mapping;
+        if (!mapping || !this.surface) return;
+        const rect = this.surface.getBoundingClientRect();
+        const worldX = mapping.minX + (e.clientX - rect.left - mapping.offsetX) / mapping.scale;
+        const worldY = mapping.minY + (e.clientY - rect.top - mapping.offsetY) / mapping.scale;
+        this.canvas.centerViewOn(worldX, worldY);
+    }
+
+    // --- Rendering ---
+    getViewportWorldRect() {
+        const rect = this.canvas.canvas.getBoundingClientRect();
+        const t = this.canvas.canvasTransform;
+        const scale = t.scale || 1;
+        return {
+            x: -t.x / scale,
+            y: -t.y / scale,
+            width: rect.width / scale,
+            height: rect.height / scale
+        };
+    }
+
+    computeMapping(width, height, viewport) {
+        // Fit the nodes plus the viewport so the box never leaves the map
+        let minX = viewport.x;
+        let minY = viewport.y;
+        let maxX = viewport.x + viewport.width;
+        let maxY = viewport.y + viewport.height;
+        this.canvas.nodes.forEach(node => {
+            minX = Math.min(minX, node.position.x);
+            minY = Math.min(minY, node.position.y);
+            maxX = Math.max(maxX, node.position.x + (node.element.offsetWidth || 200));
+            maxY = Math.max(maxY, node.position.y + (node.element.offsetHeight || 100));
+        });
+        const pad = this.options.padding;
+        minX -= pad; minY -= pad; maxX += pad; maxY += pad;
+
+        const scale = Math.min(width / (maxX - minX), height / (maxY - minY));
+        return {
+            minX,
+            minY,
+            scale,
+            // Centre the content inside the map
+            offsetX: (width - (maxX - minX) * scale) / 2,
+            offsetY: (height - (maxY - minY) * scale) / 2
+        };
+    }
+
+    render() {
+        if (!this.visible || !this.surface) return;
+        const width = this.surface.clientWidth || this.container.clientWidth;
+        const height = this.surface.clientHeight || this.container.clientHeight;
+        if (!width || !height) return;
+
+        // Match the backing store to the element size (and pixel ratio) for crisp lines
+        const ratio = window.devicePixelRatio || 1;
+        if (this.surface.width !== Math.round(width * ratio) || this.surface.height !== Math.round(height * ratio)) {
+            this.surface.width = Math.round(width * ratio);
+            this.surface.height = Math.round(height * ratio);
+        }
+        const ctx = this.surface.getContext ? this.surface.getContext('2d') : null;
+        if (!ctx) return;
+
+        const viewport = this.getViewportWorldRect();
+        const m = this.frozenMapping || this.computeMapping(width, height, viewport);
+        this.mapping = m;
+        const toMap = (x, y) => ({
+            x: m.offsetX + (x - m.minX) * m.scale,
+            y: m.offsetY + (y - m.minY) * m.scale
+        });
+
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        if (this.canvas.groups) {
+            this.canvas.groups.groups.forEach(group => {
+                const p = toMap(group.position.x, group.position.y);
+                const el = group.element;
+                ctx.globalAlpha = 0.25;
+                ctx.fillStyle = group.color;
+                ctx.fillRect(p.x, p.y, (el ? el.offsetWidth || group.size.width : group.size.width) * m.scale,
+                    (el ? el.offsetHeight || group.size.height : group.size.height) * m.scale);
+                ctx.globalAlpha = 1;
+            });
+        }
+
+        this.canvas.nodes.forEach((node, nodeId) => {
+            if (node.element.classList.contains('group-hidden')) return;
+            const p = toMap(node.position.x, node.position.y);
+            const w = Math.max(2, (node.element.offsetWidth || 200) * m.scale);
+            const h = Math.max(2, (node.element.offsetHeight || 100) * m.scale);
+            ctx.fillStyle = this.getNodeFill(node);
+            ctx.fillRect(p.x, p.y, w, h);
+            if (this.canvas.selectedNodes.has(nodeId)) {
+                ctx.strokeStyle = '#ffffff';
+                ctx.lineWidth = 1;
+                ctx.strokeRect(p.x - 0.5, p.y - 0.5, w + 1, h + 1);
+            }
+        });
+
+        const v = toMap(viewport.x, viewport.y);
+        ctx.strokeStyle = '#00ff88';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = 'rgba(0, 255, 136, 0.06)';
+        ctx.fillRect(v.x, v.y, viewport.width * m.scale, viewport.height * m.scale);
+        ctx.strokeRect(v.x + 0.5, v.y + 0.5, viewport.width * m.scale - 1, viewport.height * m.scale - 1);
+    }
+
+    getNodeFill(node) {
+        const classes = node.element.classList;
+        const states = this.options.stateColors;
+        if (classes.contains('error')) return states.error;
+        if (classes.contains('executing')) return states.executing;
+        if (classes.contains('completed')) return states.completed;
+        return node.color || this.options.nodeColor;
+    }
+}
+
+// Export for use in other modules
+window['WorkflowMinimap'] = WorkflowMinimap;
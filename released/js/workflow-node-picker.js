@@ -0,0 +1,146 @@
+/**
+ * Workflow Node Picker
+ * Small searchable popup listing node types (quick-add, "Insert node here…" on a wire)
+ */
+class WorkflowNodePicker {
+    constructor(workflowCanvas, options = {}) {
+        this.canvas = workflowCanvas;
+        this.options = Object.assign({
+            maxResults: 50,
+            width: 260
+        }, options);
+        this.element = null;
+        this.results = [];
+        this.matches = [];
+        this.activeIndex = 0;
+        this.request = null;
+
+        // Close when clicking anywhere outside the picker
+        document.addEventListener('mousedown', (e) => {
+            if (this.element && !this.element.contains(e.target)) this.close();
+        }, true);
+    }
+
+    get isOpen() {
+        return !!this.element;
+    }
+
+    /**
+     * request: { clientX, clientY, title?, filter?(definition), onPick(definition), onClose?() }
+     */
+    open(request) {
+        this.close();
+        this.request = request;
+        this.canvas.hideContextMenus();
+
+        const el = document.createElement('div');
+        el.className = 'node-picker';
+        el.style.width = `${this.options.width}px`;
+        el.innerHTML = `
+            ${request.title ? `<div class="node-picker-title">${MarkdownRenderer.escape(request.title)}</div>` : ''}
+            <input type="text" class="node-picker-search" placeholder="Search nodes..." spellcheck="false">
+            <div class="node-picker-list"></div>
+        `;
+        document.body.appendChild(el);
+        this.element = el;
+        this.input = el.querySelector('.node-picker-search');
+        this.list = el.querySelector('.node-picker-list');
+
+        this.input.addEventListener('input', () => this.update());
+        // Keep typing out of the canvas shortcuts
+        this.input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.setActive(this.activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.pick(this.results[this.activeIndex]);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            }
+        });
+        this.list.addEventListener('mousedown', (e) => e.preventDefault()); // keep focus in the search box
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('.node-picker-item');
+            if (item) this.pick(this.results[Number(item.dataset.index)]);
+        });
+
+        this.update();
+        this.position(request.clientX, request.clientY);
+        this.input.focus();
+    }
+
+    close() {
+        if (!this.element) return;
+        const onClose = this.request && this.request.onClose;
+        this.element.remove();
+        this.element = null;
+        this.request = null;
+        if (onClose) onClose();
+        this.results = [];
+        this.matches = [];
+    }
+
+    getCandidates() {
+        const definitions = window.nodePalette ? window.nodePalette.getAllNodeDefinitions() : [];
+        const filter = this.request && this.request.filter;
+        return filter ? definitions.filter(def => filter(def)) : definitions;
+    }
+
+    // Fuzzy match over name, type, category and port types, best first
+    search(term) {
+        return FuzzySearch.rankDefinitions(term, this.getCandidates());
+    }
+
+    update() {
+        this.matches = this.search(this.input.value).slice(0, this.options.maxResults);
+        this.results = this.matches.map(m => m.definition);
+        this.activeIndex = 0;
+        this.renderList();
+    }
+
+    renderList() {
+        const escape = MarkdownRenderer.escape;
+        if (this.results.length === 0) {
+            this.list.innerHTML = '<div class="node-picker-empty">No matching nodes</div>';
+            return;
+        }
+        this.list.innerHTML = this.matches.map(({ definition, nameIndices }, index) => `
+            <div class="node-picker-item${index === this.activeIndex ? ' active' : ''}" data-index="${index}" title="${escape(definition.description || '')}">
+                <span class="node-picker-name">${FuzzySearch.highlight(definition.name, nameIndices)}</span>
+                <span class="node-picker-category">${escape(definition.category)}</span>
+            </div>
+        `).join('');
+    }
+
+    setActive(index) {
+        if (this.results.length === 0) return;
+        this.activeIndex = (index + this.results.length) % this.results.length;
+        this.list.querySelectorAll('.node-picker-item').forEach((item, i) => {
+            item.classList.toggle('active', i === this.activeIndex);
+            if (i === this.activeIndex && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    pick(definition) {
+        if (!definition || !this.request) return;
+        const onPick = this.request.onPick;
+        this.close();
+        if (onPick) onPick(definition);
+    }
+
+    // Place at the pointer, kept inside the window
+    position(x, y) {
+        const rect = this.element.getBoundingClientRect();
+        const margin = 8;
+        const left = Math.max(margin, Math.min(x, window.innerWidth - rect.width - margin));
+        const top = Math.max(margin, Math.min(y, window.innerHeight - rect.height - margin));
+        this.element.style.left = `${left}px`;
+        this.element.style.top = `${top}px`;
+    }
+}
+
+// Export for use in other modules
+window['WorkflowNodePicker'] = WorkflowNodePicker;
@@ -0,0 +1,412 @@
+/**
+ * Workflow Notes
+ * Free-standing sticky notes with markdown text; a note can be attached to a node and follow it around
+ */
+class WorkflowNotes {
+    constructor(workflowCanvas, options = {}) {
+        this.canvas = workflowCanvas;
+        this.options = Object.assign({
+            defaultColor: '#F1C40F',
+            defaultWidth: 220,
+            defaultHeight: 140,
+            minWidth: 120,
+            minHeight: 60,
+            attachGap: 16,      // space between a node and a note created for it
+            contextMenuId: 'note-context-menu'
+        }, options);
+
+        this.notes = new Map();
+        this.noteCounter = 0;
+        this.contextNoteId = null;
+
+        this.setupContextMenu();
+    }
+
+    // --- Creation / removal ---
+    // Create a note at a viewport point (canvas context menu) and start editing it
+    createAt(clientX, clientY) {
+        const p = this.canvas.viewportToCanvas(clientX, clientY);
+        const id = this.create({ position: { x: p.x, y: p.y } });
+        this.startEdit(id);
+        return id;
+    }
+
+    // Create a note attached to a node, placed above its top-left corner
+    createForNode(nodeId) {
+        const node = this.canvas.nodes.get(nodeId);
+        if (!node) return null;
+        const id = this.create({
+            position: {
+                x: node.position.x,
+                y: node.position.y - this.options.defaultHeight - this.options.attachGap
+            },
+            attachedTo: nodeId
+        });
+        this.startEdit(id);
+        return id;
+    }
+
+    // data: { id?, text, color, position, size, attachedTo }
+    create(data, options = {}) {
+        const id = data.id || `note_${++this.noteCounter}`;
+        // Keep generated ids ahead of restored ones (e.g. note_7)
+        const m = /_(\d+)$/.exec(String(id));
+        if (m) this.noteCounter = Math.max(this.noteCounter, parseInt(m[1], 10));
+        const note = {
+            id,
+            text: data.text || '',
+            color: data.color || null,
+            position: { x: data.position ? data.position.x : 0, y: data.position ? data.position.y : 0 },
+            size: {
+                width: Math.max(this.options.minWidth, data.size ? data.size.width : this.options.defaultWidth),
+                height: Math.max(this.options.minHeight, data.size ? data.size.height : this.options.defaultHeight)
+            },
+            attachedTo: null,
+            offset: null,
+            element: null
+        };
+        note.element = this.createNoteElement(note);
+        this.canvas.nodesContainer.appendChild(note.element);
+        this.notes.set(id, note);
+        if (data.attachedTo) this._attach(note, data.attachedTo);
+        this.renderNote(note);
+
+        if (options.record !== false) {
+            const snapshot = this.serialize(id);
+            this.canvas._recordHistory({
+                label: 'Add note',
+                undo: () => this.remove(id, { record: false }),
+                redo: () => this.create(snapshot, { record: false })
+            });
+        }
+        return id;
+    }
+
+    remove(noteId, options = {}) {
+        const note = this.notes.get(noteId);
+        if (!note) return;
+        const snapshot = this.serialize(noteId);
+        if (note.element && note.element.parentNode) note.element.remove();
+        this.notes.delete(noteId);
+        if (options.record !== false) {
+            this.canvas._recordHistory({
+                label: 'Delete note',
+                undo: () => this.create(snapshot, { record: false }),
+                redo: () => this.remove(noteId, { record: false })
+            });
+        }
+    }
+
+    // Drop every note without recording (canvas clear / import)
+    clear() {
+        this.notes.forEach(note => {
+            if (note.element && note.element.parentNode) note.element.remove();
+        });
+        this.notes.clear();
+        this.noteCounter = 0;
+    }
+
+    // --- Serialization ---
+    serialize(noteId) {
+        const note = this.notes.get(noteId);
+        if (!note) return null;
+        return {
+            id: note.id,
+            text: note.text,
+            color: note.color,
+            position: { x: note.position.x, y: note.position.y },
+            size: { width: note.size.width, height: note.size.height },
+            // Only keep the link while the node is on the canvas
+            attachedTo: note.attachedTo && this.canvas.nodes.has(note.attachedTo) ? note.attachedTo : null
+        };
+    }
+
+    serializeAll() {
+        return Array.from(this.notes.keys()).map(id => this.serialize(id));
+    }
+
+    // nodeIdMapping (old -> new) re-targets attachments when node ids change on import
+    importNotes(notes, nodeIdMapping = null) {
+        if (!Array.isArray(notes)) return;
+        notes.forEach(data => {
+            try {
+                const attachedTo = data.attachedTo && nodeIdMapping ? nodeIdMapping.get(data.attachedTo) : data.attachedTo;
+                this.create({ ...data, attachedTo: attachedTo || null }, { record: false });
+            } catch (err) {
+                console.error('Error creating note during import:', err, data);
+                if (window.logger) window.logger.error('Import: failed to create note: ' + (err && err.message ? err.message : String(err)));
+            }
+        });
+    }
+
+    // --- Edits (each is one undo step) ---
+    setText(noteId, text) {
+        this._change(noteId, 'Edit note', note => { note.text = String(text || ''); });
+    }
+
+    setColor(noteId, color) {
+        this._change(noteId, 'Change note color', note => { note.color = color || null; });
+    }
+
+    attachToNode(noteId, nodeId) {
+        if (!this.canvas.nodes.has(nodeId)) return;
+        this._change(noteId, 'Attach note', note => this._attach(note, nodeId));
+    }
+
+    detach(noteId) {
+        this._change(noteId, 'Detach note', note => this._attach(note, null));
+    }
+
+    _change(noteId, label, mutate) {
+        const note = this.notes.get(noteId);
+        if (!note) return;
+        const before = this.serialize(noteId);
+        mutate(note);
+        this.renderNote(note);
+        const after = this.serialize(noteId);
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        this.canvas._recordHistory({
+            label,
+            undo: () => this._applyState(before),
+            redo: () => this._applyState(after)
+        });
+    }
+
+    _applyState(snapshot) {
+        const note = this.notes.get(snapshot.id);
+        if (!note) return;
+        note.text = snapshot.text;
+        note.color = snapshot.color;
+        note.position = { x: snapshot.position.x, y: snapshot.position.y };
+        note.size = { width: snapshot.size.width, height: snapshot.size.height };
+        this._attach(note, snapshot.attachedTo);
+        this.renderNote(note);
+    }
+
+    // --- Attachment ---
+    // The offset from the node is captured at attach time and kept while the node moves
+    _attach(note, nodeId) {
+        const node = nodeId ? this.canvas.nodes.get(nodeId) : null;
+        note.attachedTo = node ? nodeId : null;
+        note.offset = node
+            ? { x: note.position.x - node.position.x, y: note.position.y - node.position.y }
+            : null;
+    }
+
+    // Called by the canvas whenever a node's position changes
+    followNode(nodeId) {
+        const node = this.canvas.nodes.get(nodeId);
+        if (!node) return;
+        this.notes.forEach(note => {
+            if (note.attachedTo !== nodeId || !note.offset) return;
+            note.position = { x: node.position.x + note.offset.x, y: node.position.y + note.offset.y };
+            this.renderNote(note);
+        });
+    }
+
+    // --- DOM ---
+    createNoteElement(note) {
+        const el = document.createElement('div');
+        el.className = 'workflow-note';
+        el.dataset.noteId = note.id;
+        el.innerHTML = `
+            <div class="note-header">
+                <span class="note-attach" title="Attached to a node">&#128279;</span>
+            </div>
+            <div class="note-body"></div>
+            <div class="note-resize" title="Drag to resize"></div>
+        `;
+        const body = el.querySelector('.note-body');
+        const resize = el.querySelector('.note-resize');
+
+        el.addEventListener('mousedown', (e) => {
+            if (e.button !== 0 || e.target.closest('textarea, a, .note-resize')) return;
+            e.stopPropagation();
+            this.startDrag(e, note.id);
+        });
+        body.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            this.startEdit(note.id);
+        });
+        el.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.showContextMenu(note.id, e.clientX, e.clientY);
+        });
+        resize.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            e.stopPropagation();
+            this.startResize(e, note.id);
+        });
+        return el;
+    }
+
+    renderNote(note) {
+        const el = note.element;
+        if (!el) return;
+        el.style.left = `${note.position.x}px`;
+        el.style.top = `${note.position.y}px`;
+        el.style.width = `${note.size.width}px`;
+        el.style.height = `${note.size.height}px`;
+        el.style.setProperty('--note-color', note.color || this.options.defaultColor);
+        el.classList.toggle('attached', !!note.attachedTo);
+        const attach = el.querySelector('.note-attach');
+        const node = note.attachedTo ? this.canvas.nodes.get(note.attachedTo) : null;
+        if (attach) attach.title = node ? `Attached to ${node.definition.name || node.type}` : '';
+        const body = el.querySelector('.note-body');
+        if (body && !el.classList.contains('editing')) {
+            body.innerHTML = note.text.trim()
+                ? MarkdownRenderer.render(note.text)
+                : '<span class="note-placeholder">Double-click to edit</span>';
+        }
+    }
+
+    startEdit(noteId) {
+        const note = this.notes.get(noteId);
+        if (!note || note.element.classList.contains('editing')) return;
+        const body = note.element.querySelector('.note-body');
+        const input = document.createElement('textarea');
+        input.className = 'note-editor';
+        input.value = note.text;
+        input.placeholder = 'Markdown: **bold**, *italic*, `code`, - lists, [links](https://...)';
+        note.element.classList.add('editing');
+        body.style.display = 'none';
+        body.parentNode.insertBefore(input, body.nextSibling);
+        input.focus();
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            input.remove();
+            body.style.display = '';
+            note.element.classList.remove('editing');
+            if (commit && input.value !== note.text) this.setText(noteId, input.value);
+            else this.renderNote(note);
+        };
+        input.addEventListener('keydown', (e) => {
+            // Keep editor keys (Delete, Ctrl+Z, ...) away from canvas shortcuts
+            e.stopPropagation();
+            if (e.key === 'Escape') finish(false);
+            else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) finish(true);
+        });
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('mousedown', (e) => e.stopPropagation());
+    }
+
+    // --- Dragging and resizing ---
+    startDrag(e, noteId) {
+        const note = this.notes.get(noteId);
+        if (!note) return;
+        this.canvas.hideContextMenus();
+        const scale = this.canvas.canvasTransform.scale || 1;
+        const before = this.serialize(noteId);
+        const startX = e.clientX;
+        const startY = e.clientY;
+        note.element.classList.add('dragging');
+
+        const move = (ev) => {
+            const dx = (ev.clientX - startX) / scale;
+            const dy = (ev.clientY - startY) / scale;
+            note.position = { x: before.position.x + dx, y: before.position.y + dy };
+            this.renderNote(note);
+        };
+        const up = () => {
+            document.removeEventListener('mousemove', move);
+            document.removeEventListener('mouseup', up);
+            note.element.classList.remove('dragging');
+            if (note.position.x === before.position.x && note.position.y === before.position.y) return;
+            // An attached note keeps following its node from the new spot
+            this._attach(note, note.attachedTo);
+            const after = this.serialize(noteId);
+            this.canvas._recordHistory({
+                label: 'Move note',
+                undo: () => this._applyState(before),
+                redo: () => this._applyState(after)
+            });
+        };
+        document.addEventListener('mousemove', move);
+        document.addEventListener('mouseup', up);
+    }
+
+    startResize(e, noteId) {
+        const note = this.notes.get(noteId);
+        if (!note) return;
+        const scale = this.canvas.canvasTransform.scale || 1;
+        const before = this.serialize(noteId);
+        const startX = e.clientX;
+        const startY = e.clientY;
+
+        const move = (ev) => {
+            note.size = {
+                width: Math.max(this.options.minWidth, before.size.width + (ev.clientX - startX) / scale),
+                height: Math.max(this.options.minHeight, before.size.height + (ev.clientY - startY) / scale)
+            };
+            this.renderNote(note);
+        };
+        const up = () => {
+            document.removeEventListener('mousemove', move);
+            document.removeEventListener('mouseup', up);
+            const after = this.serialize(noteId);
+            if (after.size.width === before.size.width && after.size.height === before.size.height) return;
+            this.canvas._recordHistory({
+                label: 'Resize note',
+                undo: () => this._applyState(before),
+                redo: () => this._applyState(after)
+            });
+        };
+        document.addEventListener('mousemove', move);
+        document.addEventListener('mouseup', up);
+    }
+
+    // --- Context menu ---
+    setupContextMenu() {
+        const menu = document.getElementById(this.options.contextMenuId);
+        if (!menu) return;
+        menu.addEventListener('click', (e) => {
+            const noteId = this.contextNoteId;
+            if (e.target.classList.contains('color-swatch')) {
+                this.setColor(noteId, e.target.dataset.color);
+                this.canvas.hideContextMenus();
+                return;
+            }
+            const action = e.target.dataset.action;
+            if (!action || e.target.classList.contains('disabled')) return;
+            switch (action) {
+                case 'edit-note':
+                    this.startEdit(noteId);
+                    break;
+                case 'attach-note': {
+                    const [nodeId] = this.canvas.selectedNodes;
+                    this.attachToNode(noteId, nodeId);
+                    break;
+                }
+                case 'detach-note':
+                    this.detach(noteId);
+                    break;
+                case 'reset-note-color':
+                    this.setColor(noteId, null);
+                    break;
+                case 'delete-note':
+                    this.remove(noteId);
+                    break;
+            }
+            this.canvas.hideContextMenus();
+        });
+    }
+
+    showContextMenu(noteId, x, y) {
+        const menu = document.getElementById(this.options.contextMenuId);
+        const note = this.notes.get(noteId);
+        if (!menu || !note) return;
+        this.contextNoteId = noteId;
+        const attachItem = menu.querySelector('[data-action="attach-note"]');
+        const detachItem = menu.querySelector('[data-action="detach-note"]');
+        if (attachItem) attachItem.classList.toggle('disabled', this.canvas.selectedNodes.size !== 1);
+        if (detachItem) detachItem.style.display = note.attachedTo ? '' : 'none';
+        this.canvas.showContextMenu(menu, x, y);
+    }
+}
+
+// Export for use in other modules
+window['WorkflowNotes'] = WorkflowNotes;
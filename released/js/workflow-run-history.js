@@ -0,0 +1,448 @@
+/**
+ * Workflow Run History
+ * Finished executions kept in browser storage: status, timings, per-node states and results,
+ * errors and the exact workflow that was sent. Runs are listed in the Runs tab; a run can be
+ * replayed on the canvas (read-only, node by node) or sent again as it was.
+ */
+class WorkflowRunHistory {
+    constructor(workflowExecution, options = {}) {
+        this.execution = workflowExecution;
+        this.canvas = workflowExecution.canvas;
+        this.options = Object.assign({
+            storageKey: 'agi_execution_history',
+            maxRecords: 50,
+            maxOutputChars: 20000, // larger port values are stored as a size marker
+            replayInterval: 600,
+            panelId: 'runs-panel'
+        }, options);
+        this.records = this.load();
+        this.replay = null;
+        this.panel = document.getElementById(this.options.panelId);
+        if (this.panel) this.setupPanelEvents();
+        this.render();
+    }
+
+    // --- Storage ---
+    load() {
+        try {
+            const stored = window.localStorage ? window.localStorage.getItem(this.options.storageKey) : null;
+            const records = stored ? JSON.parse(stored) : [];
+            return Array.isArray(records) ? records : [];
+        } catch (error) {
+            console.warn('Could not read execution history:', error);
+            return [];
+        }
+    }
+
+    // Drops the oldest runs until the rest fits into storage
+    save() {
+        if (!window.localStorage) return;
+        while (true) {
+            try {
+                window.localStorage.setItem(this.options.storageKey, JSON.stringify(this.records));
+                return;
+            } catch (error) {
+                if (this.records.length <= 1) {
+                    console.warn('Could not save execution history:', error);
+                    return;
+                }
+                this.records.pop();
+            }
+        }
+    }
+
+    static compactOutputs(outputs, maxChars) {
+        const compact = {};
+        Object.entries(outputs || {}).forEach(([port, value]) => {
+            let text;
+            try {
+                text = JSON.stringify(value);
+            } catch (e) {
+                text = undefined;
+            }
+            compact[port] = text === undefined ? null
+                : (text.length > maxChars ? { truncated: true, size: text.length } : value);
+        });
+        return compact;
+    }
+
+    /**
+     * Copy of an exported workflow without the values of `sensitive` properties (tokens, keys),
+     * which must not end up in browser storage. Returns { snapshot, redacted: [{ nodeId, property }] }.
+     */
+    static redactSnapshot(workflowData) {
+        if (!workflowData) return { snapshot: null, redacted: [] };
+        const snapshot = JSON.parse(JSON.stringify(workflowData));
+        const redacted = [];
+        (snapshot.nodes || []).forEach(node => {
+            const definitions = node.definition && node.definition.properties ? node.definition.properties : {};
+            Object.keys(node.properties || {}).forEach(property => {
+                if (!definitions[property] || !definitions[property].sensitive) return;
+                delete node.properties[property];
+                redacted.push({ nodeId: node.id, property });
+            });
+        });
+        return { snapshot, redacted };
+    }
+
+    static hasTruncatedOutputs(outputsById) {
+        return Object.values(outputsById || {}).some(outputs =>
+            Object.values(outputs || {}).some(v => !!(v && v.truncated)));
+    }
+
+    /**
+     * Store a finished execution (completed, error or stopped); a run with the same id is replaced
+     */
+    add(execution) {
+        const max = this.options.maxOutputChars;
+        const results = {};
+        Object.entries(execution.results || {}).forEach(([nodeId, outputs]) => {
+            results[nodeId] = WorkflowRunHistory.compactOutputs(outputs, max);
+        });
+        const nodes = {};
+        Object.entries(execution.nodeStates || {}).forEach(([nodeId, state]) => {
+            // Nodes still running when the run ended did not finish
+            nodes[nodeId] = {
+                state: state.state === 'running' ? 'stopped' : state.state,
+                duration_ms: state.duration_ms !== undefined ? state.duration_ms : null,
+                error: state.error || null
+            };
+        });
+        const endTime = execution.endTime || new Date();
+        const { snapshot, redacted } = WorkflowRunHistory.redactSnapshot(execution.snapshot);
+        const record = {
+            id: execution.id,
+            workflowId: execution.workflowId,
+            startTime: new Date(execution.startTime).toISOString(),
+            endTime: new Date(endTime).toISOString(),
+            duration: new Date(endTime) - new Date(execution.startTime),
+            status: execution.state,
+            partial: execution.partial ? { mode: execution.partial.mode, nodeIds: execution.partial.nodeIds } : null,
+            order: execution.order || [],
+            nodes,
+            results,
+            errors: (execution.errors || []).map(e => ({
+                nodeId: e.nodeId || null,
+                error: String(e.error),
+                timestamp: new Date(e.timestamp || endTime).toISOString()
+            })),
+            snapshot,
+            // Sensitive property values left out of the snapshot; a re-run takes them from the canvas
+            redacted,
+            graph: execution.graph || null,
+            cachedOutputs: execution.cachedOutputs
+                ? Object.fromEntries(Object.entries(execution.cachedOutputs).map(([id, o]) => [id, WorkflowRunHistory.compactOutputs(o, max)]))
+                : null
+        };
+        this.records = [record].concat(this.records.filter(r => r.id !== record.id)).slice(0, this.options.maxRecords);
+        this.save();
+        this.render();
+        return record;
+    }
+
+    get(id) {
+        return this.records.find(r => r.id === id) || null;
+    }
+
+    remove(id) {
+        if (this.replay && this.replay.record.id === id) this.stopReplay();
+        this.records = this.records.filter(r => r.id !== id);
+        this.save();
+        this.render();
+    }
+
+    clear() {
+        this.stopReplay();
+        this.records = [];
+        this.save();
+        this.render();
+    }
+
+    // --- Re-run ---
+    // Why a run cannot be sent again, or null
+    getRerunProblem(record) {
+        if (!record || !record.snapshot) return 'This run has no stored workflow';
+        // A partial snapshot holds only the nodes that ran, so the cached inputs cannot be recomputed
+        if (WorkflowRunHistory.hasTruncatedOutputs(record.cachedOutputs)) {
+            return 'Cached inputs of this partial run were too large to store; run it again from the canvas instead';
+        }
+        return null;
+    }
+
+    // The stored snapshot with its hidden (sensitive) values taken from the same nodes on the canvas
+    restoreRedacted(record) {
+        const workflowData = JSON.parse(JSON.stringify(record.snapshot));
+        const redacted = record.redacted || [];
+        if (!redacted.length) return { workflowData, missing: [] };
+        const current = new Map(this.canvas.exportWorkflow().nodes.map(n => [n.id, n]));
+        const byId = new Map(workflowData.nodes.map(n => [n.id, n]));
+        const missing = [];
+        redacted.forEach(({ nodeId, property }) => {
+            const stored = byId.get(nodeId);
+            const node = current.get(nodeId);
+            if (!stored || !node || node.type !== stored.type || node.properties[property] === undefined) {
+                missing.push(`${nodeId}.${property}`);
+                return;
+            }
+            stored.properties[property] = node.properties[property];
+        });
+        return { workflowData, missing };
+    }
+
+    rerun(id) {
+        const record = this.get(id);
+        const problem = this.getRerunProblem(record);
+        const refuse = (message) => {
+            if (window.logger) window.logger.warn(`Re-run: ${message}`);
+            return Promise.resolve({ success: false, message });
+        };
+        if (problem) return refuse(problem);
+        // Secrets are only taken from the workflow the run was made on, never from one that reuses its node ids
+        if ((record.redacted || []).length && !this.matchesCanvas(record)) {
+            return refuse('Hidden values (tokens, keys) are not stored with runs; load the workflow this run was made on to re-run it');
+        }
+        const { workflowData, missing } = this.restoreRedacted(record);
+        if (missing.length) {
+            return refuse(`Hidden values (${missing.join(', ')}) are not stored with runs and are not set on the canvas`);
+        }
+        return this.execution.executeWorkflow({
+            snapshot: {
+                workflowData,
+                partial: record.partial,
+                cachedOutputs: record.cachedOutputs,
+                graph: record.graph
+            }
+        });
+    }
+
+    // --- Replay ---
+    /**
+     * Show a run's node states on the canvas. The canvas is covered (read-only) until the
+     * replay ends; the slider moves through the nodes in the order they ran.
+     */
+    startReplay(id) {
+        const record = this.get(id);
+        if (!record) return false;
+        if (this.execution.executionState === 'running' || this.execution.executionState === 'paused') {
+            if (window.logger) window.logger.warn('Stop the current execution before replaying a run');
+            return false;
+        }
+        if (!this.matchesCanvas(record)) {
+            if (window.logger) window.logger.warn('This run was made on a different workflow; load that workflow to replay it');
+            return false;
+        }
+        this.stopReplay();
+        const ran = record.order.filter(nodeId => record.nodes[nodeId] && record.nodes[nodeId].state !== 'cached');
+        this.replay = {
+            record,
+            steps: ran,
+            step: ran.length,
+            timer: null,
+            previousResults: Object.fromEntries(this.canvas.inspector.results)
+        };
+        this.canvas.readOnly = true;
+        this.createOverlay();
+        this.showStep(ran.length);
+        this.render();
+        return true;
+    }
+
+    // Node ids are reused between workflows, so a run is only replayed when the canvas has
+    // exactly the nodes (ids and types) it ran on
+    matchesCanvas(record) {
+        const graph = record.graph || (!record.partial && record.snapshot ? record.snapshot.nodes.map(n => [n.id, n.type]) : null);
+        if (!graph) return false;
+        const key = (pairs) => pairs.map(([nodeId, type]) => `${nodeId}:${type}`).sort().join('\n');
+        return key(graph) === key(this.canvas.exportWorkflow().nodes.map(n => [n.id, n.type]));
+    }
+
+    stopReplay() {
+        if (!this.replay) return;
+        this.pauseReplay();
+        this.clearReplayClasses();
+        if (this.overlay) this.overlay.remove();
+        if (this.bar) this.bar.remove();
+        this.overlay = null;
+        this.bar = null;
+        this.canvas.readOnly = false;
+        this.canvas.inspector.setResults(this.replay.previousResults);
+        this.replay = null;
+        this.render();
+    }
+
+    createOverlay() {
+        const container = this.canvas.canvas.parentElement || document.body;
+        const record = this.replay.record;
+        const escape = MarkdownRenderer.escape;
+        // Blocks edits; the wheel still zooms and pans
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'replay-overlay';
+        this.overlay.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.canvas.handleWheel(e);
+        });
+        this.bar = document.createElement('div');
+        this.bar.className = 'replay-bar';
+        this.bar.innerHTML = `
+            <span class="replay-title">Replay · ${escape(new Date(record.startTime).toLocaleString())} · <span class="run-status status-${escape(record.status)}">${escape(record.status)}</span></span>
+            <button class="btn replay-play" title="Play">▶</button>
+            <input type="range" class="replay-slider" min="0" max="${this.replay.steps.length}" value="${this.replay.step}">
+            <span class="replay-step"></span>
+            <button class="btn replay-rerun">Re-run</button>
+            <button class="btn replay-exit">Exit Replay</button>
+        `;
+        this.bar.querySelector('.replay-slider').addEventListener('input', (e) => {
+            this.pauseReplay();
+            this.showStep(parseInt(e.target.value, 10));
+        });
+        this.bar.querySelector('.replay-play').addEventListener('click', () => {
+            if (this.replay.timer) this.pauseReplay();
+            else this.playReplay();
+        });
+        this.bar.querySelector('.replay-rerun').addEventListener('click', () => this.rerun(record.id));
+        this.bar.querySelector('.replay-exit').addEventListener('click', () => this.stopReplay());
+        container.appendChild(this.overlay);
+        container.appendChild(this.bar);
+    }
+
+    playReplay() {
+        if (!this.replay) return;
+        if (this.replay.step >= this.replay.steps.length) this.showStep(0);
+        this.bar.querySelector('.replay-play').textContent = '❚❚';
+        this.replay.timer = setInterval(() => {
+            if (this.replay.step >= this.replay.steps.length) {
+                this.pauseReplay();
+                return;
+            }
+            this.showStep(this.replay.step + 1);
+        }, this.options.replayInterval);
+    }
+
+    pauseReplay() {
+        if (!this.replay || !this.replay.timer) return;
+        clearInterval(this.replay.timer);
+        this.replay.timer = null;
+        if (this.bar) this.bar.querySelector('.replay-play').textContent = '▶';
+    }
+
+    clearReplayClasses() {
+        this.canvas.nodes.forEach(node => {
+            node.element.classList.remove('replay-completed', 'replay-error', 'replay-cached', 'replay-stopped', 'replay-pending', 'replay-current');
+        });
+    }
+
+    // Nodes up to `step` show how they ended; later ones are pending. Wire previews follow.
+    showStep(step) {
+        const replay = this.replay;
+        const record = replay.record;
+        replay.step = Math.max(0, Math.min(step, replay.steps.length));
+        const done = new Set(replay.steps.slice(0, replay.step));
+        this.clearReplayClasses();
+        const results = {};
+        Object.keys(record.nodes).forEach(nodeId => {
+            const state = record.nodes[nodeId].state;
+            const shown = state === 'cached' || done.has(nodeId);
+            if (shown && record.results[nodeId]) results[nodeId] = record.results[nodeId];
+            const node = this.canvas.resolveExecutionNode(nodeId);
+            if (node) node.element.classList.add(shown ? `replay-${state}` : 'replay-pending');
+        });
+        record.order.forEach(nodeId => {
+            if (!record.nodes[nodeId]) {
+                const node = this.canvas.resolveExecutionNode(nodeId);
+                if (node) node.element.classList.add('replay-pending');
+            }
+        });
+        const currentId = replay.step > 0 ? replay.steps[replay.step - 1] : null;
+        const current = currentId ? this.canvas.resolveExecutionNode(currentId) : null;
+        if (current) current.element.classList.add('replay-current');
+        this.canvas.inspector.setResults(results);
+
+        if (this.bar) {
+            this.bar.querySelector('.replay-slider').value = String(replay.step);
+            const info = currentId ? record.nodes[currentId] : null;
+            let text = `${replay.step} / ${replay.steps.length}`;
+            if (info) {
+                text += ` · ${current ? current.definition.name : currentId} ${info.state}`;
+                if (info.duration_ms !== null && info.duration_ms !== undefined) text += ` in ${info.duration_ms}ms`;
+                if (info.error) text += `: ${info.error}`;
+            }
+            this.bar.querySelector('.replay-step').textContent = text;
+        }
+    }
+
+    // --- Runs tab ---
+    setupPanelEvents() {
+        this.panel.addEventListener('click', (e) => {
+            const control = e.target.closest('[data-run-action]');
+            if (!control) return;
+            const id = control.dataset.runId;
+            switch (control.dataset.runAction) {
+                case 'replay':
+                    if (this.replay && this.replay.record.id === id) this.stopReplay();
+                    else this.startReplay(id);
+                    break;
+                case 'rerun':
+                    this.rerun(id);
+                    break;
+                case 'delete':
+                    this.remove(id);
+                    break;
+                case 'clear':
+                    if (typeof confirm !== 'function' || confirm('Delete all stored runs?')) this.clear();
+                    break;
+            }
+        });
+    }
+
+    static formatDuration(ms) {
+        if (ms === null || ms === undefined || isNaN(ms)) return '';
+        if (ms < 1000) return `${ms}ms`;
+        if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+        return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+    }
+
+    render() {
+        if (!this.panel) return;
+        const escape = MarkdownRenderer.escape;
+        if (!this.records.length) {
+            this.panel.innerHTML = '<div class="run-empty">No runs yet. Finished executions are listed here.</div>';
+            return;
+        }
+        const icons = { completed: '✅', error: '❌', stopped: '⏹️' };
+        let html = `
+            <div class="run-toolbar">
+                <span>${this.records.length} run${this.records.length === 1 ? '' : 's'}</span>
+                <button class="btn" data-run-action="clear">Clear</button>
+            </div>
+        `;
+        this.records.forEach(record => {
+            const states = Object.values(record.nodes);
+            const ran = states.filter(n => n.state !== 'cached').length;
+            const failed = states.filter(n => n.state === 'error').length;
+            const replaying = !!(this.replay && this.replay.record.id === record.id);
+            const rerunProblem = this.getRerunProblem(record);
+            const rerunTitle = (record.redacted || []).length
+                ? 'Run this workflow again; hidden values (tokens, keys) are not stored and are taken from this workflow on the canvas'
+                : 'Run this workflow again exactly as it was sent';
+            html += `
+                <div class="run-entry status-${escape(record.status)}${replaying ? ' replaying' : ''}">
+                    <span class="run-status" title="${escape(record.status)}">${icons[record.status] || '•'}</span>
+                    <span class="timestamp">${escape(new Date(record.startTime).toLocaleString())}</span>
+                    <span class="run-duration">${escape(WorkflowRunHistory.formatDuration(record.duration))}</span>
+                    <span class="run-summary">
+                        ${ran} node${ran === 1 ? '' : 's'}${failed ? `, ${failed} failed` : ''}
+                        ${record.partial ? ` · partial (${escape(record.partial.mode)})` : ''}
+                        ${record.errors.length && !failed ? ` · ${escape(record.errors[0].error)}` : ''}
+                    </span>
+                    <button class="btn" data-run-action="replay" data-run-id="${escape(record.id)}">${replaying ? 'Exit Replay' : 'Replay'}</button>
+                    <button class="btn" data-run-action="rerun" data-run-id="${escape(record.id)}" ${rerunProblem ? `disabled title="${escape(rerunProblem)}"` : `title="${escape(rerunTitle)}"`}>Re-run</button>
+                    <button class="btn" data-run-action="delete" data-run-id="${escape(record.id)}" title="Delete this run">×</button>
+                </div>
+            `;
+        });
+        this.panel.innerHTML = html;
+    }
+}
+
+// Export for use in other modules
+window['WorkflowRunHistory'] = WorkflowRunHistory;
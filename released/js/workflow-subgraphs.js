@@ -0,0 +1,477 @@
+/**
+ * Workflow Subgraphs
+ * Collapse a selection into one subgraph node, edit it in place behind breadcrumbs,
+ * save it as a reusable macro, and flatten it back to plain nodes for execution
+ */
+class WorkflowSubgraphs {
+    constructor(workflowCanvas, options = {}) {
+        this.canvas = workflowCanvas;
+        this.options = Object.assign({
+            nodeType: 'subgraph',
+            category: 'Subgraphs',
+            macroCategory: 'Macros',
+            macroStorageKey: 'agi_macros',
+            breadcrumbsId: 'subgraph-breadcrumbs'
+        }, options);
+
+        // One entry per opened level: { nodeId, name, parent } where parent is the level it was opened from
+        this.stack = [];
+        this.breadcrumbs = document.getElementById(this.options.breadcrumbsId);
+
+        this.loadMacros();
+        this.setupMacroPaletteMenu();
+        this.renderBreadcrumbs();
+    }
+
+    isSubgraph(nodeOrDefinition) {
+        const definition = nodeOrDefinition && (nodeOrDefinition.definition || nodeOrDefinition);
+        return !!(definition && definition.subgraph);
+    }
+
+    // --- Collapse ---
+    // Replace the selected nodes with a single subgraph node. Wires crossing the selection
+    // boundary become its ports: one input per outside source, one output per inside source.
+    collapseSelection(name = null) {
+        const ids = Array.from(this.canvas.selectedNodes).filter(id => this.canvas.nodes.has(id));
+        if (ids.length === 0) {
+            if (window.logger) window.logger.info('Select the nodes to collapse into a subgraph');
+            return null;
+        }
+        if (name === null) {
+            name = typeof prompt === 'function' ? prompt('Subgraph name:', 'Subgraph') : 'Subgraph';
+            if (name === null) return null;
+        }
+        name = String(name).trim() || 'Subgraph';
+
+        const inside = new Set(ids);
+        const internal = [];
+        const incoming = [];
+        const outgoing = [];
+        this.canvas.connections.forEach(conn => {
+            const from = inside.has(conn.source.nodeId);
+            const to = inside.has(conn.target.nodeId);
+            if (from && to) internal.push(conn);
+            else if (to) incoming.push(conn);
+            else if (from) outgoing.push(conn);
+        });
+
+        const usedNames = { input: new Set(), output: new Set() };
+        const uniqueName = (base, role) => {
+            let candidate = base;
+            for (let i = 2; usedNames[role].has(candidate); i++) candidate = `${base}_${i}`;
+            usedNames[role].add(candidate);
+            return candidate;
+        };
+
+        const inputs = [];
+        const inputBySource = new Map();
+        const externalIn = [];
+        incoming.forEach(conn => {
+            const key = `${conn.source.nodeId}:${conn.source.name}`;
+            let port = inputBySource.get(key);
+            if (!port) {
+                port = { name: uniqueName(conn.target.name, 'input'), type: null, targets: [] };
+                inputBySource.set(key, port);
+                inputs.push(port);
+                externalIn.push({ source: conn.source, name: port.name });
+            }
+            port.targets.push({ nodeId: conn.target.nodeId, name: conn.target.name });
+        });
+        inputs.forEach(port => {
+            const types = new Set(port.targets.map(t => this.canvas.getPortType(t.nodeId, t.name, 'input')));
+            port.type = types.size === 1 ? Array.from(types)[0] : 'any';
+        });
+
+        const outputs = [];
+        const outputBySource = new Map();
+        const externalOut = [];
+        outgoing.forEach(conn => {
+            const key = `${conn.source.nodeId}:${conn.source.name}`;
+            let port = outputBySource.get(key);
+            if (!port) {
+                port = {
+                    name: uniqueName(conn.source.name, 'output'),
+                    type: this.canvas.getPortType(conn.source.nodeId, conn.source.name, 'output'),
+                    source: { nodeId: conn.source.nodeId, name: conn.source.name }
+                };
+                outputBySource.set(key, port);
+                outputs.push(port);
+            }
+            externalOut.push({ name: port.name, target: conn.target });
+        });
+
+        const rects = ids.map(id => this.canvas.getNodeRect(this.canvas.nodes.get(id)));
+        const origin = {
+            x: Math.min(...rects.map(r => r.left)),
+            y: Math.min(...rects.map(r => r.top))
+        };
+        const definition = this.buildDefinition({ name }, {
+            nodes: ids.map(id => this.canvas.serializeNode(id)),
+            connections: internal.map(conn => this.canvas.serializeConnection(conn)),
+            groups: [],
+            notes: [],
+            inputs,
+            outputs
+        });
+
+        let subgraphId = null;
+        this.canvas.history.transact('Collapse to subgraph', () => {
+            ids.forEach(id => this.canvas.deleteNode(id, { force: true }));
+            subgraphId = this.canvas.createNode(definition, origin.x, origin.y);
+            externalIn.forEach(({ source, name: portName }) => this.canvas.createConnection(
+                { nodeId: source.nodeId, name: source.name, type: 'output' },
+                { nodeId: subgraphId, name: portName, type: 'input' }
+            ));
+            externalOut.forEach(({ name: portName, target }) => this.canvas.createConnection(
+                { nodeId: subgraphId, name: portName, type: 'output' },
+                { nodeId: target.nodeId, name: target.name, type: 'input' }
+            ));
+        });
+        this.canvas.selectNode(subgraphId, true);
+        if (window.logger) window.logger.info(`Collapsed ${ids.length} node(s) into subgraph '${name}' (${inputs.length} in, ${outputs.length} out)`);
+        return subgraphId;
+    }
+
+    // Definitions are treated as immutable: edits produce a new object so history snapshots stay valid
+    buildDefinition(base, graph) {
+        const count = graph.nodes.length;
+        return {
+            name: base.name || 'Subgraph',
+            type: base.type || this.options.nodeType,
+            category: base.category || this.options.category,
+            description: `Subgraph of ${count} node${count === 1 ? '' : 's'}`,
+            inputs: graph.inputs.map(p => ({ name: p.name, type: p.type })),
+            outputs: graph.outputs.map(p => ({ name: p.name, type: p.type })),
+            properties: {},
+            subgraph: graph
+        };
+    }
+
+    // --- Editing in place ---
+    // Opening and leaving levels are history entries, so undo walks back through the
+    // levels in the order the edits were made
+    open(nodeId) {
+        const node = this.canvas.nodes.get(nodeId);
+        if (!this.isSubgraph(node)) return;
+        this.canvas.finishLayoutAnimation();
+        const from = this.getPath();
+        const parent = this.captureLevel();
+        this.stack.push({ nodeId, name: node.definition.name, parent });
+        this.loadLevel(node.definition.subgraph);
+        this.canvas.zoomToFit({ animate: false });
+        this.renderBreadcrumbs();
+        this._recordNavigation(`Open subgraph '${node.definition.name}'`, from);
+    }
+
+    // Leave the current level, writing its edits back into the subgraph node
+    close() {
+        this.navigateTo(this.stack.length - 1);
+    }
+
+    // Go back up to a breadcrumb level (0 = the workflow itself)
+    navigateTo(depth) {
+        if (depth < 0 || depth >= this.stack.length) return;
+        const from = this.getPath();
+        let level = this.captureLevel();
+        while (this.stack.length > depth) level = this._commitInto(this.stack.pop(), level);
+        this.loadLevel(level);
+        if (level.transform) {
+            this.canvas.canvasTransform = { ...level.transform };
+            this.canvas.applyCanvasTransform();
+        }
+        this.renderBreadcrumbs();
+        this._recordNavigation(from.length - depth > 1 ? 'Close subgraphs' : 'Close subgraph', from);
+    }
+
+    // Subgraph node ids of the opened levels, outermost first
+    getPath() {
+        return this.stack.map(entry => entry.nodeId);
+    }
+
+    // Leave and open levels until the given path is open
+    goToPath(path) {
+        const current = this.getPath();
+        let common = 0;
+        while (common < current.length && common < path.length && current[common] === path[common]) common++;
+        if (common < current.length) this.navigateTo(common);
+        path.slice(common).forEach(nodeId => this.open(nodeId));
+    }
+
+    _recordNavigation(label, from) {
+        const to = this.getPath();
+        this.canvas._recordHistory({
+            label,
+            undo: () => this.goToPath(from),
+            redo: () => this.goToPath(to)
+        });
+    }
+
+    // Forget opened levels without committing (a new workflow replaces everything)
+    reset() {
+        this.stack = [];
+        this.renderBreadcrumbs();
+    }
+
+    captureLevel() {
+        const canvas = this.canvas;
+        return {
+            nodes: Array.from(canvas.nodes.keys()).map(id => canvas.serializeNode(id)),
+            connections: Array.from(canvas.connections.values()).map(c => canvas.serializeConnection(c)),
+            groups: canvas.groups.serializeAll(),
+            notes: canvas.notes.serializeAll(),
+            transform: { ...canvas.canvasTransform }
+        };
+    }
+
+    // Swap the canvas contents for a level (the navigation itself is recorded by the caller)
+    loadLevel(level) {
+        const canvas = this.canvas;
+        canvas.history.suspend(() => {
+            canvas.clearCanvas(false);
+            (level.nodes || []).forEach(n => canvas.restoreNode(n));
+            (level.connections || []).forEach(c => canvas.restoreConnection(c));
+            canvas.groups.importGroups(level.groups);
+            canvas.notes.importNotes(level.notes);
+        });
+    }
+
+    // Return the parent level with the subgraph node updated from the edited inner level.
+    // Ports whose inner node or port no longer exists are dropped, along with their outer wires.
+    _commitInto(entry, inner) {
+        const parent = entry.parent;
+        const subNode = parent.nodes.find(n => n.id === entry.nodeId);
+        if (!subNode) return parent;
+        const previous = subNode.definition.subgraph;
+        const innerById = new Map(inner.nodes.map(n => [n.id, n]));
+        const hasPort = (nodeId, name, role) => {
+            const n = innerById.get(nodeId);
+            const list = n && n.definition ? (role === 'input' ? n.definition.inputs : n.definition.outputs) : null;
+            return !!(list && list.some(p => p.name === name));
+        };
+        const inputs = previous.inputs
+            .map(p => ({ ...p, targets: p.targets.filter(t => hasPort(t.nodeId, t.name, 'input')) }))
+            .filter(p => p.targets.length > 0);
+        const outputs = previous.outputs.filter(p => hasPort(p.source.nodeId, p.source.name, 'output'));
+
+        const definition = this.buildDefinition(subNode.definition, {
+            nodes: inner.nodes,
+            connections: inner.connections,
+            groups: inner.groups,
+            notes: inner.notes,
+            inputs,
+            outputs
+        });
+        const inputNames = new Set(inputs.map(p => p.name));
+        const outputNames = new Set(outputs.map(p => p.name));
+        return {
+            ...parent,
+            nodes: parent.nodes.map(n => n.id === subNode.id ? { ...n, definition } : n),
+            connections: parent.connections.filter(c =>
+                !(c.target.nodeId === subNode.id && !inputNames.has(c.target.name)) &&
+                !(c.source.nodeId === subNode.id && !outputNames.has(c.source.name)))
+        };
+    }
+
+    // The top-level graph including any edits made inside opened subgraphs
+    getRootGraph() {
+        let level = this.captureLevel();
+        for (let i = this.stack.length - 1; i >= 0; i--) level = this._commitInto(this.stack[i], level);
+        return level;
+    }
+
+    renderBreadcrumbs() {
+        const el = this.breadcrumbs;
+        if (!el) return;
+        el.style.display = this.stack.length ? '' : 'none';
+        el.innerHTML = '';
+        const names = ['Workflow', ...this.stack.map(entry => entry.name)];
+        names.forEach((name, depth) => {
+            if (depth > 0) {
+                const sep = document.createElement('span');
+                sep.className = 'breadcrumb-separator';
+                sep.textContent = '›';
+                el.appendChild(sep);
+            }
+            const crumb = document.createElement('button');
+            crumb.className = 'breadcrumb';
+            crumb.textContent = name;
+            if (depth === names.length - 1) {
+                crumb.classList.add('current');
+                crumb.disabled = true;
+            } else {
+                crumb.addEventListener('click', () => this.navigateTo(depth));
+            }
+            el.appendChild(crumb);
+        });
+    }
+
+    // --- Flattening for execution ---
+    /**
+     * Expand subgraph nodes (recursively) into plain nodes and connections.
+     * Inner ids are prefixed with their subgraph path ("node_5/node_2") so repeated macros stay unique,
+     * and each inner node records its top-level subgraph in `subgraph`.
+     */
+    flatten(graph, prefix = '', topId = null) {
+        const nodes = [];
+        const connections = [];
+        graph.nodes.forEach(node => {
+            const flatId = prefix + node.id;
+            if (this.isSubgraph(node)) {
+                const inner = this.flatten(node.definition.subgraph, `${flatId}/`, topId || flatId);
+                nodes.push(...inner.nodes);
+                connections.push(...inner.connections);
+            } else {
+                nodes.push(topId ? { ...node, id: flatId, subgraph: topId } : node);
+            }
+        });
+        graph.connections.forEach(conn => {
+            const sources = this._resolveEndpoints(graph, prefix, conn.source.nodeId, conn.source.name, 'output');
+            const targets = this._resolveEndpoints(graph, prefix, conn.target.nodeId, conn.target.name, 'input');
+            sources.forEach(source => targets.forEach((target, i) => {
+                connections.push({
+                    ...conn,
+                    id: prefix + conn.id + (targets.length > 1 ? `#${i + 1}` : ''),
+                    source: { nodeId: source.nodeId, name: source.name, type: 'output' },
+                    target: { nodeId: target.nodeId, name: target.name, type: 'input' }
+                });
+            }));
+        });
+        return { nodes, connections };
+    }
+
+    // Follow a port through nested subgraphs down to the plain node(s) behind it
+    _resolveEndpoints(graph, prefix, nodeId, name, role) {
+        const node = graph.nodes.find(n => n.id === nodeId);
+        if (!this.isSubgraph(node)) return [{ nodeId: prefix + nodeId, name }];
+        const inner = node.definition.subgraph;
+        const innerPrefix = `${prefix}${nodeId}/`;
+        if (role === 'output') {
+            const port = inner.outputs.find(p => p.name === name);
+            return port ? this._resolveEndpoints(inner, innerPrefix, port.source.nodeId, port.source.name, role) : [];
+        }
+        const port = inner.inputs.find(p => p.name === name);
+        if (!port) return [];
+        return port.targets.reduce((all, t) => all.concat(this._resolveEndpoints(inner, innerPrefix, t.nodeId, t.name, role)), []);
+    }
+
+    // Editor-side data needed to rebuild subgraph nodes on import: the nodes themselves
+    // and the top-level wires attached to them (the flattened wires replace these for execution)
+    serializeForExport(graph) {
+        const ids = new Set(graph.nodes.filter(n => this.isSubgraph(n)).map(n => n.id));
+        if (ids.size === 0) return null;
+        return {
+            nodes: graph.nodes.filter(n => ids.has(n.id)),
+            connections: graph.connections.filter(c => ids.has(c.source.nodeId) || ids.has(c.target.nodeId))
+        };
+    }
+
+    // Undo flattening for import: returns the nodes/connections to place on the canvas
+    expandImport(workflowData) {
+        const nodes = workflowData.nodes || [];
+        const connections = workflowData.connections || [];
+        const saved = workflowData.subgraphs;
+        if (!saved || !Array.isArray(saved.nodes)) return { nodes, connections };
+        const flattenedIds = new Set(nodes.filter(n => n.subgraph).map(n => n.id));
+        return {
+            nodes: nodes.filter(n => !n.subgraph).concat(saved.nodes),
+            connections: connections
+                .filter(c => !flattenedIds.has(c.source.nodeId) && !flattenedIds.has(c.target.nodeId))
+                .concat(saved.connections || [])
+        };
+    }
+
+    // Execution id of a node shown on the current level: nodes inside an open subgraph get its
+    // path prefix ("node_5/node_2"), matching the ids of the flattened workflow
+    executionIdFor(nodeId) {
+        return this.getPath().concat(nodeId).join('/');
+    }
+
+    // Map a node id from an execution message to the node shown on the current level
+    // ("node_5/node_2/node_7" -> "node_2" while node_5 is open, "node_5" at the top level)
+    resolveCanvasNodeId(nodeId) {
+        const parts = String(nodeId).split('/');
+        const path = this.stack.map(entry => entry.nodeId);
+        if (parts.length <= path.length || !path.every((id, i) => parts[i] === id)) {
+            return path.length === 0 ? parts[0] : null;
+        }
+        return parts[path.length];
+    }
+
+    // --- Macros ---
+    saveAsMacro(nodeId, name = null) {
+        const node = this.canvas.nodes.get(nodeId);
+        if (!this.isSubgraph(node)) return null;
+        if (name === null) {
+            name = typeof prompt === 'function' ? prompt('Macro name:', node.definition.name) : node.definition.name;
+            if (name === null) return null;
+        }
+        name = String(name).trim();
+        if (!name) return null;
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'macro';
+        const definition = {
+            ...this.buildDefinition({ name, type: `macro:${slug}`, category: this.options.macroCategory }, node.definition.subgraph),
+            description: `Macro: ${node.definition.subgraph.nodes.length} node(s)`
+        };
+        const macros = this.getStoredMacros().filter(m => m.type !== definition.type);
+        macros.push(definition);
+        this.storeMacros(macros);
+        this.registerMacro(definition);
+        if (window.logger) window.logger.info(`Saved macro '${name}' to the palette`);
+        return definition.type;
+    }
+
+    deleteMacro(type) {
+        this.storeMacros(this.getStoredMacros().filter(m => m.type !== type));
+        if (window.nodePalette && typeof window.nodePalette.removeLocalDefinition === 'function') {
+            window.nodePalette.removeLocalDefinition(type);
+        }
+    }
+
+    getStoredMacros() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.options.macroStorageKey) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (err) {
+            console.warn('Failed to read saved macros:', err);
+            return [];
+        }
+    }
+
+    storeMacros(macros) {
+        try {
+            localStorage.setItem(this.options.macroStorageKey, JSON.stringify(macros));
+        } catch (err) {
+            console.warn('Failed to save macros:', err);
+            if (window.logger) window.logger.error('Could not save macro: ' + (err && err.message ? err.message : String(err)));
+        }
+    }
+
+    loadMacros() {
+        this.getStoredMacros().forEach(definition => this.registerMacro(definition));
+    }
+
+    registerMacro(definition) {
+        if (window.nodePalette && typeof window.nodePalette.addLocalDefinition === 'function') {
+            window.nodePalette.addLocalDefinition(definition);
+        }
+    }
+
+    // Right-click a macro in the palette to delete it
+    setupMacroPaletteMenu() {
+        const palette = window.nodePalette;
+        if (!palette || !palette.container) return;
+        palette.container.addEventListener('contextmenu', (e) => {
+            const item = e.target.closest('.node-item');
+            const type = item ? item.dataset.nodeType : null;
+            if (!type || !type.startsWith('macro:')) return;
+            e.preventDefault();
+            const definition = palette.getNodeDefinition(type);
+            if (confirm(`Delete macro '${definition ? definition.name : type}'? Nodes already placed are kept.`)) {
+                this.deleteMacro(type);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+window['WorkflowSubgraphs'] = WorkflowSubgraphs;
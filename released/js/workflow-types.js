@@ -0,0 +1,123 @@
+/**
+ * Workflow Type System
+ * Port type compatibility: aliases, subtyping, generic containers (list<T>) and converter nodes.
+ *
+ * The backend can describe its types in `available_nodes` as `types`:
+ *   {
+ *     aliases:    { "str": "string" },
+ *     supertypes: { "int": "number", "float": "number", "string": ["text"] },
+ *     variables:  ["T"],                       // type parameters, match anything
+ *     converters: [{ from: "number", to: "string", node_type: "number_to_string",
+ *                    input: "value", output: "text" }]
+ *   }
+ * Without it, types match when equal or when either side is `any`.
+ */
+class WorkflowTypeSystem {
+    constructor(config = {}) {
+        this.configure(config);
+    }
+
+    configure(config = {}) {
+        const lower = (value) => String(value).trim().toLowerCase();
+        this.aliases = new Map(Object.entries(config.aliases || {}).map(([k, v]) => [lower(k), lower(v)]));
+        this.supertypes = new Map();
+        Object.entries(config.supertypes || {}).forEach(([type, parents]) => {
+            this.supertypes.set(this.normalize(type), [].concat(parents).map(p => this.normalize(p)));
+        });
+        this.variables = new Set((config.variables || ['T']).map(lower));
+        this.converters = (config.converters || [])
+            .filter(c => c && c.from && c.to && c.node_type)
+            .map(c => ({
+                from: this.normalize(c.from),
+                to: this.normalize(c.to),
+                nodeType: c.node_type,
+                input: c.input || null,
+                output: c.output || null
+            }));
+        this.parseCache = new Map();
+    }
+
+    normalize(type) {
+        const t = String(type === undefined || type === null || type === '' ? 'any' : type).trim().toLowerCase();
+        return this.aliases && this.aliases.has(t) ? this.aliases.get(t) : t;
+    }
+
+    // "list<int>" -> { base: 'list', args: [{ base: 'int', args: [] }] }
+    parse(type) {
+        const key = this.normalize(type);
+        if (this.parseCache.has(key)) return this.parseCache.get(key);
+        let pos = 0;
+        const read = () => {
+            let name = '';
+            while (pos < key.length && !'<>,'.includes(key[pos])) name += key[pos++];
+            const node = { base: this.normalize(name), args: [] };
+            if (key[pos] === '<') {
+                pos++;
+                node.args.push(read());
+                while (key[pos] === ',') {
+                    pos++;
+                    node.args.push(read());
+                }
+                if (key[pos] === '>') pos++;
+            }
+            return node;
+        };
+        const parsed = read();
+        this.parseCache.set(key, parsed);
+        return parsed;
+    }
+
+    isVariable(node) {
+        return node.args.length === 0 && this.variables.has(node.base);
+    }
+
+    // base itself plus every supertype reachable from it
+    ancestors(base) {
+        const seen = new Set([base]);
+        const queue = [base];
+        while (queue.length) {
+            (this.supertypes.get(queue.shift()) || []).forEach(parent => {
+                if (!seen.has(parent)) {
+                    seen.add(parent);
+                    queue.push(parent);
+                }
+            });
+        }
+        return seen;
+    }
+
+    /**
+     * Can a value of srcType flow into a port of dstType without conversion?
+     * Generic arguments are covariant; a missing argument counts as `any`.
+     */
+    isAssignable(srcType, dstType) {
+        return this._assignable(this.parse(srcType), this.parse(dstType));
+    }
+
+    _assignable(src, dst) {
+        if (src.base === 'any' || dst.base === 'any') return true;
+        if (this.isVariable(src) || this.isVariable(dst)) return true;
+        if (!this.ancestors(src.base).has(dst.base)) return false;
+        const count = Math.max(src.args.length, dst.args.length);
+        for (let i = 0; i < count; i++) {
+            const a = src.args[i] || { base: 'any', args: [] };
+            const b = dst.args[i] || { base: 'any', args: [] };
+            if (!this._assignable(a, b)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Converter that bridges srcType -> dstType, if any; exact endpoints win over wider ones
+     */
+    findConverter(srcType, dstType) {
+        const candidates = this.converters.filter(c => this.isAssignable(srcType, c.from) && this.isAssignable(c.to, dstType));
+        const src = this.normalize(srcType);
+        const dst = this.normalize(dstType);
+        const score = (c) => (c.from === src ? 0 : 1) + (c.to === dst ? 0 : 1);
+        return candidates.sort((a, b) => score(a) - score(b))[0] || null;
+    }
+}
+
+// Export for use in other modules
+window['WorkflowTypeSystem'] = WorkflowTypeSystem;
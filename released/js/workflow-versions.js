@@ -0,0 +1,316 @@
+/**
+ * Workflow Versions
+ * Compares the definition a node was saved with against the palette's current one,
+ * flags outdated nodes and upgrades them (property values migrated, wires kept where ports remain).
+ *
+ * A definition may carry a `version`; when both sides have one they decide, otherwise
+ * any difference in ports or properties counts as outdated.
+ *
+ * Nodes whose type the backend no longer offers are "missing": they stay on the canvas
+ * with their wires and properties until the type comes back.
+ */
+class WorkflowVersions {
+    constructor(workflowCanvas) {
+        this.canvas = workflowCanvas;
+        // nodeId -> { current, diff } for nodes whose definition is behind the palette
+        this.outdated = new Map();
+        // nodeIds whose type is not in the node library
+        this.missing = new Set();
+    }
+
+    /**
+     * Stand-in definition for a node whose type is unknown: ports come from the wires
+     * that reference it, properties from its saved values.
+     */
+    static placeholderDefinition(nodeData, connections = []) {
+        const ports = (end) => {
+            const names = new Set();
+            connections.forEach(c => {
+                if (c[end] && c[end].nodeId === nodeData.id) names.add(c[end].name);
+            });
+            return Array.from(names).map(name => ({ name, type: 'any', description: '' }));
+        };
+        const properties = {};
+        Object.entries(nodeData.properties || {}).forEach(([key, value]) => {
+            const type = typeof value === 'number' ? 'number' : typeof value === 'boolean' ? 'boolean' : 'string';
+            properties[key] = { type, default: null };
+        });
+        return {
+            type: nodeData.type,
+            name: nodeData.type,
+            category: 'Missing',
+            description: `Node type '${nodeData.type}' is not available`,
+            inputs: ports('target'),
+            outputs: ports('source'),
+            properties,
+            missing: true
+        };
+    }
+
+    isMissing(node) {
+        if (!node || !node.definition || node.definition.subgraph) return false;
+        if (node.definition.missing) return true;
+        const palette = window.nodePalette;
+        return !!(palette && palette.serverLoaded && !palette.getNodeDefinition(node.type));
+    }
+
+    getCurrentDefinition(node) {
+        if (!node || !node.definition || node.definition.subgraph) return null;
+        return window.nodePalette ? window.nodePalette.getNodeDefinition(node.type) || null : null;
+    }
+
+    isOutdated(saved, current, diff = this.diff(saved, current)) {
+        if (!saved || !current || saved === current) return false;
+        if (saved.version !== undefined && current.version !== undefined) {
+            return String(saved.version) !== String(current.version);
+        }
+        return !this.isEmptyDiff(diff);
+    }
+
+    /**
+     * Added, removed and retyped inputs, outputs and properties between two definitions
+     */
+    diff(saved, current) {
+        const types = this.canvas.types;
+        const samePortType = (a, b) => types.normalize(a.type) === types.normalize(b.type);
+        const samePropType = (a, b) => (a.type || 'string') === (b.type || 'string');
+        const compare = (before, after, sameType) => {
+            const old = new Map(before.map(([name, item]) => [name, item]));
+            const now = new Map(after.map(([name, item]) => [name, item]));
+            return {
+                added: after.filter(([name]) => !old.has(name)).map(([name, item]) => ({ name, type: item.type })),
+                removed: before.filter(([name]) => !now.has(name)).map(([name, item]) => ({ name, type: item.type })),
+                changed: after.filter(([name, item]) => old.has(name) && !sameType(old.get(name), item))
+                    .map(([name, item]) => ({ name, from: old.get(name).type, to: item.type }))
+            };
+        };
+        const ports = (list) => (list || []).map(p => [p.name, p]);
+        const props = (map) => Object.entries(map || {});
+        return {
+            version: { from: saved ? saved.version : undefined, to: current ? current.version : undefined },
+            inputs: compare(ports(saved && saved.inputs), ports(current && current.inputs), samePortType),
+            outputs: compare(ports(saved && saved.outputs), ports(current && current.outputs), samePortType),
+            properties: compare(props(saved && saved.properties), props(current && current.properties), samePropType)
+        };
+    }
+
+    isEmptyDiff(diff) {
+        return ['inputs', 'outputs', 'properties'].every(key =>
+            !diff[key].added.length && !diff[key].removed.length && !diff[key].changed.length);
+    }
+
+    // Re-evaluate one node and update its badge
+    refreshNode(nodeId) {
+        const node = this.canvas.nodes.get(nodeId);
+        if (this.isMissing(node)) this.missing.add(nodeId);
+        else this.missing.delete(nodeId);
+        const current = this.getCurrentDefinition(node);
+        const diff = current ? this.diff(node.definition, current) : null;
+        if (current && this.isOutdated(node.definition, current, diff)) {
+            this.outdated.set(nodeId, { current, diff });
+        } else {
+            this.outdated.delete(nodeId);
+        }
+        if (node) this.renderBadge(node);
+    }
+
+    checkAll() {
+        this.outdated.clear();
+        this.missing.clear();
+        this.canvas.nodes.forEach((node, nodeId) => this.refreshNode(nodeId));
+        // Placeholders are not real definitions: swap them as soon as the type is known
+        const placeholders = this.getOutdatedNodeIds().filter(id => this.canvas.nodes.get(id).definition.missing);
+        if (placeholders.length) this.canvas.history.suspend(() => this.upgradeNodes(placeholders));
+        if (window.nodeProperties) window.nodeProperties.refreshProperties();
+        return this.getOutdatedNodeIds();
+    }
+
+    /**
+     * After a live library update for these types. Nodes that were up to date follow the new
+     * definition unless that would cut wires; the rest are flagged for review.
+     */
+    syncTypes(types) {
+        const changed = new Set(types);
+        const ids = Array.from(this.canvas.nodes.values()).filter(node => changed.has(node.type)).map(node => node.id);
+        const followers = ids.filter(id => !this.outdated.has(id));
+        ids.forEach(id => this.refreshNode(id));
+
+        const refresh = ids.filter(id => {
+            const status = this.getStatus(id);
+            if (!status) return false;
+            if (this.canvas.nodes.get(id).definition.missing) return true;
+            return followers.includes(id) && this.getDroppedConnections(id, status.current).length === 0;
+        });
+        // The server replaced these definitions; undo must not bring the stale ones back
+        if (refresh.length) this.canvas.history.suspend(() => this.upgradeNodes(refresh, 'Refresh node definitions'));
+
+        if (window.logger) {
+            const missing = ids.filter(id => this.missing.has(id));
+            const outdated = ids.filter(id => this.getStatus(id));
+            if (missing.length) window.logger.warn(`${missing.length} node(s) on the canvas use a node type that is no longer available; they keep their wires and properties`);
+            if (outdated.length) window.logger.warn(`${outdated.length} node(s) were left on their saved definition (the update would remove wired ports, or they were already outdated); select them to review`);
+        }
+        if (window.nodeProperties) window.nodeProperties.refreshProperties();
+        return refresh;
+    }
+
+    // Log how many nodes are behind or missing (after import/load)
+    report(context) {
+        const ids = this.getOutdatedNodeIds();
+        const typesOf = (list) => Array.from(new Set(list.map(id => this.canvas.nodes.get(id).type))).join(', ');
+        if (ids.length && window.logger) {
+            window.logger.warn(`${context}: ${ids.length} node(s) use an outdated definition (${typesOf(ids)}). Select one to review the changes, or right-click the canvas → "Upgrade Outdated Nodes"`);
+        }
+        const missing = this.getMissingNodeIds();
+        if (missing.length && window.logger) {
+            window.logger.warn(`${context}: ${missing.length} node(s) have a node type the server does not offer (${typesOf(missing)})`);
+        }
+        return ids;
+    }
+
+    getOutdatedNodeIds() {
+        return Array.from(this.outdated.keys()).filter(id => this.canvas.nodes.has(id));
+    }
+
+    getMissingNodeIds() {
+        return Array.from(this.missing).filter(id => this.canvas.nodes.has(id));
+    }
+
+    getStatus(nodeId) {
+        return this.canvas.nodes.has(nodeId) ? this.outdated.get(nodeId) || null : null;
+    }
+
+    renderBadge(node) {
+        const header = node.element ? node.element.querySelector('.node-header') : null;
+        const missing = this.missing.has(node.id);
+        const status = this.outdated.get(node.id);
+        node.element.classList.toggle('outdated', !!status);
+        node.element.classList.toggle('missing', missing);
+        let missingBadge = header ? header.querySelector('.node-missing-badge') : null;
+        if (missing && header && !missingBadge) {
+            missingBadge = document.createElement('span');
+            missingBadge.className = 'node-missing-badge';
+            missingBadge.textContent = '!';
+            missingBadge.title = `Node type '${node.type}' is not available on the server`;
+            header.appendChild(missingBadge);
+        } else if (!missing && missingBadge) {
+            missingBadge.remove();
+        }
+        let badge = header ? header.querySelector('.node-outdated-badge') : null;
+        if (!status) {
+            if (badge) badge.remove();
+            return;
+        }
+        if (!header) return;
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'node-outdated-badge';
+            badge.textContent = '⟳';
+            // Keep the header's drag from starting; a click shows the changes in the properties panel
+            badge.addEventListener('mousedown', (e) => e.stopPropagation());
+            badge.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.canvas.selectNode(node.id, true);
+                if (window.nodeProperties) window.nodeProperties.setActiveTab('properties');
+            });
+            header.appendChild(badge);
+        }
+        badge.title = `Definition changed${this.versionLabel(status.diff)} - click to review and upgrade`;
+    }
+
+    versionLabel(diff) {
+        const { from, to } = diff.version;
+        if (from === undefined && to === undefined) return '';
+        return ` (${from === undefined ? 'unversioned' : `v${from}`} → ${to === undefined ? 'unversioned' : `v${to}`})`;
+    }
+
+    // Wires that an upgrade would remove because their port is gone
+    getDroppedConnections(nodeId, definition) {
+        const hasPort = (list, name) => (list || []).some(p => p.name === name);
+        return Array.from(this.canvas.connections.values()).filter(c =>
+            (c.source.nodeId === nodeId && !hasPort(definition.outputs, c.source.name)) ||
+            (c.target.nodeId === nodeId && !hasPort(definition.inputs, c.target.name)));
+    }
+
+    /**
+     * Property values for the new definition: kept where the key survives and the value
+     * still fits, defaults for new keys, removed keys dropped.
+     */
+    migrateProperties(values, definition) {
+        const result = {};
+        Object.entries(definition.properties || {}).forEach(([key, prop]) => {
+            const fallback = prop.default !== undefined ? prop.default : null;
+            result[key] = Object.prototype.hasOwnProperty.call(values || {}, key)
+                ? this.migrateValue(values[key], prop, fallback)
+                : fallback;
+        });
+        return result;
+    }
+
+    migrateValue(value, prop, fallback) {
+        if (value === null || value === undefined) return fallback;
+        switch (prop.type) {
+            case 'number': {
+                const number = typeof value === 'number' ? value : parseFloat(value);
+                return isNaN(number) ? fallback : number;
+            }
+            case 'boolean':
+                if (typeof value === 'boolean') return value;
+                if (value === 'true' || value === 'false') return value === 'true';
+                return fallback;
+            case 'select':
+                return (prop.options || []).includes(value) ? value : fallback;
+            case 'string':
+            case 'textarea':
+                return typeof value === 'object' ? JSON.stringify(value) : String(value);
+            default:
+                return value;
+        }
+    }
+
+    upgrade(nodeId) {
+        return this.upgradeNodes([nodeId]) > 0;
+    }
+
+    upgradeAll() {
+        return this.upgradeNodes(this.getOutdatedNodeIds());
+    }
+
+    // One undo step for the whole batch; returns how many nodes were upgraded
+    upgradeNodes(nodeIds, label = null) {
+        const canvas = this.canvas;
+        const targets = nodeIds.filter(id => this.getStatus(id));
+        if (!targets.length) return 0;
+        let dropped = 0;
+        canvas.history.transact(label || (targets.length === 1 ? 'Upgrade node' : 'Upgrade nodes'), () => {
+            targets.forEach(nodeId => {
+                const node = canvas.nodes.get(nodeId);
+                const { current } = this.getStatus(nodeId);
+                const before = JSON.parse(JSON.stringify(node.properties || {}));
+                const after = this.migrateProperties(node.properties, current);
+                dropped += this.getDroppedConnections(nodeId, current).length;
+                canvas.setNodeDefinition(nodeId, current);
+                this._setProperties(nodeId, after);
+                canvas._recordHistory({
+                    label: 'Migrate properties',
+                    undo: () => this._setProperties(nodeId, before),
+                    redo: () => this._setProperties(nodeId, after)
+                });
+            });
+        });
+        if (window.logger) {
+            window.logger.info(`Upgraded ${targets.length} node(s)${dropped ? `, removed ${dropped} wire(s) to ports that no longer exist` : ''}`);
+        }
+        return targets.length;
+    }
+
+    _setProperties(nodeId, properties) {
+        const node = this.canvas.nodes.get(nodeId);
+        if (!node) return;
+        node.properties = JSON.parse(JSON.stringify(properties));
+        if (window.nodeProperties && window.nodeProperties.currentNode === node) window.nodeProperties.refreshProperties();
+    }
+}
+
+// Export for use in other modules
+window['WorkflowVersions'] = WorkflowVersions;
@@ -0,0 +1,277 @@
+/**
+ * Workflow Wire Router
+ * Builds SVG path data for wires: bezier, straight or orthogonal (routed around node rectangles)
+ */
+class WorkflowWireRouter {
+    constructor(workflowCanvas, options = {}) {
+        this.canvas = workflowCanvas;
+        this.options = Object.assign({
+            margin: 12,         // clearance kept around node rectangles
+            stub: 24,           // straight run out of an output / into an input before turning
+            bendPenalty: 40,    // extra cost per corner, in px of wire length
+            searchPadding: 240, // nodes this far outside a leg's bounds are ignored
+            cornerRadius: 6
+        }, options);
+        // Obstacles shared by every wire drawn inside batch(); null outside a batch
+        this.batchObstacles = null;
+        this.batching = false;
+    }
+
+    /**
+     * Run fn with one obstacle snapshot for all wires it draws (e.g. one drag frame), instead
+     * of measuring every node again per wire. Nodes must not move while fn runs.
+     */
+    batch(fn) {
+        if (this.batching) return fn();
+        this.batching = true;
+        try {
+            return fn();
+        } finally {
+            this.batching = false;
+            this.batchObstacles = null;
+        }
+    }
+
+    /**
+     * Path through points (world coordinates): the first is the output port, the last the
+     * input port, anything in between is a reroute point.
+     */
+    buildPath(points, style = 'bezier') {
+        if (style === 'straight') return this.straightPath(points);
+        if (style === 'orthogonal') return this.orthogonalPath(points);
+        return this.bezierPath(points);
+    }
+
+    // One cubic leg per pair of consecutive points, leaving and entering each point horizontally
+    bezierPath(points) {
+        let d = `M ${points[0].x} ${points[0].y}`;
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            // Legs between reroute points may be short; keep their curves from looping
+            const minOffset = points.length === 2 ? 80 : Math.min(80, Math.hypot(b.x - a.x, b.y - a.y) / 2);
+            const controlOffset = Math.max(minOffset, Math.abs(b.x - a.x) * 0.4);
+            d += ` C ${a.x + controlOffset} ${a.y} ${b.x - controlOffset} ${b.y} ${b.x} ${b.y}`;
+        }
+        return d;
+    }
+
+    straightPath(points) {
+        return points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x} ${p.y}`).join(' ');
+    }
+
+    orthogonalPath(points) {
+        const { stub } = this.options;
+        const last = points.length - 1;
+        const obstacles = this.getObstacles();
+        let route = [points[0]];
+        for (let i = 1; i <= last; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            // Ports get a horizontal stub so wires leave outputs rightwards and enter inputs from the left
+            const from = i === 1 ? { x: a.x + stub, y: a.y } : a;
+            const to = i === last ? { x: b.x - stub, y: b.y } : b;
+            if (from !== a) route.push(from);
+            route = route.concat(this.routeLeg(from, to, obstacles).slice(1));
+            if (to !== b) route.push(b);
+        }
+        return this.polylinePath(this.simplify(route));
+    }
+
+    // Node rectangles (world coordinates), grown by the clearance margin
+    getObstacles() {
+        if (this.batchObstacles) return this.batchObstacles;
+        const margin = this.options.margin;
+        const rects = [];
+        this.canvas.nodes.forEach(node => {
+            if (!node.element || node.element.classList.contains('group-hidden')) return;
+            const r = this.canvas.getNodeRect(node);
+            if (!r.width || !r.height) return;
+            rects.push({
+                left: r.left - margin,
+                top: r.top - margin,
+                right: r.right + margin,
+                bottom: r.bottom + margin
+            });
+        });
+        if (this.batching) this.batchObstacles = rects;
+        return rects;
+    }
+
+    /**
+     * Shortest orthogonal path from a to b on the grid formed by the obstacle edges
+     * (fewest corners breaks ties). Falls back to a plain elbow when nothing is found.
+     */
+    routeLeg(a, b, allObstacles) {
+        if (a.x === b.x || a.y === b.y) {
+            if (!allObstacles.some(r => this._segmentBlocked(a, b, r))) return [a, b];
+        }
+
+        const pad = this.options.searchPadding;
+        const bounds = {
+            left: Math.min(a.x, b.x) - pad,
+            top: Math.min(a.y, b.y) - pad,
+            right: Math.max(a.x, b.x) + pad,
+            bottom: Math.max(a.y, b.y) + pad
+        };
+        const inside = (p, r) => p.x > r.left && p.x < r.right && p.y > r.top && p.y < r.bottom;
+        // Endpoints that sit inside a rectangle (e.g. the pointer over a node while dragging) must stay reachable
+        const obstacles = allObstacles.filter(r =>
+            r.right > bounds.left && r.left < bounds.right && r.bottom > bounds.top && r.top < bounds.bottom &&
+            !inside(a, r) && !inside(b, r));
+
+        const xs = [a.x, b.x, (a.x + b.x) / 2];
+        const ys = [a.y, b.y, (a.y + b.y) / 2];
+        obstacles.forEach(r => {
+            xs.push(r.left, r.right);
+            ys.push(r.top, r.bottom);
+        });
+        const uniq = (values) => [...new Set(values)].sort((p, q) => p - q);
+        const gx = uniq(xs);
+        const gy = uniq(ys);
+        const blocked = (x, y) => obstacles.some(r => inside({ x, y }, r));
+
+        // Dijkstra over (column, row, direction); direction 0 = horizontal, 1 = vertical
+        const key = (i, j, d) => (j * gx.length + i) * 2 + d;
+        const start = { i: gx.indexOf(a.x), j: gy.indexOf(a.y) };
+        const goal = { i: gx.indexOf(b.x), j: gy.indexOf(b.y) };
+        const dist = new Map();
+        const prev = new Map();
+        const open = new WorkflowWireRouter.MinHeap();
+        [0, 1].forEach(d => {
+            const k = key(start.i, start.j, d);
+            dist.set(k, 0);
+            open.push({ i: start.i, j: start.j, d, cost: 0, k });
+        });
+
+        let found = null;
+        while (open.size) {
+            const cur = open.pop();
+            if (cur.cost > dist.get(cur.k)) continue;
+            if (cur.i === goal.i && cur.j === goal.j) { found = cur; break; }
+
+            [[1, 0, 0], [-1, 0, 0], [0, 1, 1], [0, -1, 1]].forEach(([di, dj, d]) => {
+                const ni = cur.i + di;
+                const nj = cur.j + dj;
+                if (ni < 0 || nj < 0 || ni >= gx.length || nj >= gy.length) return;
+                const x1 = gx[cur.i], y1 = gy[cur.j], x2 = gx[ni], y2 = gy[nj];
+                if (blocked(x2, y2) || blocked((x1 + x2) / 2, (y1 + y2) / 2)) return;
+                const cost = cur.cost + Math.abs(x2 - x1) + Math.abs(y2 - y1) + (d !== cur.d ? this.options.bendPenalty : 0);
+                const k = key(ni, nj, d);
+                if (dist.has(k) && dist.get(k) <= cost) return;
+                dist.set(k, cost);
+                prev.set(k, cur.k);
+                open.push({ i: ni, j: nj, d, cost, k });
+            });
+        }
+
+        if (!found) return this.elbow(a, b);
+        const path = [];
+        for (let k = found.k; k !== undefined; k = prev.get(k)) {
+            const cell = Math.floor(k / 2);
+            path.unshift({ x: gx[cell % gx.length], y: gy[Math.floor(cell / gx.length)] });
+        }
+        return path;
+    }
+
+    elbow(a, b) {
+        const midX = (a.x + b.x) / 2;
+        return [a, { x: midX, y: a.y }, { x: midX, y: b.y }, b];
+    }
+
+    _segmentBlocked(a, b, r) {
+        if (a.y === b.y) {
+            return a.y > r.top && a.y < r.bottom && Math.max(a.x, b.x) > r.left && Math.min(a.x, b.x) < r.right;
+        }
+        return a.x > r.left && a.x < r.right && Math.max(a.y, b.y) > r.top && Math.min(a.y, b.y) < r.bottom;
+    }
+
+    // Drop duplicate and collinear points
+    simplify(points) {
+        const out = [];
+        points.forEach(p => {
+            const prev = out[out.length - 1];
+            if (prev && prev.x === p.x && prev.y === p.y) return;
+            const before = out[out.length - 2];
+            if (before && prev && ((before.x === prev.x && prev.x === p.x) || (before.y === prev.y && prev.y === p.y))) {
+                out[out.length - 1] = p;
+                return;
+            }
+            out.push(p);
+        });
+        return out;
+    }
+
+    // Polyline with slightly rounded corners
+    polylinePath(points) {
+        let d = `M ${points[0].x} ${points[0].y}`;
+        for (let i = 1; i < points.length; i++) {
+            const p = points[i];
+            const next = points[i + 1];
+            if (!next) {
+                d += ` L ${p.x} ${p.y}`;
+                break;
+            }
+            const prev = points[i - 1];
+            const r = Math.min(this.options.cornerRadius,
+                Math.hypot(p.x - prev.x, p.y - prev.y) / 2,
+                Math.hypot(next.x - p.x, next.y - p.y) / 2);
+            const inX = p.x - Math.sign(p.x - prev.x) * r;
+            const inY = p.y - Math.sign(p.y - prev.y) * r;
+            const outX = p.x + Math.sign(next.x - p.x) * r;
+            const outY = p.y + Math.sign(next.y - p.y) * r;
+            d += ` L ${inX} ${inY} Q ${p.x} ${p.y} ${outX} ${outY}`;
+        }
+        return d;
+    }
+}
+
+// Binary heap of { cost } entries for the route search
+WorkflowWireRouter.MinHeap = class {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].cost <= items[i].cost) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = i * 2 + 1;
+                const r = l + 1;
+                let m = i;
+                if (l < items.length && items[l].cost < items[m].cost) m = l;
+                if (r < items.length && items[r].cost < items[m].cost) m = r;
+                if (m === i) break;
+                [items[m], items[i]] = [items[i], items[m]];
+                i = m;
+            }
+        }
+        return top;
+    }
+};
+
+WorkflowWireRouter.STYLES = ['bezier', 'straight', 'orthogonal'];
+WorkflowWireRouter.LABELS = { bezier: 'Curved', straight: 'Straight', orthogonal: 'Ortho' };
+
+// Export for use in other modules
+window['WorkflowWireRouter'] = WorkflowWireRouter;